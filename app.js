@@ -4,21 +4,36 @@ const path = require('path');
 require('dotenv').config();
 
 // Import routes
-const vehicleRoutes = require('./routes/vehicleRoutes');
-const partRoutes = require('./routes/partRoutes');
-const sellerRoutes = require('./routes/sellerRoutes');
+const routeGroups = require('./routes');
+const { mountRoutes, describeRoutes } = require('./utils/routeTable');
+const { buildOpenApiDocument } = require('./utils/openApi');
+const { authenticate } = require('./utils/auth');
+const { rateLimit, limitFailedAuthentication } = require('./utils/rateLimit');
+const { negotiateLocale } = require('./utils/i18n');
+const { resolveMockSeed } = require('./utils/random');
+const { keepRawBody, recordReplay } = require('./utils/recordReplay');
 
 // Create Express app
 const app = express();
 
+// The route table doesn't change at runtime, so its OpenAPI document is built once
+const openApiDocument = buildOpenApiDocument(routeGroups);
+
+// Behind a reverse proxy, take the client IP from X-Forwarded-For (per-IP rate limits depend on it)
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
 // Middleware
 app.use(cors({
   origin: process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : '*',
   credentials: true
 }));
 
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Raw bodies are kept for recording and replay matching
+app.use(express.json({ limit: '10mb', verify: keepRawBody }));
+app.use(express.urlencoded({ extended: true, limit: '10mb', verify: keepRawBody }));
 
 // Request logging middleware
 app.use((req, res, next) => {
@@ -27,6 +42,32 @@ app.use((req, res, next) => {
   next();
 });
 
+// Locale negotiation middleware (lang parameter or Accept-Language header)
+app.use((req, res, next) => {
+  req.locale = negotiateLocale(req);
+  res.set('Content-Language', req.locale);
+  res.vary('Accept-Language');
+  next();
+});
+
+// Mock seed middleware (X-Mock-Seed header or MOCK_SEED environment variable)
+app.use((req, res, next) => {
+  req.mockSeed = resolveMockSeed(req);
+  if (req.mockSeed) res.set('X-Mock-Seed', req.mockSeed);
+  next();
+});
+
+// Authentication middleware (X-API-Key header or Authorization: Bearer token); routes check roles
+// Failed attempts are limited per IP, so keys and tokens can't be guessed
+app.use(limitFailedAuthentication(authenticate));
+
+// Record or replay mode (MOCK_RECORD / MOCK_REPLAY fixture); passes requests on when neither is set
+// It runs after authentication, so recorded responses are only replayed to the caller they were recorded for
+app.use(recordReplay());
+
+// Read budget for every GET endpoint; interpret and request creation have their own budgets in their routes
+app.get('/api/*', rateLimit('read'));
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({
@@ -44,25 +85,19 @@ app.get('/api', (req, res) => {
     name: 'Spare Part Finder Dummy API',
     version: '1.0.0',
     description: 'Mock API for VIN-based vehicle lookup, spare part suggestion, and B2B inventory responses',
-    endpoints: {
-      vehicles: {
-        'GET /api/vehicle/:vin': 'Get vehicle details by VIN',
-        'GET /api/vehicle': 'Get all vehicles (testing)',
-        'GET /api/vehicle/search': 'Search vehicles by make, model, or year'
-      },
-      parts: {
-        'GET /api/parts/:vin/:category': 'Get part suggestions by VIN and category',
-        'POST /api/parts/interpret': 'Suggest part from free text description',
-        'GET /api/parts/:vin/categories': 'Get available categories for a vehicle',
-        'GET /api/parts/search': 'Search parts across all categories'
-      },
-      sellers: {
-        'GET /api/sellers/:partId': 'Get sellers for a specific part ID',
-        'POST /api/sellers/request': 'Create a pending request for a part',
-        'GET /api/sellers/request/:requestId': 'Get request status by request ID',
-        'GET /api/sellers': 'Get all sellers (admin/testing)'
-      }
-    },
+    localization: 'Responses in tr (default), en or de via the lang parameter or Accept-Language header',
+    mockSeed: 'Send X-Mock-Seed (or set MOCK_SEED) to make mock scenario faults and delays reproducible; MOCK_SEED also seeds the starting inventory. The seed in use is echoed in X-Mock-Seed',
+    mockScenarios: 'Force latencies, errors or canned responses per route with X-Mock-Scenario or MOCK_SCENARIO (fast turns delays off); see /api/admin/scenarios',
+    recordReplay: 'Record a session to a fixture with MOCK_RECORD and replay it with MOCK_REPLAY; unmatched requests get 501, see /api/admin/record-replay',
+    rateLimits: 'Token buckets per API account or IP for interpret, request creation and reads, and per IP for failed authentications; see the RateLimit-* headers, 429 with Retry-After when exceeded',
+    authentication: 'Send X-API-Key or Authorization: Bearer <token>. Requests and offers need a customer or seller, inventories their seller, listings and /api/admin an admin',
+    lists: 'List endpoints take field filters, sort=field[:asc|desc],... and limit/cursor; responses carry a pagination envelope with a next link',
+    quotes: 'Price several parts of a vehicle at once with POST /api/quotes; each quote offers cheapest, fastest and fewestSellers options and converts to an order request',
+    requestEvents: 'Follow a request via GET /api/sellers/request/:requestId/events (server-sent events) or a callbackUrl, signed with HMAC-SHA256 in X-Signature',
+    validation: "Params, query and body are checked against each route's schema; invalid requests get 400 with an errors list of { location, field, message }",
+    openapi: '/api/openapi.json',
+    docs: '/api/docs',
+    endpoints: describeRoutes(routeGroups),
     sampleRequests: {
       vehicleLookup: {
         url: '/api/vehicle/WDB2020201F685790',
@@ -81,18 +116,38 @@ app.get('/api', (req, res) => {
         }
       },
       getSellers: {
-        url: '/api/sellers/part-fren-001',
+        url: '/api/sellers/part-fren-001?city=İzmir&sort=best',
         method: 'GET'
       },
       createRequest: {
         url: '/api/sellers/request',
         method: 'POST',
+        headers: {
+          'X-API-Key': '<customer API key>'
+        },
         body: {
           vin: 'WDB2020201F685790',
           partId: 'part-fren-001',
           userEmail: 'user@example.com',
           description: 'Acil ihtiyaç',
-          urgency: 'high'
+          urgency: 'high',
+          location: 'İstanbul',
+          callbackUrl: 'https://example.com/hooks/part-requests'
+        }
+      },
+      createQuote: {
+        url: '/api/quotes',
+        method: 'POST',
+        headers: {
+          'X-API-Key': '<customer API key>'
+        },
+        body: {
+          vin: 'WDB2020201F685790',
+          location: 'İstanbul',
+          items: [
+            { partId: 'part-fren-001', quantity: 2 },
+            { partId: 'part-fren-002', quantity: 1 }
+          ]
         }
       }
     },
@@ -100,10 +155,16 @@ app.get('/api', (req, res) => {
   });
 });
 
-// API Routes
-app.use('/api/vehicle', vehicleRoutes);
-app.use('/api/parts', partRoutes);
-app.use('/api/sellers', sellerRoutes);
+// OpenAPI 3 document of the route table, for client generators and the docs UI
+app.get('/api/openapi.json', (req, res) => {
+  res.json(openApiDocument);
+});
+
+// Interactive API docs, self-hosted so they work offline
+app.use('/api/docs', express.static(path.join(__dirname, 'public/docs')));
+
+// API Routes, declared in the route table (routes/index.js)
+mountRoutes(app, routeGroups);
 
 // Handle 404 for API routes
 app.use('/api/*', (req, res) => {
@@ -120,6 +181,8 @@ app.get('/', (req, res) => {
   res.json({
     message: 'Welcome to Spare Part Finder Dummy API',
     documentation: '/api',
+    docs: '/api/docs',
+    openapi: '/api/openapi.json',
     health: '/health',
     version: '1.0.0',
     timestamp: new Date().toISOString()
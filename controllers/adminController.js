@@ -0,0 +1,258 @@
+const { getKnowledgeBase, reloadKnowledgeBase, saveKnowledgeBase } = require('../utils/symptomKnowledgeBase');
+
+/**
+ * Get the symptom knowledge base with its validation report
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getSymptomKnowledgeBase(req, res) {
+  try {
+    const { definition, report, source, loadedAt } = getKnowledgeBase();
+
+    res.json({
+      success: true,
+      data: definition,
+      validation: report,
+      source,
+      loadedAt,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error in getSymptomKnowledgeBase:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to load symptom knowledge base'
+    });
+  }
+}
+
+/**
+ * Reload the symptom knowledge base from disk
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function reloadSymptomKnowledgeBase(req, res) {
+  try {
+    const report = reloadKnowledgeBase();
+
+    if (!report.valid) {
+      return res.status(422).json({
+        error: 'Invalid knowledge base',
+        message: 'The knowledge base file has errors, the previous version is still in use',
+        errors: report.errors,
+        warnings: report.warnings
+      });
+    }
+
+    res.json({
+      success: true,
+      validation: report,
+      loadedAt: getKnowledgeBase().loadedAt,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error in reloadSymptomKnowledgeBase:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to reload symptom knowledge base'
+    });
+  }
+}
+
+/**
+ * Get a single symptom category
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getSymptomCategory(req, res) {
+  try {
+    const { category } = req.params;
+    const { definition } = getKnowledgeBase();
+
+    if (!definition.categories[category]) {
+      return res.status(404).json(categoryNotFound(category, definition));
+    }
+
+    res.json({
+      success: true,
+      data: {
+        key: category,
+        ...definition.categories[category]
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error in getSymptomCategory:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to get symptom category'
+    });
+  }
+}
+
+/**
+ * Create a new symptom category
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function createSymptomCategory(req, res) {
+  try {
+    const { key, ...category } = req.body;
+
+    const { definition } = getKnowledgeBase();
+
+    if (definition.categories[key]) {
+      return res.status(409).json({
+        error: 'Category already exists',
+        message: `Symptom category ${key} already exists, use PUT to replace it`
+      });
+    }
+
+    const updated = {
+      ...definition,
+      categories: { ...definition.categories, [key]: category }
+    };
+
+    saveCategoryChange(res, updated, key, 201);
+
+  } catch (error) {
+    console.error('Error in createSymptomCategory:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to create symptom category'
+    });
+  }
+}
+
+/**
+ * Replace an existing symptom category
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function updateSymptomCategory(req, res) {
+  try {
+    const { category } = req.params;
+    const { key, ...definitionUpdate } = req.body;
+    const { definition } = getKnowledgeBase();
+
+    if (!definition.categories[category]) {
+      return res.status(404).json(categoryNotFound(category, definition));
+    }
+
+    const updated = {
+      ...definition,
+      categories: { ...definition.categories, [category]: definitionUpdate }
+    };
+
+    saveCategoryChange(res, updated, category, 200);
+
+  } catch (error) {
+    console.error('Error in updateSymptomCategory:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to update symptom category'
+    });
+  }
+}
+
+/**
+ * Delete a symptom category
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function deleteSymptomCategory(req, res) {
+  try {
+    const { category } = req.params;
+    const { definition } = getKnowledgeBase();
+
+    if (!definition.categories[category]) {
+      return res.status(404).json(categoryNotFound(category, definition));
+    }
+
+    const { [category]: removed, ...categories } = definition.categories;
+    const report = saveKnowledgeBase({ ...definition, categories });
+
+    if (!report.valid) {
+      return res.status(400).json(invalidKnowledgeBase(report));
+    }
+
+    res.json({
+      success: true,
+      message: `Symptom category ${category} deleted`,
+      validation: report,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error in deleteSymptomCategory:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to delete symptom category'
+    });
+  }
+}
+
+/**
+ * Validates and saves a knowledge base with a changed category, then responds
+ * @param {Object} res - Express response object
+ * @param {Object} updated - Complete knowledge base definition
+ * @param {string} key - Key of the changed category
+ * @param {number} status - HTTP status for success
+ */
+function saveCategoryChange(res, updated, key, status) {
+  const report = saveKnowledgeBase(updated);
+
+  if (!report.valid) {
+    return res.status(400).json(invalidKnowledgeBase(report));
+  }
+
+  res.status(status).json({
+    success: true,
+    data: {
+      key,
+      ...updated.categories[key]
+    },
+    validation: report,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Builds the error body for a rejected knowledge base change
+ * @param {Object} report - Validation report
+ * @returns {Object} - Error response body
+ */
+function invalidKnowledgeBase(report) {
+  return {
+    error: 'Invalid knowledge base',
+    message: 'The change was not saved because the knowledge base would be invalid',
+    errors: report.errors,
+    warnings: report.warnings
+  };
+}
+
+/**
+ * Builds the error body for an unknown category
+ * @param {string} category - Requested category key
+ * @param {Object} definition - Knowledge base definition
+ * @returns {Object} - Error response body
+ */
+function categoryNotFound(category, definition) {
+  return {
+    error: 'Category not found',
+    message: `No symptom category found with key: ${category}`,
+    availableCategories: Object.keys(definition.categories)
+  };
+}
+
+module.exports = {
+  getSymptomKnowledgeBase,
+  reloadSymptomKnowledgeBase,
+  getSymptomCategory,
+  createSymptomCategory,
+  updateSymptomCategory,
+  deleteSymptomCategory
+};
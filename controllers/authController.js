@@ -0,0 +1,102 @@
+const fs = require('fs');
+const path = require('path');
+const { ROLES, issueToken } = require('../utils/auth');
+
+// Load mock data
+const mockSellers = JSON.parse(fs.readFileSync(path.join(__dirname, '../data/mockSellers.json'), 'utf8'));
+const sellerIds = new Set(mockSellers.global_sellers.map(seller => seller.id));
+
+/**
+ * Exchange an API key for a bearer token
+ * Callers get a token for themselves; admins may issue one for any role and subject. Tokens can't be
+ * swapped for new ones, so a session ends when its token expires.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function createToken(req, res) {
+  try {
+    if (req.user.method !== 'api_key') {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Tokens are only issued for an API key; send X-API-Key instead of a bearer token'
+      });
+    }
+    
+    let principal = { role: req.user.role, id: req.user.id };
+    
+    const { role, subject } = req.body;
+    if (role || subject) {
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: 'Only admins can issue tokens for other accounts'
+        });
+      }
+      if (!ROLES.includes(role) || !subject) {
+        return res.status(400).json({
+          error: 'Invalid token request',
+          message: `role (${ROLES.join(', ')}) and subject are required`
+        });
+      }
+      if (role === 'seller' && !sellerIds.has(subject)) {
+        return res.status(400).json({
+          error: 'Invalid token request',
+          message: `No seller found with ID: ${subject}`
+        });
+      }
+      principal = { role, id: String(subject) };
+    }
+    
+    const { token, expiresAt } = issueToken(principal);
+    
+    res.status(201).json({
+      success: true,
+      data: {
+        token,
+        tokenType: 'Bearer',
+        expiresAt,
+        role: principal.role,
+        subject: principal.id
+      },
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('Error in createToken:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to issue token'
+    });
+  }
+}
+
+/**
+ * Show who the credentials belong to
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getCurrentUser(req, res) {
+  try {
+    res.json({
+      success: true,
+      data: {
+        role: req.user.role,
+        subject: req.user.id,
+        authenticatedWith: req.user.method
+      },
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('Error in getCurrentUser:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve current user'
+    });
+  }
+}
+
+module.exports = {
+  createToken,
+  getCurrentUser
+};
@@ -0,0 +1,394 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  validateInventoryItem,
+  listInventory,
+  getInventoryItem,
+  findInventoryItem,
+  createInventoryItem,
+  updateInventoryItem,
+  upsertInventoryItems,
+  deleteInventoryItem
+} = require('../utils/inventoryStore');
+const { readImportRows, prepareImport, toExportRows, toExportCsv } = require('../utils/inventoryImport');
+const { applyListQuery } = require('../utils/listQuery');
+
+// Load mock data
+const mockSellers = JSON.parse(fs.readFileSync(path.join(__dirname, '../data/mockSellers.json'), 'utf8'));
+const sellersById = new Map(mockSellers.global_sellers.map(seller => [seller.id, seller]));
+
+// Fields a seller may set on a listing
+const EDITABLE_FIELDS = ['partId', 'price', 'stock', 'condition', 'warrantyMonths'];
+
+/**
+ * List a seller's inventory
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getSellerInventory(req, res) {
+  try {
+    const { sellerId } = req.params;
+    
+    if (!sellersById.has(sellerId)) {
+      return res.status(404).json(sellerNotFound(sellerId));
+    }
+    
+    // Listings of a part keep their condition order whatever the sort
+    const items = await listInventory({ sellerId });
+    items.sort((a, b) => a.partId.localeCompare(b.partId) || a.condition.localeCompare(b.condition));
+    const { items: page, matched, pagination } = applyListQuery(req, items, req.listQuery);
+    
+    // Stock of every matching listing, not just this page
+    res.json({
+      success: true,
+      data: {
+        sellerId,
+        items: page,
+        count: page.length,
+        totalStock: matched.reduce((sum, item) => sum + item.stock, 0)
+      },
+      pagination,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('Error in getSellerInventory:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve inventory'
+    });
+  }
+}
+
+/**
+ * Get a single inventory listing
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getSellerInventoryItem(req, res) {
+  try {
+    const { sellerId, itemId } = req.params;
+    
+    const item = await getInventoryItem(itemId);
+    if (!item || item.sellerId !== sellerId) {
+      return res.status(404).json(itemNotFound(itemId, sellerId));
+    }
+    
+    res.json({
+      success: true,
+      data: item,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('Error in getSellerInventoryItem:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve inventory item'
+    });
+  }
+}
+
+/**
+ * Add a part to a seller's inventory
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function addSellerInventoryItem(req, res) {
+  try {
+    const { sellerId } = req.params;
+    const fields = pickEditableFields(req.body);
+    
+    if (!sellersById.has(sellerId)) {
+      return res.status(404).json(sellerNotFound(sellerId));
+    }
+    
+    const errors = validateInventoryItem(fields);
+    if (errors.length > 0) {
+      return res.status(400).json(invalidItem(errors));
+    }
+    
+    // One listing per part and condition; a second one would make prices ambiguous
+    const existing = await findInventoryItem(sellerId, fields.partId, fields.condition || 'new');
+    if (existing) {
+      return res.status(409).json({
+        error: 'Inventory item already exists',
+        message: `Seller ${sellerId} already lists ${fields.partId} (${existing.condition}), update item ${existing.itemId} instead`,
+        itemId: existing.itemId
+      });
+    }
+    
+    const item = await createInventoryItem(sellerId, fields);
+    
+    res.status(201).json({
+      success: true,
+      data: item,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('Error in addSellerInventoryItem:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to add inventory item'
+    });
+  }
+}
+
+/**
+ * Update price, stock, condition or warranty of a listing
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function updateSellerInventoryItem(req, res) {
+  try {
+    const { sellerId, itemId } = req.params;
+    const changes = pickEditableFields(req.body);
+    
+    const item = await getInventoryItem(itemId);
+    if (!item || item.sellerId !== sellerId) {
+      return res.status(404).json(itemNotFound(itemId, sellerId));
+    }
+    
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: `Provide at least one of: ${EDITABLE_FIELDS.join(', ')}`
+      });
+    }
+    
+    const errors = validateInventoryItem(changes, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json(invalidItem(errors));
+    }
+    
+    // Moving a listing to another part or condition must not collide with an existing one
+    const partId = changes.partId || item.partId;
+    const condition = changes.condition || item.condition;
+    const existing = await findInventoryItem(sellerId, partId, condition);
+    if (existing && existing.itemId !== itemId) {
+      return res.status(409).json({
+        error: 'Inventory item already exists',
+        message: `Seller ${sellerId} already lists ${partId} (${condition}) as item ${existing.itemId}`,
+        itemId: existing.itemId
+      });
+    }
+    
+    const updated = await updateInventoryItem(itemId, changes);
+    
+    res.json({
+      success: true,
+      data: updated,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('Error in updateSellerInventoryItem:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to update inventory item'
+    });
+  }
+}
+
+/**
+ * Remove a listing from a seller's inventory
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function deleteSellerInventoryItem(req, res) {
+  try {
+    const { sellerId, itemId } = req.params;
+    
+    const item = await getInventoryItem(itemId);
+    if (!item || item.sellerId !== sellerId) {
+      return res.status(404).json(itemNotFound(itemId, sellerId));
+    }
+    
+    await deleteInventoryItem(itemId);
+    
+    res.json({
+      success: true,
+      message: `Inventory item ${itemId} deleted`,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('Error in deleteSellerInventoryItem:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to delete inventory item'
+    });
+  }
+}
+
+/**
+ * Import a price list (CSV or JSON) into a seller's inventory
+ * Every row is checked first; the accepted rows are then written in one atomic upsert.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function importSellerInventory(req, res) {
+  try {
+    const { sellerId } = req.params;
+    const dryRun = req.query.dryRun === 'true';
+    const strict = req.query.strict === 'true';
+    
+    if (!sellersById.has(sellerId)) {
+      return res.status(404).json(sellerNotFound(sellerId));
+    }
+    
+    if (!req.is('text/csv') && !req.is('text/plain') && !req.is('application/json')) {
+      return res.status(415).json({
+        error: 'Unsupported import format',
+        message: 'Send the price list as text/csv or application/json'
+      });
+    }
+    
+    let parsed;
+    try {
+      parsed = readImportRows(req.body);
+    } catch (parseError) {
+      return res.status(400).json({
+        error: 'Invalid import file',
+        message: parseError.message
+      });
+    }
+    
+    if (parsed.rows.length === 0) {
+      return res.status(400).json({
+        error: 'Empty import file',
+        message: 'The price list contains no rows'
+      });
+    }
+    
+    const existing = await listInventory({ sellerId });
+    const { report, accepted, summary } = prepareImport(parsed.rows, existing);
+    
+    // In strict mode a single bad row rejects the whole file
+    if (strict && accepted.length < summary.total) {
+      return res.status(422).json({
+        error: 'Import rejected',
+        message: `${summary.total - accepted.length} of ${summary.total} rows could not be imported; nothing was applied`,
+        applied: false,
+        summary,
+        rows: report
+      });
+    }
+    
+    if (!dryRun && accepted.length > 0) {
+      await upsertInventoryItems(sellerId, accepted);
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        sellerId,
+        applied: !dryRun && accepted.length > 0,
+        dryRun,
+        summary,
+        ...(parsed.ignoredColumns.length > 0 && { ignoredColumns: parsed.ignoredColumns }),
+        rows: report
+      },
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('Error in importSellerInventory:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to import inventory'
+    });
+  }
+}
+
+/**
+ * Export a seller's inventory in the import format
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function exportSellerInventory(req, res) {
+  try {
+    const { sellerId } = req.params;
+    const format = req.query.format || 'csv';
+    
+    if (!sellersById.has(sellerId)) {
+      return res.status(404).json(sellerNotFound(sellerId));
+    }
+    
+    const rows = toExportRows(await listInventory({ sellerId }));
+    
+    res.attachment(`inventory-${sellerId}.${format}`);
+    if (format === 'json') {
+      return res.json(rows);
+    }
+    res.type('text/csv').send(toExportCsv(rows));
+    
+  } catch (error) {
+    console.error('Error in exportSellerInventory:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to export inventory'
+    });
+  }
+}
+
+/**
+ * Helper function to keep only the fields a seller may set
+ * @param {Object} body - Request body
+ * @returns {Object} - Editable fields that are present
+ */
+function pickEditableFields(body) {
+  return EDITABLE_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+    return fields;
+  }, {});
+}
+
+/**
+ * Builds the error body for an unknown seller
+ * @param {string} sellerId - Requested seller ID
+ * @returns {Object} - Error response body
+ */
+function sellerNotFound(sellerId) {
+  return {
+    error: 'Seller not found',
+    message: `No seller found with ID: ${sellerId}`
+  };
+}
+
+/**
+ * Builds the error body for a listing that doesn't exist or belongs to another seller
+ * @param {string} itemId - Requested listing ID
+ * @param {string} sellerId - Seller the listing should belong to
+ * @returns {Object} - Error response body
+ */
+function itemNotFound(itemId, sellerId) {
+  return {
+    error: 'Inventory item not found',
+    message: `No inventory item ${itemId} found for seller ${sellerId}`
+  };
+}
+
+/**
+ * Builds the error body for invalid listing fields
+ * @param {Array} errors - Validation errors
+ * @returns {Object} - Error response body
+ */
+function invalidItem(errors) {
+  return {
+    error: 'Invalid inventory item',
+    message: 'The inventory item has missing or invalid fields',
+    errors
+  };
+}
+
+module.exports = {
+  getSellerInventory,
+  getSellerInventoryItem,
+  addSellerInventoryItem,
+  updateSellerInventoryItem,
+  deleteSellerInventoryItem,
+  importSellerInventory,
+  exportSellerInventory
+};
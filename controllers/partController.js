@@ -1,10 +1,19 @@
 const fs = require('fs');
 const path = require('path');
-const { simulateDelay, isValidVIN, interpretPartFromText } = require('../utils/matchUtils');
+const { analyzeSymptoms, interpretPartFromText, interpretPartCandidates } = require('../utils/matchUtils');
+const { checkFitment, filterPartsForVehicle } = require('../utils/fitmentUtils');
+const { normalizeReferenceNumber, listReferences, buildReferenceIndex, findMatchingReferences } = require('../utils/xrefUtils');
+const { normalizeText } = require('../utils/textNormalizer');
+const { getKnowledgeBase } = require('../utils/symptomKnowledgeBase');
+const { DEFAULT_LOCALE, translate, translatePartName, translateCategory, resolveCategory, localizePart } = require('../utils/i18n');
+const { applyListQuery } = require('../utils/listQuery');
+const { normalizeVIN } = require('../utils/vinDecoder');
 
 // Load mock data
 const mockParts = JSON.parse(fs.readFileSync(path.join(__dirname, '../data/mockParts.json'), 'utf8'));
 const mockVehicles = JSON.parse(fs.readFileSync(path.join(__dirname, '../data/mockVehicles.json'), 'utf8'));
+const referenceIndex = buildReferenceIndex(mockParts);
+const partsById = new Map(Object.values(mockParts).flat().map(part => [part.id, part]));
 
 /**
  * Get part suggestions by VIN and category
@@ -13,17 +22,11 @@ const mockVehicles = JSON.parse(fs.readFileSync(path.join(__dirname, '../data/mo
  */
 async function getPartsByCategory(req, res) {
   try {
-    await simulateDelay(150, 600);
+    const vin = normalizeVIN(req.params.vin);
+    const includeIncompatible = wantsIncompatible(req.query.include);
     
-    const { vin, category } = req.params;
-    
-    // Validate VIN
-    if (!isValidVIN(vin)) {
-      return res.status(400).json({
-        error: 'Invalid VIN format',
-        message: 'VIN must be 17 characters long and contain only valid characters'
-      });
-    }
+    // Categories may be given in any supported language (Fren, Brakes, Bremsen)
+    const category = resolveCategory(req.params.category, Object.keys(mockParts)) || req.params.category;
     
     // Check if vehicle exists
     const vehicle = mockVehicles.find(v => v.vin === vin);
@@ -53,6 +56,10 @@ async function getPartsByCategory(req, res) {
       });
     }
     
+    // Keep only the parts that fit this vehicle
+    const { compatible, incompatible } = filterPartsForVehicle(categoryParts, vehicle);
+    const { items, pagination } = applyListQuery(req, compatible.map(part => localizePart(part, req.locale)), req.listQuery);
+    
     // Return parts with vehicle context
     res.json({
       success: true,
@@ -61,12 +68,19 @@ async function getPartsByCategory(req, res) {
           vin: vehicle.vin,
           make: vehicle.make,
           model: vehicle.model,
-          year: vehicle.year
+          year: vehicle.year,
+          engineCode: vehicle.engineCode,
+          fuelType: vehicle.fuelType,
+          bodyType: vehicle.bodyType
         },
         category: category,
-        parts: categoryParts,
-        count: categoryParts.length
+        categoryName: translateCategory(req.locale, category),
+        parts: items,
+        count: items.length,
+        excludedCount: incompatible.length,
+        ...(includeIncompatible && { incompatibleParts: incompatible.map(part => localizePart(part, req.locale)) })
       },
+      pagination,
       timestamp: new Date().toISOString()
     });
     
@@ -86,31 +100,8 @@ async function getPartsByCategory(req, res) {
  */
 async function interpretPartFromDescription(req, res) {
   try {
-    await simulateDelay(300, 1000); // Longer delay to simulate AI processing
-    
-    const { vin, description } = req.body;
-    
-    // Validate input
-    if (!vin || !description) {
-      return res.status(400).json({
-        error: 'Missing required fields',
-        message: 'Both VIN and description are required'
-      });
-    }
-    
-    if (!isValidVIN(vin)) {
-      return res.status(400).json({
-        error: 'Invalid VIN format',
-        message: 'VIN must be 17 characters long and contain only valid characters'
-      });
-    }
-    
-    if (description.trim().length < 5) {
-      return res.status(400).json({
-        error: 'Description too short',
-        message: 'Please provide a more detailed description (at least 5 characters)'
-      });
-    }
+    const { description, limit } = req.body;
+    const vin = normalizeVIN(req.body.vin);
     
     // Check if vehicle exists
     const vehicle = mockVehicles.find(v => v.vin === vin);
@@ -121,16 +112,28 @@ async function interpretPartFromDescription(req, res) {
       });
     }
     
+    // Only consider parts that fit this vehicle
+    const isCompatible = partId => {
+      const part = partsById.get(partId);
+      return !part || checkFitment(part, vehicle).compatible;
+    };
+    
     // Interpret the description
-    const suggestedPart = interpretPartFromText(description, vin);
+    const language = req.locale;
+    const suggestedPart = interpretPartFromText(description, vin, { isCompatible, language });
+    const candidates = interpretPartCandidates(description, { limit, isCompatible, language });
+    const { discountedKeywords } = analyzeSymptoms(description, { language });
     
     // Add some context about the analysis
     const analysisDetails = {
       originalDescription: description,
-      processedText: description.toLowerCase(),
+      language,
+      processedText: normalizeText(description, language),
       detectedKeywords: suggestedPart.matchedKeywords || 0,
       category: suggestedPart.category || 'unknown',
-      confidenceLevel: getConfidenceLevel(suggestedPart.confidence)
+      confidenceLevel: getConfidenceLevel(suggestedPart.confidence, language),
+      matchedCategories: [...new Set(candidates.map(candidate => candidate.category))],
+      discountedKeywords
     };
     
     res.json({
@@ -143,12 +146,23 @@ async function interpretPartFromDescription(req, res) {
           year: vehicle.year
         },
         suggestedPart: {
-          name: suggestedPart.name,
+          name: getSuggestedPartName(suggestedPart, language),
           id: suggestedPart.id,
           confidence: Math.round(suggestedPart.confidence * 100) / 100
         },
+        candidates: candidates.map(candidate => ({
+          rank: candidate.rank,
+          name: translatePartName(language, candidate.name),
+          id: candidate.id,
+          category: candidate.category,
+          confidence: Math.round(candidate.confidence * 100) / 100,
+          confidenceLevel: getConfidenceLevel(candidate.confidence, language),
+          matchedKeywords: candidate.matchedKeywords,
+          matchedTerms: candidate.matchedTerms,
+          span: candidate.span
+        })),
         analysis: analysisDetails,
-        recommendations: generateRecommendations(suggestedPart)
+        recommendations: generateRecommendations(suggestedPart, language)
       },
       timestamp: new Date().toISOString()
     });
@@ -169,16 +183,7 @@ async function interpretPartFromDescription(req, res) {
  */
 async function getVehicleCategories(req, res) {
   try {
-    await simulateDelay(100, 300);
-    
-    const { vin } = req.params;
-    
-    if (!isValidVIN(vin)) {
-      return res.status(400).json({
-        error: 'Invalid VIN format',
-        message: 'VIN must be 17 characters long and contain only valid characters'
-      });
-    }
+    const vin = normalizeVIN(req.params.vin);
     
     const vehicle = mockVehicles.find(v => v.vin === vin);
     if (!vehicle) {
@@ -188,10 +193,11 @@ async function getVehicleCategories(req, res) {
       });
     }
     
-    // Get part counts for each category
+    // Get compatible part counts for each category
     const categoriesWithCounts = vehicle.categories.map(category => ({
       name: category,
-      partCount: mockParts[category] ? mockParts[category].length : 0,
+      displayName: translateCategory(req.locale, category),
+      partCount: mockParts[category] ? filterPartsForVehicle(mockParts[category], vehicle).compatible.length : 0,
       available: mockParts[category] ? true : false
     }));
     
@@ -226,47 +232,68 @@ async function getVehicleCategories(req, res) {
  */
 async function searchParts(req, res) {
   try {
-    await simulateDelay(200, 500);
-    
     const { query, category } = req.query;
+    const vin = normalizeVIN(req.query.vin);
+    const includeIncompatible = wantsIncompatible(req.query.include);
     
-    if (!query || query.trim().length < 2) {
-      return res.status(400).json({
-        error: 'Invalid search query',
-        message: 'Search query must be at least 2 characters long'
-      });
+    // Optionally restrict results to parts that fit a vehicle
+    let vehicle = null;
+    if (vin) {
+      vehicle = mockVehicles.find(v => v.vin === vin);
+      if (!vehicle) {
+        return res.status(404).json({
+          error: 'Vehicle not found',
+          message: `No vehicle found with VIN: ${vin}`
+        });
+      }
     }
     
     const searchTerm = query.toLowerCase().trim();
-    const results = [];
+    let results = [];
+    let incompatible = [];
     
     // Search in specific category or all categories
-    const categoriesToSearch = category ? [category] : Object.keys(mockParts);
+    const searchCategory = category && (resolveCategory(category, Object.keys(mockParts)) || category);
+    const categoriesToSearch = searchCategory ? [searchCategory] : Object.keys(mockParts);
     
     categoriesToSearch.forEach(cat => {
       if (mockParts[cat]) {
-        const matchingParts = mockParts[cat].filter(part =>
-          part.name.toLowerCase().includes(searchTerm) ||
-          part.id.toLowerCase().includes(searchTerm)
-        );
-        
-        matchingParts.forEach(part => {
-          results.push({
-            ...part,
-            category: cat
-          });
+        mockParts[cat].forEach(part => {
+          const matchedReferences = findMatchingReferences(part, searchTerm);
+          
+          // Match the catalogue (Turkish) name as well as the name in the response language
+          if (
+            part.name.toLowerCase().includes(searchTerm) ||
+            translatePartName(req.locale, part.name).toLowerCase().includes(searchTerm) ||
+            part.id.toLowerCase().includes(searchTerm) ||
+            matchedReferences.length > 0
+          ) {
+            results.push({
+              ...localizePart(part, req.locale),
+              category: cat,
+              ...(matchedReferences.length > 0 && { matchedReferences })
+            });
+          }
         });
       }
     });
     
+    if (vehicle) {
+      ({ compatible: results, incompatible } = filterPartsForVehicle(results, vehicle));
+    }
+    const { items, pagination } = applyListQuery(req, results, req.listQuery);
+    
     res.json({
       success: true,
       data: {
         query: query,
-        category: category || 'all',
-        results: results,
-        count: results.length
+        category: searchCategory || 'all',
+        ...(vehicle && { vin: vehicle.vin, excludedCount: incompatible.length }),
+        results: items,
+        count: items.length,
+        ...(vehicle && includeIncompatible && { incompatibleParts: incompatible })
       },
+      pagination,
       timestamp: new Date().toISOString()
     });
     
@@ -279,41 +306,117 @@ async function searchParts(req, res) {
   }
 }
 
+/**
+ * Resolve an OEM or aftermarket part number to the internal part and its interchangeable numbers
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getPartByReference(req, res) {
+  try {
+    const { number } = req.params;
+    const normalizedNumber = normalizeReferenceNumber(number);
+    
+    const match = referenceIndex.get(normalizedNumber);
+    if (!match) {
+      return res.status(404).json({
+        error: 'Part number not found',
+        message: `No part found with reference number: ${number}`,
+        suggestion: 'Try searching with /api/parts/search?query=<number>'
+      });
+    }
+    
+    const { part, category, reference } = match;
+    const interchange = listReferences(part).filter(ref =>
+      normalizeReferenceNumber(ref.number) !== normalizedNumber
+    );
+    
+    res.json({
+      success: true,
+      data: {
+        query: number,
+        normalizedNumber,
+        matchedReference: reference,
+        part: {
+          name: translatePartName(req.locale, part.name),
+          id: part.id,
+          category,
+          categoryName: translateCategory(req.locale, category)
+        },
+        interchange,
+        count: interchange.length
+      },
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('Error in getPartByReference:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to resolve part number'
+    });
+  }
+}
+
+/**
+ * Helper function to check whether incompatible parts were requested
+ * @param {string} include - Comma separated include query parameter
+ * @returns {boolean} - Whether include contains 'incompatible'
+ */
+function wantsIncompatible(include) {
+  if (!include || typeof include !== 'string') return false;
+  return include.split(',').map(value => value.trim()).includes('incompatible');
+}
+
 /**
  * Helper function to get confidence level description
  * @param {number} confidence - Confidence score (0-1)
+ * @param {string} locale - Response locale
  * @returns {string} - Confidence level description
  */
-function getConfidenceLevel(confidence) {
-  if (confidence >= 0.8) return 'Yüksek';
-  if (confidence >= 0.6) return 'Orta';
-  if (confidence >= 0.4) return 'Düşük';
-  return 'Çok Düşük';
+function getConfidenceLevel(confidence, locale) {
+  if (confidence >= 0.8) return translate(locale, 'confidence.high');
+  if (confidence >= 0.6) return translate(locale, 'confidence.medium');
+  if (confidence >= 0.4) return translate(locale, 'confidence.low');
+  return translate(locale, 'confidence.veryLow');
+}
+
+/**
+ * Helper function to get the suggested part name in the response language
+ * The fallback name is configured in the (Turkish) knowledge base, so other languages use the catalog message.
+ * @param {Object} suggestedPart - The suggested part object
+ * @param {string} locale - Response locale
+ * @returns {string} - Localized part name
+ */
+function getSuggestedPartName(suggestedPart, locale) {
+  const { fallback } = getKnowledgeBase().resolved;
+  if (suggestedPart.id === fallback.id && locale !== DEFAULT_LOCALE) {
+    return translate(locale, 'part.fallback');
+  }
+  return translatePartName(locale, suggestedPart.name);
 }
 
 /**
  * Generate recommendations based on suggested part
  * @param {Object} suggestedPart - The suggested part object
+ * @param {string} locale - Response locale
  * @returns {Array} - Array of recommendations
  */
-function generateRecommendations(suggestedPart) {
+function generateRecommendations(suggestedPart, locale) {
   const recommendations = [];
   
   if (suggestedPart.confidence > 0.7) {
-    recommendations.push('Bu parça tahmini yüksek güvenilirlik seviyesinde');
-  }
-  
-  if (suggestedPart.category === 'fren') {
-    recommendations.push('Fren parçaları güvenlik açısından kritiktir, profesyonel montaj önerilir');
+    recommendations.push(translate(locale, 'recommendation.highConfidence'));
   }
   
-  if (suggestedPart.category === 'motor') {
-    recommendations.push('Motor parçaları için orijinal parça kullanımı önerilir');
+  // Category specific advice is maintained in the knowledge base
+  const category = getKnowledgeBase().resolved.categories[suggestedPart.category];
+  if (category) {
+    recommendations.push(...(category.recommendations[locale] || []));
   }
   
   if (suggestedPart.confidence < 0.5) {
-    recommendations.push('Daha detaylı açıklama ile daha kesin sonuç alabilirsiniz');
-    recommendations.push('Bir uzmanla görüşmeniz önerilir');
+    recommendations.push(translate(locale, 'recommendation.moreDetail'));
+    recommendations.push(translate(locale, 'recommendation.consultExpert'));
   }
   
   return recommendations;
@@ -323,5 +426,6 @@ module.exports = {
   getPartsByCategory,
   interpretPartFromDescription,
   getVehicleCategories,
-  searchParts
+  searchParts,
+  getPartByReference
 };
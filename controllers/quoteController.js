@@ -0,0 +1,505 @@
+const fs = require('fs');
+const path = require('path');
+const { translate, translatePartName, translateCategory } = require('../utils/i18n');
+const { listInventory, reserveStock, releaseStock, CONDITIONS } = require('../utils/inventoryStore');
+const { createQuote, getQuote, updateQuote, markQuoteOrdered } = require('../utils/quoteStore');
+const { planQuote } = require('../utils/quotePlanner');
+const { buildRequest, createRequest } = require('../utils/requestStore');
+const { isRequestOwner } = require('../utils/auth');
+const { checkFitment } = require('../utils/fitmentUtils');
+const { notifySellers } = require('../utils/notifications');
+const { geocode, locateSeller, distanceKm, estimateDelivery, formatDeliveryTime } = require('../utils/geoUtils');
+const { invalidRequest } = require('../utils/requestSchema');
+const { normalizeVIN } = require('../utils/vinDecoder');
+
+const MAX_QUOTE_ITEMS = 20;
+const MAX_ITEM_QUANTITY = 99;
+
+// Load mock data
+const mockParts = JSON.parse(fs.readFileSync(path.join(__dirname, '../data/mockParts.json'), 'utf8'));
+const mockVehicles = JSON.parse(fs.readFileSync(path.join(__dirname, '../data/mockVehicles.json'), 'utf8'));
+const mockSellers = JSON.parse(fs.readFileSync(path.join(__dirname, '../data/mockSellers.json'), 'utf8'));
+const partsById = new Map(Object.entries(mockParts).flatMap(([category, parts]) =>
+  parts.map(part => [part.id, { ...part, category }])
+));
+const sellersById = new Map(mockSellers.global_sellers.map(seller => [seller.id, seller]));
+
+/**
+ * Create a quote for several parts of a vehicle
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function createPartQuote(req, res) {
+  try {
+    const { location, items } = req.body;
+    const vin = normalizeVIN(req.body.vin);
+    
+    const vehicle = findVehicle(vin);
+    if (!vehicle) {
+      return res.status(404).json({
+        error: 'Vehicle not found',
+        message: `No vehicle found with VIN: ${vin}`
+      });
+    }
+    
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json(invalidRequest([{
+        location: 'body',
+        field: 'items',
+        message: 'items must list at least one part as { partId, quantity }'
+      }]));
+    }
+    
+    const errors = [
+      ...checkLocation(location),
+      ...items.flatMap((item, index) => checkItem(item, vehicle, `items[${index}]`))
+    ];
+    if (errors.length > 0) {
+      return res.status(400).json(invalidRequest(errors));
+    }
+    
+    const merged = items.reduce(addItem, []);
+    if (merged.length > MAX_QUOTE_ITEMS) {
+      return res.status(400).json(tooManyItems());
+    }
+    
+    const quote = await createQuote({
+      customerId: req.user.id,
+      vin,
+      location: location || null,
+      items: merged
+    });
+    
+    res.status(201).json({
+      success: true,
+      data: await presentQuote(quote, vehicle, req.locale),
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('Error in createPartQuote:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to create quote'
+    });
+  }
+}
+
+/**
+ * Get a quote with its options, planned against the current inventory
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getPartQuote(req, res) {
+  try {
+    const { quoteId } = req.params;
+    
+    const quote = await getQuote(quoteId);
+    if (!quote || !isRequestOwner(req.user, quote)) {
+      return res.status(404).json(quoteNotFound(quoteId));
+    }
+    
+    res.json({
+      success: true,
+      data: await presentQuote(quote, findVehicle(quote.vin), req.locale),
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('Error in getPartQuote:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve quote'
+    });
+  }
+}
+
+/**
+ * Add a part to a quote; a part already in the quote in the same condition gets the quantity added
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function addQuoteItem(req, res) {
+  try {
+    const { quoteId } = req.params;
+    
+    const quote = await getQuote(quoteId);
+    if (!quote || !isRequestOwner(req.user, quote)) {
+      return res.status(404).json(quoteNotFound(quoteId));
+    }
+    if (quote.status !== 'open') {
+      return res.status(409).json(quoteClosed(quote));
+    }
+    
+    const vehicle = findVehicle(quote.vin);
+    const errors = checkItem(req.body, vehicle, null);
+    if (errors.length > 0) {
+      return res.status(400).json(invalidRequest(errors));
+    }
+    
+    const items = addItem(quote.items, req.body);
+    if (items.length > MAX_QUOTE_ITEMS) {
+      return res.status(400).json(tooManyItems());
+    }
+    
+    const updated = await updateQuote(quoteId, { items });
+    
+    res.json({
+      success: true,
+      data: await presentQuote(updated, vehicle, req.locale),
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('Error in addQuoteItem:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to add part to quote'
+    });
+  }
+}
+
+/**
+ * Remove a part from a quote, in every condition it was added in
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function removeQuoteItem(req, res) {
+  try {
+    const { quoteId, partId } = req.params;
+    
+    const quote = await getQuote(quoteId);
+    if (!quote || !isRequestOwner(req.user, quote)) {
+      return res.status(404).json(quoteNotFound(quoteId));
+    }
+    if (quote.status !== 'open') {
+      return res.status(409).json(quoteClosed(quote));
+    }
+    
+    const items = quote.items.filter(item => item.partId !== partId);
+    if (items.length === quote.items.length) {
+      return res.status(404).json({
+        error: 'Part not in quote',
+        message: `Part ${partId} is not in quote ${quoteId}`
+      });
+    }
+    
+    const updated = await updateQuote(quoteId, { items });
+    
+    res.json({
+      success: true,
+      data: await presentQuote(updated, findVehicle(quote.vin), req.locale),
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('Error in removeQuoteItem:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to remove part from quote'
+    });
+  }
+}
+
+/**
+ * Convert a quote into an order request for the sellers of one of its options
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function orderPartQuote(req, res) {
+  try {
+    const { quoteId } = req.params;
+    const { strategy, userEmail, description, urgency, callbackUrl } = req.body;
+    
+    const quote = await getQuote(quoteId);
+    if (!quote || !isRequestOwner(req.user, quote)) {
+      return res.status(404).json(quoteNotFound(quoteId));
+    }
+    if (quote.status !== 'open') {
+      return res.status(409).json(quoteClosed(quote));
+    }
+    if (quote.items.length === 0) {
+      return res.status(409).json({
+        error: 'Quote empty',
+        message: 'Add parts to the quote before ordering it'
+      });
+    }
+    
+    // Planned again, so the order follows the stock and prices of now
+    const { options, unavailable } = planQuote(quote.items, await listQuoteListings(quote));
+    if (unavailable.length > 0) {
+      return res.status(409).json({
+        error: 'Quote incomplete',
+        message: 'Sellers no longer stock every part of the quote in the quantity asked for',
+        unavailable,
+        suggestion: 'Lower the quantities or remove the parts listed in unavailable'
+      });
+    }
+    const option = options[strategy];
+    
+    // Each seller confirms or declines their own lines of the order
+    const lines = option.sellers.flatMap(seller => seller.lines.map(line => ({ sellerId: seller.sellerId, ...line, status: 'pending' })));
+    const request = buildRequest({
+      customerId: req.user.id,
+      vin: quote.vin,
+      quoteId,
+      strategy,
+      lines,
+      total: option.total,
+      deliveryEstimate: option.deliveryEstimate,
+      userEmail,
+      description,
+      urgency,
+      location: quote.location,
+      callbackUrl
+    });
+    
+    // The order holds its units until it is delivered, declined, cancelled or expired
+    if (!(await reserveStock(lines))) {
+      return res.status(409).json({
+        error: 'Quote incomplete',
+        message: 'Sellers sold part of the quote while it was being ordered',
+        suggestion: 'Read the quote again for the current options and order it again'
+      });
+    }
+    
+    // Another order of the same quote may have got in first; it keeps the quote and this one gives its units back
+    if (!(await markQuoteOrdered(quoteId, { requestId: request.requestId, strategy }))) {
+      await releaseStock(lines);
+      return res.status(409).json(quoteClosed(await getQuote(quoteId)));
+    }
+    await createRequest(request);
+    
+    // Only the sellers of the order hear about it, each about their own lines
+    const notifications = await notifySellers(request);
+    
+    res.status(201).json({
+      success: true,
+      data: {
+        requestId: request.requestId,
+        quoteId,
+        status: 'pending',
+        strategy,
+        lines: lines.map(line => ({ ...line, partName: partName(line.partId, req.locale) })),
+        total: option.total,
+        sellerCount: option.sellerCount,
+        deliveryEstimate: option.deliveryEstimate,
+        deliveryTime: formatDeliveryTime(option.deliveryEstimate, req.locale),
+        expiresAt: request.expiresAt,
+        message: translate(req.locale, 'order.created'),
+        notificationsPending: notifications.pending,
+        ...(callbackUrl && { callbackUrl, callbackSecret: request.callbackSecret })
+      },
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('Error in orderPartQuote:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to order quote'
+    });
+  }
+}
+
+/**
+ * Helper function to find the vehicle of a quote
+ * @param {string} vin - VIN
+ * @returns {Object} - Vehicle record
+ */
+function findVehicle(vin) {
+  return mockVehicles.find(v => v.vin === vin);
+}
+
+/**
+ * Helper function to check the customer location of a quote
+ * @param {*} location - City or district name
+ * @returns {Array} - Validation errors
+ */
+function checkLocation(location) {
+  if (location === undefined || location === null) return [];
+  if (typeof location !== 'string' || !geocode(location)) {
+    return [{
+      location: 'body',
+      field: 'location',
+      message: `No Turkish province or district found for: ${location}`
+    }];
+  }
+  return [];
+}
+
+/**
+ * Helper function to check a quote item: a known part that fits the vehicle, its quantity and condition
+ * @param {Object} item - { partId, quantity, condition }
+ * @param {Object} vehicle - Vehicle record
+ * @param {string|null} prefix - Field prefix for items of a list, e.g. items[0]
+ * @returns {Array} - Validation errors
+ */
+function checkItem(item, vehicle, prefix) {
+  const field = name => (prefix ? `${prefix}.${name}` : name);
+  if (!item || typeof item !== 'object') {
+    return [{ location: 'body', field: prefix, message: `${prefix} must be an object with a partId` }];
+  }
+  
+  const { partId, quantity, condition } = item;
+  const errors = [];
+  const part = partsById.get(partId);
+  if (!part) {
+    errors.push({ location: 'body', field: field('partId'), message: partId ? `Unknown part ID: ${partId}` : 'Part ID is required' });
+  } else {
+    const fitment = checkFitment(part, vehicle);
+    if (!fitment.compatible) {
+      errors.push({
+        location: 'body',
+        field: field('partId'),
+        message: `${partId} doesn't fit the ${vehicle.make} ${vehicle.model} ${vehicle.year}`,
+        reasons: fitment.reasons
+      });
+    }
+  }
+  if (quantity !== undefined && !(Number.isInteger(quantity) && quantity >= 1 && quantity <= MAX_ITEM_QUANTITY)) {
+    errors.push({ location: 'body', field: field('quantity'), message: `Quantity must be a whole number from 1 to ${MAX_ITEM_QUANTITY}` });
+  }
+  if (condition !== undefined && !CONDITIONS.includes(condition)) {
+    errors.push({ location: 'body', field: field('condition'), message: `Condition must be one of: ${CONDITIONS.join(', ')}` });
+  }
+  return errors;
+}
+
+/**
+ * Helper function to add an item to a list of quote items, merging it with the same part and condition
+ * @param {Array} items - Quote items
+ * @param {Object} item - Checked item: { partId, quantity, condition }
+ * @returns {Array} - New list of items
+ */
+function addItem(items, { partId, quantity = 1, condition }) {
+  const index = items.findIndex(existing => existing.partId === partId && existing.condition === condition);
+  if (index === -1) {
+    return [...items, { partId, quantity, ...(condition && { condition }) }];
+  }
+  return items.map((existing, i) => (i === index
+    ? { ...existing, quantity: Math.min(existing.quantity + quantity, MAX_ITEM_QUANTITY) }
+    : existing));
+}
+
+/**
+ * Helper function to list the in-stock listings of a quote's parts with their sellers and delivery estimates
+ * @param {Object} quote - Stored quote
+ * @returns {Promise<Array>} - Listings for the planner
+ */
+async function listQuoteListings(quote) {
+  const origin = quote.location ? geocode(quote.location) : null;
+  const partIds = [...new Set(quote.items.map(item => item.partId))];
+  const listings = (await Promise.all(partIds.map(partId => listInventory({ partId })))).flat();
+  
+  return listings
+    .filter(item => item.stock > 0 && sellersById.has(item.sellerId))
+    .map(item => {
+      const seller = sellersById.get(item.sellerId);
+      const sellerLocation = locateSeller(seller);
+      const distance = origin && sellerLocation ? distanceKm(origin, sellerLocation) : null;
+      return {
+        ...item,
+        sellerName: seller.name,
+        location: seller.location,
+        rating: seller.rating,
+        distanceKm: distance === null ? null : Math.round(distance * 10) / 10,
+        deliveryEstimate: estimateDelivery(distance)
+      };
+    });
+}
+
+/**
+ * Helper function to translate a part name
+ * @param {string} partId - Part ID
+ * @param {string} locale - Response locale
+ * @returns {string} - Part name
+ */
+function partName(partId, locale) {
+  return translatePartName(locale, partsById.get(partId).name);
+}
+
+/**
+ * Helper function to build the response of a quote: its items and options with localized names and delivery times
+ * @param {Object} quote - Stored quote
+ * @param {Object} vehicle - Vehicle record
+ * @param {string} locale - Response locale
+ * @returns {Promise<Object>} - Quote as returned by the API
+ */
+async function presentQuote(quote, vehicle, locale) {
+  const { options, unavailable } = planQuote(quote.items, await listQuoteListings(quote));
+  
+  const localizeOption = option => ({
+    ...option,
+    deliveryTime: formatDeliveryTime(option.deliveryEstimate, locale),
+    sellers: option.sellers.map(seller => ({
+      ...seller,
+      deliveryTime: formatDeliveryTime(seller.deliveryEstimate, locale),
+      lines: seller.lines.map(line => ({ ...line, partName: partName(line.partId, locale) }))
+    }))
+  });
+  
+  return {
+    quoteId: quote.quoteId,
+    status: quote.status,
+    vin: quote.vin,
+    vehicle: { make: vehicle.make, model: vehicle.model, year: vehicle.year },
+    location: quote.location,
+    items: quote.items.map(item => ({
+      ...item,
+      name: partName(item.partId, locale),
+      category: translateCategory(locale, partsById.get(item.partId).category)
+    })),
+    options: options && Object.fromEntries(Object.entries(options).map(([strategy, option]) => [strategy, localizeOption(option)])),
+    unavailable: unavailable.map(item => ({ ...item, name: partName(item.partId, locale) })),
+    ...(quote.requestId && { requestId: quote.requestId, strategy: quote.strategy }),
+    createdAt: quote.createdAt,
+    updatedAt: quote.updatedAt,
+    pricedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Helper function to build the error body for an unknown quote
+ * @param {string} quoteId - Quote ID
+ * @returns {Object} - Error response body
+ */
+function quoteNotFound(quoteId) {
+  return {
+    error: 'Quote not found',
+    message: `No quote found with ID: ${quoteId}`
+  };
+}
+
+/**
+ * Helper function to build the error body for a change to an ordered quote
+ * @param {Object} quote - Stored quote
+ * @returns {Object} - Error response body
+ */
+function quoteClosed(quote) {
+  return {
+    error: 'Quote ordered',
+    message: `Quote ${quote.quoteId} was converted to request ${quote.requestId} and can no longer change`,
+    requestId: quote.requestId
+  };
+}
+
+/**
+ * Helper function to build the error body for a quote with too many parts
+ * @returns {Object} - Error response body
+ */
+function tooManyItems() {
+  return invalidRequest([{
+    location: 'body',
+    field: 'items',
+    message: `A quote holds at most ${MAX_QUOTE_ITEMS} different parts`
+  }]);
+}
+
+module.exports = {
+  createPartQuote,
+  getPartQuote,
+  addQuoteItem,
+  removeQuoteItem,
+  orderPartQuote
+};
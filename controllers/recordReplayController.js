@@ -0,0 +1,61 @@
+const { getRecordReplayStatus, rewindReplay } = require('../utils/recordReplay');
+
+/**
+ * Get the record/replay mode, its fixture and the unmatched requests
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getRecordReplay(req, res) {
+  try {
+    res.json({
+      success: true,
+      data: getRecordReplayStatus(),
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('Error in getRecordReplay:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve record/replay status'
+    });
+  }
+}
+
+/**
+ * Start the replay over from the first recorded responses
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function rewindRecordReplay(req, res) {
+  try {
+    const { mode } = getRecordReplayStatus();
+    
+    if (mode !== 'replay') {
+      return res.status(409).json({
+        error: 'Not replaying',
+        message: `Record/replay mode is ${mode}, set MOCK_REPLAY to a fixture to replay it`
+      });
+    }
+    
+    rewindReplay();
+    
+    res.json({
+      success: true,
+      data: getRecordReplayStatus(),
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('Error in rewindRecordReplay:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to rewind replay'
+    });
+  }
+}
+
+module.exports = {
+  getRecordReplay,
+  rewindRecordReplay
+};
@@ -0,0 +1,784 @@
+const fs = require('fs');
+const path = require('path');
+const { getRequest, updateRequest, changeRequestStatus, addOffer, getOffer, updateOffer, listOffers } = require('../utils/requestStore');
+const {
+  DEFAULT_OFFER_VALID_HOURS,
+  requestKind,
+  getAllowedTransitions,
+  checkTransition,
+  formatTransitionError,
+  isOpenForOffers
+} = require('../utils/requestLifecycle');
+const { canViewRequest, isRequestOwner, redactRequest } = require('../utils/auth');
+const { listRequestNotifications, summarizeNotifications } = require('../utils/notifications');
+const { subscribeToRequest } = require('../utils/requestEvents');
+const { deliverStock } = require('../utils/inventoryStore');
+
+const SSE_RETRY_MS = 5000;
+const SSE_HEARTBEAT_SECONDS = 25;
+
+// Load mock data
+const mockSellers = JSON.parse(fs.readFileSync(path.join(__dirname, '../data/mockSellers.json'), 'utf8'));
+const sellersById = new Map(mockSellers.global_sellers.map(seller => [seller.id, seller]));
+
+/**
+ * Seller starts sourcing the part for a request
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function startRequest(req, res) {
+  try {
+    const { requestId } = req.params;
+    const acting = resolveActingSeller(req);
+    
+    if (acting.error) {
+      return res.status(403).json(acting.error);
+    }
+    if (!sellersById.has(acting.sellerId)) {
+      return res.status(400).json(invalidSeller(acting.sellerId));
+    }
+    
+    const request = await getRequest(requestId);
+    if (!request) {
+      return res.status(404).json(requestNotFound(requestId));
+    }
+    if (request.lines && !request.lines.some(line => line.sellerId === acting.sellerId)) {
+      return res.status(403).json(notOrderSeller(acting.sellerId));
+    }
+    
+    const transition = checkTransition(request.status, 'in_progress', requestKind(request));
+    if (!transition.valid) {
+      return res.status(409).json(formatTransitionError(transition));
+    }
+    
+    const updated = await changeRequestStatus(requestId, 'in_progress', { startedBy: acting.sellerId });
+    
+    res.json({
+      success: true,
+      data: withTransitions(req.user, updated),
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('Error in startRequest:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to start request'
+    });
+  }
+}
+
+/**
+ * Seller submits an offer against a request
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function submitOffer(req, res) {
+  try {
+    const { requestId } = req.params;
+    const { price, stock, deliveryDays, shippingCost = 0, note, validForHours = DEFAULT_OFFER_VALID_HOURS } = req.body;
+    const acting = resolveActingSeller(req);
+    
+    if (acting.error) {
+      return res.status(403).json(acting.error);
+    }
+    const seller = sellersById.get(acting.sellerId);
+    if (!seller) {
+      return res.status(400).json(invalidSeller(acting.sellerId));
+    }
+    
+    const request = await getRequest(requestId);
+    if (!request) {
+      return res.status(404).json(requestNotFound(requestId));
+    }
+    
+    // The customer already chose the sellers and prices of an order
+    if (request.lines) {
+      return res.status(409).json({
+        error: 'Order request',
+        message: 'Order requests take no offers; their sellers confirm or decline their own lines',
+        suggestion: `POST /api/sellers/request/${requestId}/lines/confirm or /lines/decline`
+      });
+    }
+    
+    if (!isOpenForOffers(request.status)) {
+      return res.status(409).json(requestClosed(request));
+    }
+    
+    const offer = await addOffer(requestId, {
+      sellerId: seller.id,
+      sellerName: seller.name,
+      location: seller.location,
+      partId: request.partId,
+      price,
+      stock,
+      deliveryDays,
+      shippingCost,
+      totalPrice: price + shippingCost,
+      note: note || '',
+      status: 'pending',
+      validUntil: new Date(Date.now() + validForHours * 60 * 60 * 1000).toISOString()
+    });
+    
+    // The first offer moves the request forward
+    const updated = request.status === 'offers_received'
+      ? request
+      : await changeRequestStatus(requestId, 'offers_received');
+      
+    res.status(201).json({
+      success: true,
+      data: {
+        offer,
+        request: withTransitions(req.user, updated)
+      },
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('Error in submitOffer:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to submit offer'
+    });
+  }
+}
+
+/**
+ * Seller of an order confirms their lines; once every line is confirmed the order is accepted
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function confirmOrderLines(req, res) {
+  try {
+    const { requestId } = req.params;
+    const found = await findOrderLines(req);
+    
+    if (found.error) {
+      return res.status(found.status).json(found.error);
+    }
+    const { request, sellerId } = found;
+    
+    const confirmedAt = new Date().toISOString();
+    const lines = request.lines.map(line => (line.sellerId === sellerId
+      ? { ...line, status: 'confirmed', confirmedAt }
+      : line));
+      
+    // The first confirmation starts the order, like a seller starting a part request
+    let updated = request.status === 'pending'
+      ? await changeRequestStatus(requestId, 'in_progress', { lines })
+      : await updateRequest(requestId, { lines });
+    if (lines.every(line => line.status === 'confirmed')) {
+      updated = await changeRequestStatus(requestId, 'accepted');
+    }
+    
+    res.json({
+      success: true,
+      data: withTransitions(req.user, updated),
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('Error in confirmOrderLines:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to confirm order lines'
+    });
+  }
+}
+
+/**
+ * Seller of an order declines their lines; the order can't be completed and is cancelled
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function declineOrderLines(req, res) {
+  try {
+    const { requestId } = req.params;
+    const { reason } = req.body;
+    const found = await findOrderLines(req);
+    
+    if (found.error) {
+      return res.status(found.status).json(found.error);
+    }
+    const { request, sellerId } = found;
+    
+    const declinedAt = new Date().toISOString();
+    const lines = request.lines.map(line => (line.sellerId === sellerId
+      ? { ...line, status: 'declined', declinedAt }
+      : line));
+      
+    const updated = await changeRequestStatus(requestId, 'cancelled', {
+      lines,
+      declinedBy: sellerId,
+      cancellationReason: reason || `Seller ${sellerId} declined their lines`
+    });
+    
+    res.json({
+      success: true,
+      data: withTransitions(req.user, updated),
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('Error in declineOrderLines:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to decline order lines'
+    });
+  }
+}
+
+/**
+ * List the offers made against a request
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getRequestOffers(req, res) {
+  try {
+    const { requestId } = req.params;
+    const { status } = req.query;
+    
+    const request = await getRequest(requestId);
+    if (!request || !canViewRequest(req.user, request)) {
+      return res.status(404).json(requestNotFound(requestId));
+    }
+    
+    let offers = await listOffers(requestId);
+    // Sellers don't see what their competitors offered
+    if (req.user.role === 'seller') {
+      offers = offers.filter(offer => offer.sellerId === req.user.id);
+    }
+    if (status) {
+      offers = offers.filter(offer => offer.status === status);
+    }
+    
+    // Cheapest first, like the seller listings
+    offers.sort((a, b) => a.totalPrice - b.totalPrice);
+    
+    res.json({
+      success: true,
+      data: {
+        requestId,
+        requestStatus: request.status,
+        offers,
+        count: offers.length
+      },
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('Error in getRequestOffers:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve offers'
+    });
+  }
+}
+
+/**
+ * Customer accepts an offer; the other pending offers are rejected
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function acceptOffer(req, res) {
+  try {
+    const { requestId, offerId } = req.params;
+    
+    const request = await getRequest(requestId);
+    if (!request || !isRequestOwner(req.user, request)) {
+      return res.status(404).json(requestNotFound(requestId));
+    }
+    
+    const offer = await getOffer(offerId);
+    if (!offer || offer.requestId !== requestId) {
+      return res.status(404).json(offerNotFound(offerId, requestId));
+    }
+    
+    if (offer.status !== 'pending') {
+      return res.status(409).json(offerNotPending(offer));
+    }
+    
+    const transition = checkTransition(request.status, 'accepted');
+    if (!transition.valid) {
+      return res.status(409).json(formatTransitionError(transition));
+    }
+    
+    const accepted = await updateOffer(offerId, { status: 'accepted' });
+    await rejectPendingOffers(requestId, 'Another offer was accepted');
+    const updated = await changeRequestStatus(requestId, 'accepted', { acceptedOfferId: offerId });
+    
+    res.json({
+      success: true,
+      data: {
+        offer: accepted,
+        request: withTransitions(req.user, updated)
+      },
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('Error in acceptOffer:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to accept offer'
+    });
+  }
+}
+
+/**
+ * Customer rejects an offer; with no pending offers left the request goes back to in_progress
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function rejectOffer(req, res) {
+  try {
+    const { requestId, offerId } = req.params;
+    const { reason } = req.body;
+    
+    const request = await getRequest(requestId);
+    if (!request || !isRequestOwner(req.user, request)) {
+      return res.status(404).json(requestNotFound(requestId));
+    }
+    
+    const offer = await getOffer(offerId);
+    if (!offer || offer.requestId !== requestId) {
+      return res.status(404).json(offerNotFound(offerId, requestId));
+    }
+    
+    if (offer.status !== 'pending') {
+      return res.status(409).json(offerNotPending(offer));
+    }
+    
+    const rejected = await updateOffer(offerId, { status: 'rejected', rejectionReason: reason || '' });
+    
+    let updated = request;
+    const remaining = (await listOffers(requestId)).filter(other => other.status === 'pending');
+    if (remaining.length === 0 && checkTransition(request.status, 'in_progress').valid) {
+      updated = await changeRequestStatus(requestId, 'in_progress');
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        offer: rejected,
+        request: withTransitions(req.user, updated)
+      },
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('Error in rejectOffer:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to reject offer'
+    });
+  }
+}
+
+/**
+ * Customer cancels a request; pending offers are rejected
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function cancelRequest(req, res) {
+  try {
+    const { requestId } = req.params;
+    const { reason } = req.body;
+    
+    const request = await getRequest(requestId);
+    if (!request || !isRequestOwner(req.user, request)) {
+      return res.status(404).json(requestNotFound(requestId));
+    }
+    
+    const transition = checkTransition(request.status, 'cancelled', requestKind(request));
+    if (!transition.valid) {
+      return res.status(409).json(formatTransitionError(transition));
+    }
+    
+    await rejectPendingOffers(requestId, 'The request was cancelled');
+    const updated = await changeRequestStatus(requestId, 'cancelled', { cancellationReason: reason || '' });
+    
+    res.json({
+      success: true,
+      data: withTransitions(req.user, updated),
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('Error in cancelRequest:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to cancel request'
+    });
+  }
+}
+
+/**
+ * Seller of the accepted offer marks the request as delivered
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function fulfillRequest(req, res) {
+  try {
+    const { requestId } = req.params;
+    const acting = resolveActingSeller(req);
+    
+    if (acting.error) {
+      return res.status(403).json(acting.error);
+    }
+    
+    const request = await getRequest(requestId);
+    if (!request) {
+      return res.status(404).json(requestNotFound(requestId));
+    }
+    
+    const transition = checkTransition(request.status, 'fulfilled', requestKind(request));
+    if (!transition.valid) {
+      return res.status(409).json(formatTransitionError(transition));
+    }
+    
+    // Each seller of an order delivers their own lines; the order is fulfilled with the last of them
+    if (request.lines) {
+      if (!request.lines.some(line => line.sellerId === acting.sellerId)) {
+        return res.status(403).json(notOrderSeller(acting.sellerId));
+      }
+      if (request.lines.every(line => line.sellerId !== acting.sellerId || line.status === 'delivered')) {
+        return res.status(409).json({
+          error: 'Lines already delivered',
+          message: `Seller ${acting.sellerId} has already delivered their lines of this order`
+        });
+      }
+      
+      const deliveredAt = new Date().toISOString();
+      const lines = request.lines.map(line => (line.sellerId === acting.sellerId
+        ? { ...line, status: 'delivered', deliveredAt }
+        : line));
+      const updated = lines.every(line => line.status === 'delivered')
+        ? await changeRequestStatus(requestId, 'fulfilled', { lines })
+        : await updateRequest(requestId, { lines });
+      await deliverStock(request.lines.filter(line => line.sellerId === acting.sellerId));
+      
+      return res.json({
+        success: true,
+        data: withTransitions(req.user, updated),
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const acceptedOffer = await getOffer(request.acceptedOfferId);
+    if (!acceptedOffer || acceptedOffer.sellerId !== acting.sellerId) {
+      return res.status(403).json({
+        error: 'Not the accepted seller',
+        message: 'Only the seller whose offer was accepted can fulfill this request'
+      });
+    }
+    
+    const updated = await changeRequestStatus(requestId, 'fulfilled');
+    
+    res.json({
+      success: true,
+      data: withTransitions(req.user, updated),
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('Error in fulfillRequest:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fulfill request'
+    });
+  }
+}
+
+/**
+ * List the seller notifications and customer callbacks of a request with their delivery logs
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getRequestNotifications(req, res) {
+  try {
+    const { requestId } = req.params;
+    
+    const request = await getRequest(requestId);
+    if (!request || !isRequestOwner(req.user, request)) {
+      return res.status(404).json(requestNotFound(requestId));
+    }
+    
+    const notifications = await listRequestNotifications(requestId);
+    
+    res.json({
+      success: true,
+      data: {
+        requestId,
+        summary: summarizeNotifications(notifications),
+        notifications: notifications.map(({ message, signingSecret, ...delivery }) => ({ ...delivery, subject: message.subject }))
+      },
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('Error in getRequestNotifications:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve notifications'
+    });
+  }
+}
+
+/**
+ * Stream the events of a request as server-sent events
+ * Starts with a request.snapshot of the current state, then sends request.status_changed and
+ * offer.created as they happen; the stream ends once the request reaches a final status.
+ * Reconnecting clients get a fresh snapshot instead of a replay.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function streamRequestEvents(req, res) {
+  try {
+    const { requestId } = req.params;
+    
+    const request = await getRequest(requestId);
+    if (!request || !canViewRequest(req.user, request)) {
+      return res.status(404).json(requestNotFound(requestId));
+    }
+    
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      // Stops nginx from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${SSE_RETRY_MS}\n\n`);
+    
+    const send = event => res.write(`id: ${event.eventId}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    const isFinal = status => getAllowedTransitions(status, requestKind(request)).length === 0;
+    
+    send({
+      eventId: `evt-${requestId}-snapshot`,
+      type: 'request.snapshot',
+      requestId,
+      occurredAt: new Date().toISOString(),
+      data: withTransitions(req.user, request)
+    });
+    if (isFinal(request.status)) {
+      return res.end();
+    }
+    
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), SSE_HEARTBEAT_SECONDS * 1000);
+    const close = () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+      res.end();
+    };
+    const unsubscribe = subscribeToRequest(requestId, event => {
+      // Sellers only follow their own offers, as in getRequestOffers
+      if (event.type === 'offer.created' && req.user.role === 'seller' && event.data.sellerId !== req.user.id) {
+        return;
+      }
+      send(event);
+      if (event.type === 'request.status_changed' && isFinal(event.data.status)) {
+        close();
+      }
+    }, close);
+    
+    req.on('close', close);
+    
+  } catch (error) {
+    console.error('Error in streamRequestEvents:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to stream request events'
+    });
+  }
+}
+
+/**
+ * Helper function to find the seller a call acts for
+ * Sellers always act for themselves; admins name the seller with sellerId in the body.
+ * @param {Object} req - Express request object
+ * @returns {Object} - { sellerId } or { error } if a seller tries to act for another one
+ */
+function resolveActingSeller(req) {
+  const { sellerId } = req.body;
+  if (req.user.role !== 'seller') {
+    return { sellerId };
+  }
+  if (sellerId && sellerId !== req.user.id) {
+    return {
+      error: {
+        error: 'Forbidden',
+        message: `Seller ${req.user.id} cannot act for seller ${sellerId}`
+      }
+    };
+  }
+  return { sellerId: req.user.id };
+}
+
+/**
+ * Helper function to find an open order and check the acting seller still has lines to answer in it
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} - { request, sellerId } or { status, error } with an error response body
+ */
+async function findOrderLines(req) {
+  const { requestId } = req.params;
+  const acting = resolveActingSeller(req);
+  if (acting.error) {
+    return { status: 403, error: acting.error };
+  }
+  if (!sellersById.has(acting.sellerId)) {
+    return { status: 400, error: invalidSeller(acting.sellerId) };
+  }
+  
+  const request = await getRequest(requestId);
+  if (!request) {
+    return { status: 404, error: requestNotFound(requestId) };
+  }
+  if (!request.lines) {
+    return {
+      status: 409,
+      error: {
+        error: 'Not an order',
+        message: 'Only order requests have lines; answer part requests with an offer',
+        suggestion: `POST /api/sellers/request/${requestId}/offers`
+      }
+    };
+  }
+  
+  const own = request.lines.filter(line => line.sellerId === acting.sellerId);
+  if (own.length === 0) {
+    return { status: 403, error: notOrderSeller(acting.sellerId) };
+  }
+  if (!isOpenForOffers(request.status)) {
+    return { status: 409, error: requestClosed(request) };
+  }
+  if (own.some(line => line.status !== 'pending')) {
+    return {
+      status: 409,
+      error: {
+        error: 'Lines already answered',
+        message: `Seller ${acting.sellerId} has already ${own[0].status} their lines of this order`,
+        lineStatus: own[0].status
+      }
+    };
+  }
+  return { request, sellerId: acting.sellerId };
+}
+
+/**
+ * Helper function to reject every pending offer of a request
+ * @param {string} requestId - Request ID
+ * @param {string} reason - Rejection reason stored on the offers
+ */
+async function rejectPendingOffers(requestId, reason) {
+  const offers = await listOffers(requestId);
+  for (const offer of offers.filter(other => other.status === 'pending')) {
+    await updateOffer(offer.offerId, { status: 'rejected', rejectionReason: reason });
+  }
+}
+
+/**
+ * Helper function to add the allowed next statuses to a request, as the caller may see it
+ * @param {Object} user - Authenticated caller
+ * @param {Object} request - Stored request
+ * @returns {Object} - Request with allowedTransitions
+ */
+function withTransitions(user, request) {
+  return {
+    ...redactRequest(user, request),
+    allowedTransitions: getAllowedTransitions(request.status, requestKind(request))
+  };
+}
+
+/**
+ * Builds the error body for an unknown request
+ * @param {string} requestId - Requested ID
+ * @returns {Object} - Error response body
+ */
+function requestNotFound(requestId) {
+  return {
+    error: 'Request not found',
+    message: `No request found with ID: ${requestId}`
+  };
+}
+
+/**
+ * Builds the error body for an unknown offer
+ * @param {string} offerId - Requested offer ID
+ * @param {string} requestId - Request the offer should belong to
+ * @returns {Object} - Error response body
+ */
+function offerNotFound(offerId, requestId) {
+  return {
+    error: 'Offer not found',
+    message: `No offer ${offerId} found for request ${requestId}`
+  };
+}
+
+/**
+ * Builds the error body for an offer that was already decided or has expired
+ * @param {Object} offer - Stored offer
+ * @returns {Object} - Error response body
+ */
+function offerNotPending(offer) {
+  return {
+    error: 'Offer not available',
+    message: `The offer is ${offer.status} and can no longer be accepted or rejected`,
+    offerStatus: offer.status
+  };
+}
+
+/**
+ * Builds the error body for a request that no longer takes offers or answers
+ * @param {Object} request - Stored request
+ * @returns {Object} - Error response body
+ */
+function requestClosed(request) {
+  return {
+    error: 'Request closed',
+    message: `The request is ${request.status} and no longer accepts offers`,
+    currentStatus: request.status
+  };
+}
+
+/**
+ * Builds the error body for a seller who has no lines in an order
+ * @param {string} sellerId - Acting seller
+ * @returns {Object} - Error response body
+ */
+function notOrderSeller(sellerId) {
+  return {
+    error: 'Not a seller of the order',
+    message: `Seller ${sellerId} has no lines in this order`
+  };
+}
+
+/**
+ * Builds the error body for a missing or unknown seller ID
+ * @param {string} sellerId - Seller ID from the request body
+ * @returns {Object} - Error response body
+ */
+function invalidSeller(sellerId) {
+  return {
+    error: 'Invalid seller',
+    message: sellerId ? `No seller found with ID: ${sellerId}` : 'sellerId is required'
+  };
+}
+
+module.exports = {
+  startRequest,
+  submitOffer,
+  confirmOrderLines,
+  declineOrderLines,
+  getRequestOffers,
+  acceptOffer,
+  rejectOffer,
+  cancelRequest,
+  fulfillRequest,
+  getRequestNotifications,
+  streamRequestEvents
+};
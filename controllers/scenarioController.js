@@ -0,0 +1,256 @@
+const {
+  validateScenario,
+  getScenario,
+  listScenarios,
+  saveScenario,
+  deleteScenario,
+  getActiveScenarios,
+  setActiveScenarios
+} = require('../utils/mockScenarios');
+const { invalidRequest } = require('../utils/requestSchema');
+
+/**
+ * Builds the error body for an unknown scenario
+ * @param {string} name - Scenario name
+ * @returns {Object} - Error response body
+ */
+function scenarioNotFound(name) {
+  return {
+    error: 'Scenario not found',
+    message: `No mock scenario named ${name}`,
+    suggestion: 'List the scenarios at GET /api/admin/scenarios'
+  };
+}
+
+/**
+ * List the preset and saved mock scenarios
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getMockScenarios(req, res) {
+  try {
+    const scenarios = await listScenarios();
+    
+    res.json({
+      success: true,
+      data: {
+        scenarios,
+        active: getActiveScenarios(),
+        count: scenarios.length
+      },
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('Error in getMockScenarios:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to list mock scenarios'
+    });
+  }
+}
+
+/**
+ * Get a single mock scenario
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getMockScenario(req, res) {
+  try {
+    const { name } = req.params;
+    const scenario = await getScenario(name);
+    
+    if (!scenario) {
+      return res.status(404).json(scenarioNotFound(name));
+    }
+    
+    res.json({
+      success: true,
+      data: scenario,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('Error in getMockScenario:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve mock scenario'
+    });
+  }
+}
+
+/**
+ * Create or replace a saved mock scenario; presets are read-only
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function putMockScenario(req, res) {
+  try {
+    const { name } = req.params;
+    
+    const existing = await getScenario(name);
+    if (existing && existing.preset) {
+      return res.status(409).json({
+        error: 'Preset scenario',
+        message: `${name} is a preset scenario and can't be changed, save your version under another name`
+      });
+    }
+    
+    const errors = validateScenario(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json(invalidRequest(errors));
+    }
+    
+    const { scenario, created } = await saveScenario(name, req.body);
+    
+    res.status(created ? 201 : 200).json({
+      success: true,
+      data: scenario,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('Error in putMockScenario:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to save mock scenario'
+    });
+  }
+}
+
+/**
+ * Delete a saved mock scenario
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function deleteMockScenario(req, res) {
+  try {
+    const { name } = req.params;
+    
+    const existing = await getScenario(name);
+    if (!existing) {
+      return res.status(404).json(scenarioNotFound(name));
+    }
+    if (existing.preset) {
+      return res.status(409).json({
+        error: 'Preset scenario',
+        message: `${name} is a preset scenario and can't be deleted`
+      });
+    }
+    
+    await deleteScenario(name);
+    
+    res.json({
+      success: true,
+      message: `Mock scenario ${name} deleted`,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('Error in deleteMockScenario:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to delete mock scenario'
+    });
+  }
+}
+
+/**
+ * Get the scenarios that apply to every request
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getActiveMockScenarios(req, res) {
+  try {
+    res.json({
+      success: true,
+      data: { active: getActiveScenarios() },
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('Error in getActiveMockScenarios:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to retrieve active mock scenarios'
+    });
+  }
+}
+
+/**
+ * Activate scenarios for every request, replacing the active ones
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function setActiveMockScenarios(req, res) {
+  try {
+    const { scenarios } = req.body;
+    
+    if (!Array.isArray(scenarios) || scenarios.some(name => typeof name !== 'string')) {
+      return res.status(400).json(invalidRequest([{
+        location: 'body',
+        field: 'scenarios',
+        message: 'scenarios must be an array of scenario names'
+      }]));
+    }
+    
+    const found = await Promise.all(scenarios.map(getScenario));
+    const unknown = scenarios.filter((name, index) => !found[index]);
+    if (unknown.length > 0) {
+      return res.status(400).json(invalidRequest(unknown.map(name => ({
+        location: 'body',
+        field: 'scenarios',
+        message: `No mock scenario named ${name}`
+      }))));
+    }
+    
+    setActiveScenarios(scenarios);
+    
+    res.json({
+      success: true,
+      data: { active: getActiveScenarios() },
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('Error in setActiveMockScenarios:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to activate mock scenarios'
+    });
+  }
+}
+
+/**
+ * Deactivate all scenarios
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function clearActiveMockScenarios(req, res) {
+  try {
+    setActiveScenarios([]);
+    
+    res.json({
+      success: true,
+      data: { active: [] },
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('Error in clearActiveMockScenarios:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to deactivate mock scenarios'
+    });
+  }
+}
+
+module.exports = {
+  getMockScenarios,
+  getMockScenario,
+  putMockScenario,
+  deleteMockScenario,
+  getActiveMockScenarios,
+  setActiveMockScenarios,
+  clearActiveMockScenarios
+};
@@ -1,12 +1,27 @@
 const fs = require('fs');
 const path = require('path');
-const { simulateDelay, generateSellersForPart, generateRequestId } = require('../utils/matchUtils');
+const { translate } = require('../utils/i18n');
+const { listInventory } = require('../utils/inventoryStore');
+const { buildRequest, createRequest, getRequest, listOffers } = require('../utils/requestStore');
+const { requestKind, getAllowedTransitions } = require('../utils/requestLifecycle');
+const { canViewRequest, redactRequest } = require('../utils/auth');
+const { notifySellers, listRequestNotifications, summarizeNotifications } = require('../utils/notifications');
+const { geocode, locateSeller, distanceKm, estimateDelivery, formatDeliveryTime } = require('../utils/geoUtils');
+const { applyListQuery } = require('../utils/listQuery');
+const { invalidRequest } = require('../utils/requestSchema');
+const { normalizeVIN } = require('../utils/vinDecoder');
+
+// Weights of the sort=best score; distance only counts when the customer's location is known
+const BEST_WEIGHTS = {
+  withLocation: { price: 0.4, distance: 0.35, rating: 0.25 },
+  withoutLocation: { price: 0.6, distance: 0, rating: 0.4 }
+};
 
 // Load mock data
+const mockParts = JSON.parse(fs.readFileSync(path.join(__dirname, '../data/mockParts.json'), 'utf8'));
 const mockSellers = JSON.parse(fs.readFileSync(path.join(__dirname, '../data/mockSellers.json'), 'utf8'));
-
-// In-memory storage for pending requests (in production, use a database)
-const pendingRequests = new Map();
+const partIds = new Set(Object.values(mockParts).flatMap(parts => parts.map(part => part.id)));
+const sellersById = new Map(mockSellers.global_sellers.map(seller => [seller.id, seller]));
 
 /**
  * Get sellers for a specific part ID
@@ -15,26 +30,63 @@ const pendingRequests = new Map();
  */
 async function getSellersForPart(req, res) {
   try {
-    await simulateDelay(200, 700);
-    
     const { partId } = req.params;
+    const { listQuery } = req;
     
-    if (!partId) {
-      return res.status(400).json({
-        error: 'Missing part ID',
-        message: 'Part ID is required'
-      });
+    // The customer's location, from a city or district name or from coordinates
+    const resolved = resolveOrigin(req.query);
+    if (resolved.error) {
+      return res.status(400).json(resolved.error);
+    }
+    const { origin } = resolved;
+    
+    const needsDistance = listQuery.sort.some(({ name }) => name === 'distance') ||
+      listQuery.filters.some(({ name }) => name === 'maxDistanceKm');
+    if (needsDistance && !origin) {
+      return res.status(400).json(invalidRequest([{
+        location: 'query',
+        field: 'city',
+        message: 'Sorting or filtering by distance needs the customer location as city or lat and lon'
+      }]));
     }
     
-    // Check if we have predefined sellers for this part
-    let sellers = mockSellers[partId];
+    // Sellers come from their inventory; listings without stock are left out
+    const items = await listInventory({ partId });
+    const sellers = items.filter(item => item.stock > 0 && sellersById.has(item.sellerId));
+    
+    // Add some additional metadata; delivery estimates follow from the distance to the customer
+    const sellersWithMetadata = sellers.map(item => {
+      const seller = sellersById.get(item.sellerId);
+      const sellerLocation = locateSeller(seller);
+      const distance = origin && sellerLocation ? distanceKm(origin, sellerLocation) : null;
+      const deliveryEstimate = estimateDelivery(distance);
+      return {
+        sellerId: seller.id,
+        itemId: item.itemId,
+        name: seller.name,
+        location: seller.location,
+        distanceKm: distance === null ? null : Math.round(distance * 10) / 10,
+        price: item.price,
+        stock: item.stock,
+        condition: item.condition,
+        warrantyMonths: item.warrantyMonths,
+        rating: seller.rating,
+        phone: seller.phone,
+        email: seller.email,
+        deliveryTime: formatDeliveryTime(deliveryEstimate, req.locale),
+        deliveryEstimate,
+        warranty: formatWarranty(item.warrantyMonths, req.locale),
+        paymentMethods: ['payment.cash', 'payment.creditCard', 'payment.bankTransfer'].map(key => translate(req.locale, key)),
+        lastUpdated: item.updatedAt
+      };
+    });
     
-    // If no predefined sellers, generate some using global sellers
-    if (!sellers && mockSellers.global_sellers) {
-      sellers = generateSellersForPart(partId, mockSellers.global_sellers);
-    }
+    // Scores compare each seller with all sellers of the part, so they don't change between pages or with filters
+    const sortsByScore = listQuery.sort.some(({ name }) => name === 'best');
+    const candidates = sortsByScore ? scoreSellers(sellersWithMetadata, Boolean(origin)) : sellersWithMetadata;
+    const { items: page, matched, pagination } = applyListQuery(req, candidates, listQuery);
     
-    if (!sellers || sellers.length === 0) {
+    if (matched.length === 0) {
       return res.status(404).json({
         error: 'No sellers found',
         message: `No sellers available for part ID: ${partId}`,
@@ -42,30 +94,21 @@ async function getSellersForPart(req, res) {
       });
     }
     
-    // Add some additional metadata
-    const sellersWithMetadata = sellers.map(seller => ({
-      ...seller,
-      deliveryTime: generateDeliveryTime(),
-      warranty: generateWarranty(partId),
-      paymentMethods: ['Nakit', 'Kredi Kartı', 'Havale'],
-      lastUpdated: new Date().toISOString()
-    }));
-    
-    // Sort by price by default
-    sellersWithMetadata.sort((a, b) => a.price - b.price);
-    
+    // Price range of every matching seller, not just this page
     res.json({
       success: true,
       data: {
         partId: partId,
-        sellers: sellersWithMetadata,
-        count: sellersWithMetadata.length,
+        origin,
+        sellers: page,
+        count: page.length,
         priceRange: {
-          min: Math.min(...sellersWithMetadata.map(s => s.price)),
-          max: Math.max(...sellersWithMetadata.map(s => s.price)),
-          average: Math.round(sellersWithMetadata.reduce((sum, s) => sum + s.price, 0) / sellersWithMetadata.length)
+          min: Math.min(...matched.map(s => s.price)),
+          max: Math.max(...matched.map(s => s.price)),
+          average: Math.round(matched.reduce((sum, s) => sum + s.price, 0) / matched.length)
         }
       },
+      pagination,
       timestamp: new Date().toISOString()
     });
     
@@ -85,58 +128,48 @@ async function getSellersForPart(req, res) {
  */
 async function createPartRequest(req, res) {
   try {
-    await simulateDelay(300, 800);
-    
-    const { vin, partId, userEmail, description, urgency } = req.body;
+    const { vin, partId, userEmail, description, urgency, location, callbackUrl } = req.body;
     
-    // Validate required fields
-    if (!vin || !partId || !userEmail) {
-      return res.status(400).json({
-        error: 'Missing required fields',
-        message: 'VIN, partId, and userEmail are required'
-      });
-    }
-    
-    // Validate email format
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(userEmail)) {
-      return res.status(400).json({
-        error: 'Invalid email format',
-        message: 'Please provide a valid email address'
+    // The route schema has checked the VIN; sellers are picked and notified by part
+    if (!partIds.has(partId)) {
+      return res.status(404).json({
+        error: 'Part not found',
+        message: `No part found with ID: ${partId}`
       });
     }
     
-    // Generate unique request ID
-    const requestId = generateRequestId();
-    
-    // Create request object
+    // Create request object; it expires unless an offer is accepted in time
     const request = {
-      requestId,
-      vin,
-      partId,
-      userEmail,
-      description: description || '',
-      urgency: urgency || 'normal',
-      status: 'pending',
-      createdAt: new Date().toISOString(),
-      estimatedResponse: getEstimatedResponseTime(urgency),
-      contactAttempts: 0
+      ...buildRequest({
+        customerId: req.user.id,
+        vin: normalizeVIN(vin),
+        partId,
+        userEmail,
+        description,
+        urgency,
+        location,
+        callbackUrl
+      }),
+      estimatedResponse: getEstimatedResponseTime(urgency, req.locale)
     };
+    const { requestId } = request;
     
-    // Store request (in production, save to database)
-    pendingRequests.set(requestId, request);
+    // Store request in the configured storage backend
+    await createRequest(request);
     
-    // Simulate notifying sellers (in production, send actual notifications)
-    const notificationResult = await simulateSellerNotification(request);
+    // Notify matching sellers through the outbox; failed deliveries are retried in the background
+    const notifications = await notifySellers(request);
     
     res.status(201).json({
       success: true,
       data: {
         requestId,
         status: 'pending',
+        expiresAt: request.expiresAt,
         estimatedResponse: request.estimatedResponse,
-        message: 'Talebiniz başarıyla oluşturuldu. Satıcılar en kısa sürede sizinle iletişime geçecek.',
-        notificationsSent: notificationResult.count
+        message: translate(req.locale, 'request.created'),
+        notificationsPending: notifications.pending,
+        ...(callbackUrl && { callbackUrl, callbackSecret: request.callbackSecret })
       },
       timestamp: new Date().toISOString()
     });
@@ -157,36 +190,32 @@ async function createPartRequest(req, res) {
  */
 async function getRequestStatus(req, res) {
   try {
-    await simulateDelay(100, 300);
-    
     const { requestId } = req.params;
     
-    const request = pendingRequests.get(requestId);
+    const request = await getRequest(requestId);
     
-    if (!request) {
+    // Other customers' requests look the same as unknown ones
+    if (!request || !canViewRequest(req.user, request)) {
       return res.status(404).json({
         error: 'Request not found',
         message: `No request found with ID: ${requestId}`
       });
     }
     
-    // Simulate status updates over time
-    const now = new Date();
-    const createdAt = new Date(request.createdAt);
-    const minutesElapsed = (now - createdAt) / (1000 * 60);
-    
-    // Update status based on time elapsed
-    if (minutesElapsed > 30 && request.status === 'pending') {
-      request.status = 'in_progress';
-      request.contactAttempts = Math.floor(Math.random() * 3) + 1;
-    } else if (minutesElapsed > 60 && request.status === 'in_progress') {
-      request.status = 'offers_received';
-      request.offerCount = Math.floor(Math.random() * 5) + 1;
-    }
+    // Status only changes through seller offers and customer actions
+    const offers = await listOffers(requestId);
+    const notifications = await listRequestNotifications(requestId);
     
     res.json({
       success: true,
-      data: request,
+      data: {
+        ...redactRequest(req.user, request),
+        estimatedResponse: getEstimatedResponseTime(request.urgency, req.locale),
+        offerCount: offers.length,
+        pendingOfferCount: offers.filter(offer => offer.status === 'pending').length,
+        notifications: summarizeNotifications(notifications),
+        allowedTransitions: getAllowedTransitions(request.status, requestKind(request))
+      },
       timestamp: new Date().toISOString()
     });
     
@@ -206,46 +235,34 @@ async function getRequestStatus(req, res) {
  */
 async function getAllSellers(req, res) {
   try {
-    await simulateDelay(150, 400);
-    
     const { location, specialty, minRating } = req.query;
     
     let sellers = [...mockSellers.global_sellers];
     
-    // Filter by location
+    // Filter by location: sellers in the same province (and district, if one is named)
     if (location) {
-      sellers = sellers.filter(seller => 
-        seller.location.toLowerCase().includes(location.toLowerCase())
-      );
-    }
-    
-    // Filter by specialty
-    if (specialty) {
-      sellers = sellers.filter(seller => 
-        seller.specialties.some(spec => 
-          spec.toLowerCase().includes(specialty.toLowerCase())
-        )
-      );
-    }
-    
-    // Filter by minimum rating
-    if (minRating) {
-      const minRatingNum = parseFloat(minRating);
-      if (!isNaN(minRatingNum)) {
-        sellers = sellers.filter(seller => seller.rating >= minRatingNum);
-      }
+      const wanted = geocode(location);
+      sellers = sellers.filter(seller => {
+        const sellerLocation = locateSeller(seller);
+        if (!wanted || !sellerLocation) {
+          return seller.location.toLowerCase().includes(location.toLowerCase());
+        }
+        return sellerLocation.province === wanted.province &&
+          (!wanted.district || sellerLocation.district === wanted.district);
+      });
     }
     
-    // Sort by rating (descending)
-    sellers.sort((a, b) => b.rating - a.rating);
+    // Specialty and rating filters and the order (best rated first by default)
+    const { items, pagination } = applyListQuery(req, sellers, req.listQuery);
     
     res.json({
       success: true,
       data: {
-        sellers,
-        count: sellers.length,
+        sellers: items,
+        count: items.length,
         filters: { location, specialty, minRating }
       },
+      pagination,
       timestamp: new Date().toISOString()
     });
     
@@ -259,75 +276,100 @@ async function getAllSellers(req, res) {
 }
 
 /**
- * Helper function to generate delivery time
- * @returns {string} - Delivery time estimate
+ * Helper function to find the customer's location from the query
+ * @param {Object} query - Query parameters: city, or lat and lon
+ * @returns {Object} - { origin } (null without a location) or { error } with an error response body
  */
-function generateDeliveryTime() {
-  const options = ['1-2 gün', '2-3 gün', '3-5 gün', '1 hafta', 'Aynı gün'];
-  const weights = [0.3, 0.3, 0.25, 0.1, 0.05]; // Probability weights
-  
-  const random = Math.random();
-  let cumulative = 0;
+function resolveOrigin({ city, lat, lon }) {
+  // The route schema has checked the range of each coordinate
+  if (lat !== undefined || lon !== undefined) {
+    if (lat === undefined || lon === undefined) {
+      return {
+        error: invalidRequest([{
+          location: 'query',
+          field: lat === undefined ? 'lat' : 'lon',
+          message: 'lat and lon must be given together'
+        }])
+      };
+    }
+    return { origin: { lat: Number(lat), lon: Number(lon) } };
+  }
   
-  for (let i = 0; i < options.length; i++) {
-    cumulative += weights[i];
-    if (random <= cumulative) {
-      return options[i];
+  if (city) {
+    const location = geocode(city);
+    if (!location) {
+      return {
+        error: invalidRequest([{
+          location: 'query',
+          field: 'city',
+          message: `No Turkish province or district found for: ${city}`,
+          suggestion: 'Use a province or district name such as İzmir or Kadıköy, or pass lat and lon'
+        }])
+      };
     }
+    return { origin: { query: city, ...location } };
   }
   
-  return options[0];
+  return { origin: null };
+}
+
+/**
+ * Helper function to score sellers for sort=best
+ * Each seller gets a score between 0 and 1 on price, distance and rating relative to the other
+ * sellers of the part.
+ * @param {Array} sellers - Sellers with price, rating and distanceKm
+ * @param {boolean} hasOrigin - Whether distances are known
+ * @returns {Array} - Sellers with a score
+ */
+function scoreSellers(sellers, hasOrigin) {
+  const weights = hasOrigin ? BEST_WEIGHTS.withLocation : BEST_WEIGHTS.withoutLocation;
+  // 1 for the best value of a factor, 0 for the worst; a factor on which all sellers are equal scores 1
+  const scale = (values, lowerIsBetter) => {
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    return value => max === min ? 1 : (lowerIsBetter ? max - value : value - min) / (max - min);
+  };
+  const priceScore = scale(sellers.map(seller => seller.price), true);
+  const ratingScore = scale(sellers.map(seller => seller.rating), false);
+  const distanceScore = scale(sellers.map(seller => seller.distanceKm ?? 0), true);
+  
+  return sellers.map(seller => ({
+    ...seller,
+    score: Math.round((weights.price * priceScore(seller.price) +
+      weights.distance * distanceScore(seller.distanceKm ?? 0) +
+      weights.rating * ratingScore(seller.rating)) * 1000) / 1000
+  }));
 }
 
 /**
- * Helper function to generate warranty information
- * @param {string} partId - Part ID to determine warranty
+ * Helper function to format warranty information
+ * @param {number} months - Warranty in months
+ * @param {string} locale - Response locale
  * @returns {string} - Warranty information
  */
-function generateWarranty(partId) {
-  if (partId.includes('motor')) return '2 yıl garanti';
-  if (partId.includes('fren')) return '1 yıl garanti';
-  if (partId.includes('elektrik')) return '6 ay garanti';
-  if (partId.includes('suspansiyon')) return '1 yıl garanti';
-  if (partId.includes('klima')) return '1 yıl garanti';
-  if (partId.includes('govde')) return '6 ay garanti';
-  return '3 ay garanti';
+function formatWarranty(months, locale) {
+  if (months > 0 && months % 12 === 0) {
+    return translate(locale, 'warranty.years', { count: months / 12 });
+  }
+  return translate(locale, 'warranty.months', { count: months });
 }
 
 /**
  * Helper function to get estimated response time
  * @param {string} urgency - Urgency level
+ * @param {string} locale - Response locale
  * @returns {string} - Estimated response time
  */
-function getEstimatedResponseTime(urgency) {
+function getEstimatedResponseTime(urgency, locale) {
   switch (urgency) {
-    case 'urgent': return '2-4 saat';
-    case 'high': return '4-8 saat';
-    case 'normal': return '8-24 saat';
-    case 'low': return '1-3 gün';
-    default: return '8-24 saat';
+    case 'urgent': return translate(locale, 'time.hours', { range: '2-4' });
+    case 'high': return translate(locale, 'time.hours', { range: '4-8' });
+    case 'normal': return translate(locale, 'time.hours', { range: '8-24' });
+    case 'low': return translate(locale, 'time.days', { range: '1-3' });
+    default: return translate(locale, 'time.hours', { range: '8-24' });
   }
 }
 
-/**
- * Simulate seller notification process
- * @param {Object} request - Request object
- * @returns {Object} - Notification result
- */
-async function simulateSellerNotification(request) {
-  // Simulate delay for notification processing
-  await simulateDelay(100, 300);
-  
-  // Simulate number of sellers notified
-  const notificationCount = Math.floor(Math.random() * 8) + 3;
-  
-  return {
-    count: notificationCount,
-    success: true,
-    timestamp: new Date().toISOString()
-  };
-}
-
 module.exports = {
   getSellersForPart,
   createPartRequest,
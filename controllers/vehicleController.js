@@ -1,9 +1,12 @@
 const fs = require('fs');
 const path = require('path');
-const { simulateDelay, isValidVIN } = require('../utils/matchUtils');
+const { normalizeVIN, decodeVIN, validateVIN } = require('../utils/vinDecoder');
+const { applyListQuery } = require('../utils/listQuery');
 
 // Load mock data
 const mockVehicles = JSON.parse(fs.readFileSync(path.join(__dirname, '../data/mockVehicles.json'), 'utf8'));
+const mockParts = JSON.parse(fs.readFileSync(path.join(__dirname, '../data/mockParts.json'), 'utf8'));
+const knownVins = mockVehicles.map(v => v.vin);
 
 /**
  * Get vehicle details by VIN
@@ -12,23 +15,27 @@ const mockVehicles = JSON.parse(fs.readFileSync(path.join(__dirname, '../data/mo
  */
 async function getVehicleByVIN(req, res) {
   try {
-    // Simulate API delay
-    await simulateDelay(200, 800);
+    // The route schema has checked the VIN's format and check digit
+    const vin = normalizeVIN(req.params.vin);
     
-    const { vin } = req.params;
+    // Find vehicle in mock data
+    const vehicle = mockVehicles.find(v => v.vin === vin);
     
-    // Validate VIN format
-    if (!isValidVIN(vin)) {
-      return res.status(400).json({
-        error: 'Invalid VIN format',
-        message: 'VIN must be 17 characters long and contain only valid characters'
+    if (vehicle) {
+      return res.json({
+        success: true,
+        data: {
+          ...vehicle,
+          source: 'catalogued'
+        },
+        timestamp: new Date().toISOString()
       });
     }
     
-    // Find vehicle in mock data
-    const vehicle = mockVehicles.find(v => v.vin === vin);
+    // Fall back to decoding the VIN itself
+    const decoded = decodeVIN(vin);
     
-    if (!vehicle) {
+    if (!decoded) {
       return res.status(404).json({
         error: 'Vehicle not found',
         message: `No vehicle found with VIN: ${vin}`,
@@ -36,10 +43,14 @@ async function getVehicleByVIN(req, res) {
       });
     }
     
-    // Return vehicle data
+    // Return best-effort vehicle data
     res.json({
       success: true,
-      data: vehicle,
+      data: {
+        ...decoded,
+        categories: Object.keys(mockParts),
+        source: 'decoded'
+      },
       timestamp: new Date().toISOString()
     });
     
@@ -59,12 +70,13 @@ async function getVehicleByVIN(req, res) {
  */
 async function getAllVehicles(req, res) {
   try {
-    await simulateDelay(100, 300);
+    const { items, pagination } = applyListQuery(req, mockVehicles, req.listQuery);
     
     res.json({
       success: true,
-      data: mockVehicles,
-      count: mockVehicles.length,
+      data: items,
+      count: items.length,
+      pagination,
       timestamp: new Date().toISOString()
     });
     
@@ -84,39 +96,17 @@ async function getAllVehicles(req, res) {
  */
 async function searchVehicles(req, res) {
   try {
-    await simulateDelay(150, 400);
-    
     const { make, model, year } = req.query;
     
-    let filteredVehicles = [...mockVehicles];
-    
-    // Filter by make
-    if (make) {
-      filteredVehicles = filteredVehicles.filter(v => 
-        v.make.toLowerCase().includes(make.toLowerCase())
-      );
-    }
-    
-    // Filter by model
-    if (model) {
-      filteredVehicles = filteredVehicles.filter(v => 
-        v.model.toLowerCase().includes(model.toLowerCase())
-      );
-    }
-    
-    // Filter by year
-    if (year) {
-      const yearNum = parseInt(year);
-      if (!isNaN(yearNum)) {
-        filteredVehicles = filteredVehicles.filter(v => v.year === yearNum);
-      }
-    }
+    // Make and model match partially, year exactly; the route's list spec has the other filters
+    const { items, pagination } = applyListQuery(req, mockVehicles, req.listQuery);
     
     res.json({
       success: true,
-      data: filteredVehicles,
-      count: filteredVehicles.length,
+      data: items,
+      count: items.length,
       filters: { make, model, year },
+      pagination,
       timestamp: new Date().toISOString()
     });
     
@@ -129,8 +119,38 @@ async function searchVehicles(req, res) {
   }
 }
 
+/**
+ * Validate a VIN and explain why it is invalid
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function validateVehicleVIN(req, res) {
+  try {
+    const { vin } = req.body;
+    
+    const validation = validateVIN(vin, knownVins);
+    
+    res.json({
+      success: true,
+      data: {
+        ...validation,
+        catalogued: knownVins.includes(validation.vin)
+      },
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('Error in validateVehicleVIN:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to validate VIN'
+    });
+  }
+}
+
 module.exports = {
   getVehicleByVIN,
+  validateVehicleVIN,
   getAllVehicles,
   searchVehicles
 };
@@ -0,0 +1,161 @@
+const adminController = require('../controllers/adminController');
+const scenarioController = require('../controllers/scenarioController');
+const recordReplayController = require('../controllers/recordReplayController');
+const { NAME_PATTERN } = require('../utils/mockScenarios');
+
+const category = { type: 'string', required: true };
+
+const scenarioName = {
+  type: 'string',
+  required: true,
+  validate: name => NAME_PATTERN.test(name),
+  message: 'Scenario names are 1-50 lowercase letters, digits and hyphens'
+};
+
+module.exports = [
+  {
+    method: 'GET',
+    path: '/knowledge-base',
+    summary: 'Get the symptom knowledge base and its validation report',
+    access: 'Admin',
+    response: { data: 'KnowledgeBase', extra: { validation: 'KnowledgeBaseReport', source: 'string', loadedAt: 'Timestamp' } },
+    handler: adminController.getSymptomKnowledgeBase
+  },
+  {
+    method: 'POST',
+    path: '/knowledge-base/reload',
+    summary: 'Reload the symptom knowledge base from disk',
+    access: 'Admin',
+    response: { extra: { validation: 'KnowledgeBaseReport', loadedAt: 'Timestamp' } },
+    errors: [422],
+    handler: adminController.reloadSymptomKnowledgeBase
+  },
+  {
+    method: 'GET',
+    path: '/knowledge-base/categories/:category',
+    summary: 'Get a single symptom category',
+    access: 'Admin',
+    schema: { params: { category } },
+    response: { data: 'KeyedSymptomCategory' },
+    errors: [404],
+    handler: adminController.getSymptomCategory
+  },
+  {
+    method: 'POST',
+    path: '/knowledge-base/categories',
+    summary: 'Create a new symptom category',
+    access: 'Admin',
+    schema: {
+      body: { key: { type: 'string', required: true } }
+    },
+    requestBody: 'SymptomCategoryInput',
+    response: { status: 201, data: 'KeyedSymptomCategory', extra: { validation: 'KnowledgeBaseReport' } },
+    errors: [409],
+    handler: adminController.createSymptomCategory
+  },
+  {
+    method: 'PUT',
+    path: '/knowledge-base/categories/:category',
+    summary: 'Replace an existing symptom category',
+    access: 'Admin',
+    schema: { params: { category } },
+    requestBody: 'SymptomCategory',
+    response: { data: 'KeyedSymptomCategory', extra: { validation: 'KnowledgeBaseReport' } },
+    errors: [404],
+    handler: adminController.updateSymptomCategory
+  },
+  {
+    method: 'DELETE',
+    path: '/knowledge-base/categories/:category',
+    summary: 'Delete a symptom category',
+    access: 'Admin',
+    schema: { params: { category } },
+    response: { extra: { message: 'string', validation: 'KnowledgeBaseReport' } },
+    errors: [404],
+    handler: adminController.deleteSymptomCategory
+  },
+  {
+    method: 'GET',
+    path: '/scenarios',
+    summary: 'List the preset and saved mock scenarios and the active ones',
+    access: 'Admin',
+    response: { data: 'MockScenarioList' },
+    handler: scenarioController.getMockScenarios
+  },
+  {
+    method: 'GET',
+    path: '/scenarios/:name',
+    summary: 'Get a mock scenario',
+    access: 'Admin',
+    schema: { params: { name: scenarioName } },
+    response: { data: 'MockScenario' },
+    errors: [404],
+    handler: scenarioController.getMockScenario
+  },
+  {
+    method: 'PUT',
+    path: '/scenarios/:name',
+    summary: 'Create or replace a mock scenario of latency, fault and canned response rules',
+    access: 'Admin',
+    schema: {
+      params: { name: scenarioName },
+      body: { description: { type: 'string' } }
+    },
+    requestBody: 'MockScenarioInput',
+    response: { data: 'MockScenario' },
+    errors: [409],
+    handler: scenarioController.putMockScenario
+  },
+  {
+    method: 'DELETE',
+    path: '/scenarios/:name',
+    summary: 'Delete a saved mock scenario',
+    access: 'Admin',
+    schema: { params: { name: scenarioName } },
+    response: { extra: { message: 'string' } },
+    errors: [404, 409],
+    handler: scenarioController.deleteMockScenario
+  },
+  {
+    method: 'GET',
+    path: '/active-scenario',
+    summary: 'Get the mock scenarios applied to every request',
+    access: 'Admin',
+    response: { data: 'ActiveMockScenarios' },
+    handler: scenarioController.getActiveMockScenarios
+  },
+  {
+    method: 'PUT',
+    path: '/active-scenario',
+    summary: 'Apply mock scenarios to every request, e.g. fast for CI',
+    access: 'Admin',
+    requestBody: 'ActiveMockScenariosInput',
+    response: { data: 'ActiveMockScenarios' },
+    handler: scenarioController.setActiveMockScenarios
+  },
+  {
+    method: 'DELETE',
+    path: '/active-scenario',
+    summary: 'Stop applying mock scenarios to every request',
+    access: 'Admin',
+    response: { data: 'ActiveMockScenarios' },
+    handler: scenarioController.clearActiveMockScenarios
+  },
+  {
+    method: 'GET',
+    path: '/record-replay',
+    summary: 'Get the record/replay mode, its fixture and the requests replay could not match',
+    access: 'Admin',
+    response: { data: 'RecordReplayStatus' },
+    handler: recordReplayController.getRecordReplay
+  },
+  {
+    method: 'POST',
+    path: '/record-replay/rewind',
+    summary: 'Replay from the first recorded responses again and clear the unmatched requests',
+    access: 'Admin',
+    response: { data: 'RecordReplayStatus' },
+    errors: [409],
+    handler: recordReplayController.rewindRecordReplay
+  }
+];
@@ -0,0 +1,24 @@
+const authController = require('../controllers/authController');
+const { requireRole } = require('../utils/auth');
+
+module.exports = [
+  {
+    method: 'POST',
+    path: '/token',
+    summary: 'Exchange an API key for a bearer token; admins may pass role and subject',
+    access: 'Customer, Seller, Admin',
+    middleware: [requireRole('customer', 'seller')],
+    requestBody: { content: { 'application/json': 'TokenRequest' }, required: false },
+    response: { status: 201, data: 'Token' },
+    handler: authController.createToken
+  },
+  {
+    method: 'GET',
+    path: '/me',
+    summary: 'Get the role and subject of the current credentials',
+    access: 'Customer, Seller, Admin',
+    middleware: [requireRole('customer', 'seller')],
+    response: { data: 'CurrentUser' },
+    handler: authController.getCurrentUser
+  }
+];
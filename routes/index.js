@@ -0,0 +1,40 @@
+// Route table of the API: each group is mounted under its base path and listed under its name in /api
+
+const { requireRole } = require('../utils/auth');
+
+module.exports = [
+  {
+    name: 'auth',
+    basePath: '/api/auth',
+    routes: require('./authRoutes')
+  },
+  {
+    name: 'vehicles',
+    basePath: '/api/vehicle',
+    routes: require('./vehicleRoutes')
+  },
+  {
+    name: 'parts',
+    basePath: '/api/parts',
+    routes: require('./partRoutes')
+  },
+  {
+    name: 'sellers',
+    basePath: '/api/sellers',
+    routes: require('./sellerRoutes')
+  },
+  {
+    name: 'quotes',
+    basePath: '/api/quotes',
+    routes: require('./quoteRoutes')
+  },
+  {
+    name: 'admin',
+    basePath: '/api/admin',
+    // Every admin endpoint needs an admin API key or token
+    middleware: [requireRole('admin')],
+    // Mock scenarios never apply here, so a scenario can't lock admins out of switching it off
+    mockScenarios: false,
+    routes: require('./adminRoutes')
+  }
+];
@@ -1,33 +1,114 @@
-const express = require('express');
-const router = express.Router();
 const partController = require('../controllers/partController');
+const { rateLimit } = require('../utils/rateLimit');
+const { MAX_CANDIDATE_LIMIT } = require('../utils/matchUtils');
+const { normalizeReferenceNumber, listReferences } = require('../utils/xrefUtils');
 
-/**
- * @route GET /api/parts/:vin/:category
- * @desc Get part suggestions by VIN and category
- * @access Public
- */
-router.get('/:vin/:category', partController.getPartsByCategory);
+// Filters and sort orders of the part lists; without ?sort parts keep their catalogue order
+const PART_LIST = {
+  filters: {
+    brand: { field: part => listReferences(part).map(ref => ref.brand).filter(Boolean), type: 'string' }
+  },
+  sorts: {
+    name: { field: 'name', direction: 'asc' },
+    id: { field: 'id', direction: 'asc' }
+  }
+};
 
-/**
- * @route POST /api/parts/interpret
- * @desc Suggest part from free text description
- * @access Public
- */
-router.post('/interpret', partController.interpretPartFromDescription);
+const vin = { type: 'string', required: true, format: 'vin' };
 
-/**
- * @route GET /api/parts/:vin/categories
- * @desc Get all available categories for a vehicle
- * @access Public
- */
-router.get('/:vin/categories', partController.getVehicleCategories);
-
-/**
- * @route GET /api/parts/search
- * @desc Search parts across all categories
- * @access Public
- */
-router.get('/search', partController.searchParts);
-
-module.exports = router;
+module.exports = [
+  {
+    method: 'GET',
+    path: '/xref/:number',
+    summary: 'Resolve an OEM or aftermarket part number and list interchangeable numbers',
+    access: 'Public',
+    schema: {
+      params: {
+        number: {
+          type: 'string',
+          required: true,
+          validate: number => normalizeReferenceNumber(number).length >= 3,
+          message: 'Part number must contain at least 3 letters or digits'
+        }
+      }
+    },
+    response: { data: 'PartReferenceLookup' },
+    errors: [404],
+    latency: { min: 100, max: 300 },
+    handler: partController.getPartByReference
+  },
+  {
+    method: 'GET',
+    path: '/:vin/:category',
+    summary: 'Get part suggestions by VIN and category',
+    access: 'Public',
+    schema: {
+      params: { vin, category: { type: 'string', required: true } },
+      query: { include: { type: 'string' } },
+      list: PART_LIST
+    },
+    response: { data: 'PartsByCategory' },
+    errors: [404],
+    latency: { min: 150, max: 600 },
+    handler: partController.getPartsByCategory
+  },
+  {
+    method: 'POST',
+    path: '/interpret',
+    summary: 'Suggest part from free text description',
+    access: 'Public',
+    middleware: [rateLimit('interpret')],
+    schema: {
+      body: {
+        vin,
+        description: {
+          type: 'string',
+          required: true,
+          minLength: 5,
+          message: 'Please provide a more detailed description (at least 5 characters)'
+        },
+        limit: { type: 'integer', min: 1, max: MAX_CANDIDATE_LIMIT }
+      }
+    },
+    response: { data: 'PartInterpretation' },
+    errors: [404, 429],
+    latency: { min: 300, max: 1000 },
+    handler: partController.interpretPartFromDescription
+  },
+  {
+    method: 'GET',
+    path: '/:vin/categories',
+    summary: 'Get all available categories for a vehicle',
+    access: 'Public',
+    schema: {
+      params: { vin }
+    },
+    response: { data: 'VehicleCategories' },
+    errors: [404],
+    latency: { min: 100, max: 300 },
+    handler: partController.getVehicleCategories
+  },
+  {
+    method: 'GET',
+    path: '/search',
+    summary: 'Search parts across all categories',
+    access: 'Public',
+    schema: {
+      query: {
+        query: {
+          type: 'string',
+          required: true,
+          minLength: 2,
+          message: 'Search query must be at least 2 characters long'
+        },
+        category: { type: 'string' },
+        vin: { ...vin, required: false },
+        include: { type: 'string' }
+      },
+      list: PART_LIST
+    },
+    response: { data: 'PartSearchResults' },
+    latency: { min: 200, max: 500 },
+    handler: partController.searchParts
+  }
+];
@@ -0,0 +1,86 @@
+const quoteController = require('../controllers/quoteController');
+const { requireRole } = require('../utils/auth');
+const { rateLimit } = require('../utils/rateLimit');
+const { CONDITIONS } = require('../utils/inventoryStore');
+const { STRATEGIES } = require('../utils/quotePlanner');
+
+module.exports = [
+  {
+    method: 'POST',
+    path: '/',
+    summary: 'Create a quote for several parts of a vehicle, with its cheapest, fastest and fewest-sellers options',
+    access: 'Customer',
+    middleware: [requireRole('customer')],
+    schema: {
+      body: {
+        vin: { type: 'string', required: true, format: 'vin' },
+        location: { type: 'string' }
+      }
+    },
+    requestBody: 'QuoteInput',
+    response: { status: 201, data: 'Quote' },
+    errors: [404],
+    latency: { min: 300, max: 900 },
+    handler: quoteController.createPartQuote
+  },
+  {
+    method: 'GET',
+    path: '/:quoteId',
+    summary: 'Get a quote with its options, priced against the current inventory',
+    access: 'Customer (own quotes)',
+    middleware: [requireRole('customer')],
+    response: { data: 'Quote' },
+    errors: [404],
+    latency: { min: 200, max: 700 },
+    handler: quoteController.getPartQuote
+  },
+  {
+    method: 'POST',
+    path: '/:quoteId/items',
+    summary: 'Add a part to a quote',
+    access: 'Customer (own quotes)',
+    middleware: [requireRole('customer')],
+    schema: {
+      body: {
+        partId: { type: 'string', required: true },
+        quantity: { type: 'integer', min: 1, max: 99 },
+        condition: { type: 'enum', values: CONDITIONS }
+      }
+    },
+    response: { data: 'Quote' },
+    errors: [404, 409],
+    latency: { min: 200, max: 700 },
+    handler: quoteController.addQuoteItem
+  },
+  {
+    method: 'DELETE',
+    path: '/:quoteId/items/:partId',
+    summary: 'Remove a part from a quote',
+    access: 'Customer (own quotes)',
+    middleware: [requireRole('customer')],
+    response: { data: 'Quote' },
+    errors: [404, 409],
+    latency: { min: 200, max: 700 },
+    handler: quoteController.removeQuoteItem
+  },
+  {
+    method: 'POST',
+    path: '/:quoteId/order',
+    summary: 'Convert a quote into an order request for the sellers of one of its options',
+    access: 'Customer (own quotes)',
+    middleware: [rateLimit('requestCreation'), requireRole('customer')],
+    schema: {
+      body: {
+        strategy: { type: 'enum', values: STRATEGIES, required: true },
+        userEmail: { type: 'string', required: true, format: 'email' },
+        description: { type: 'string' },
+        urgency: { type: 'enum', values: ['low', 'normal', 'high', 'urgent'] },
+        callbackUrl: { type: 'string', format: 'callbackUrl' }
+      }
+    },
+    response: { status: 201, data: 'CreatedOrderRequest' },
+    errors: [404, 409, 429],
+    latency: { min: 300, max: 800 },
+    handler: quoteController.orderPartQuote
+  }
+];
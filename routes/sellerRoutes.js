@@ -1,33 +1,374 @@
 const express = require('express');
-const router = express.Router();
 const sellerController = require('../controllers/sellerController');
+const requestController = require('../controllers/requestController');
+const inventoryController = require('../controllers/inventoryController');
+const { requireRole, requireOwnSeller } = require('../utils/auth');
+const { rateLimit } = require('../utils/rateLimit');
+const { CONDITIONS } = require('../utils/inventoryStore');
 
-/**
- * @route GET /api/sellers/:partId
- * @desc Get sellers for a specific part ID
- * @access Public
- */
-router.get('/:partId', sellerController.getSellersForPart);
+// Filters and sort orders of the sellers of a part
+const PART_SELLER_LIST = {
+  filters: {
+    minPrice: { field: 'price', type: 'number', op: 'gte' },
+    maxPrice: { field: 'price', type: 'number', op: 'lte' },
+    minStock: { field: 'stock', type: 'integer', op: 'gte' },
+    minRating: { field: 'rating', type: 'number', op: 'gte' },
+    condition: { field: 'condition', type: 'enum', values: CONDITIONS },
+    minWarrantyMonths: { field: 'warrantyMonths', type: 'integer', op: 'gte' },
+    maxDistanceKm: { field: 'distanceKm', type: 'number', op: 'lte' }
+  },
+  sorts: {
+    price: { field: 'price', direction: 'asc' },
+    distance: { field: 'distanceKm', direction: 'asc' },
+    rating: { field: 'rating', direction: 'desc' },
+    best: { field: 'score', direction: 'desc' },
+    stock: { field: 'stock', direction: 'desc' },
+    warranty: { field: 'warrantyMonths', direction: 'desc' },
+    delivery: { field: seller => seller.deliveryEstimate.maxDays, direction: 'asc' }
+  },
+  defaultSort: 'price'
+};
 
-/**
- * @route POST /api/request
- * @desc Create a pending request for a part
- * @access Public
- */
-router.post('/request', sellerController.createPartRequest);
+// Filters and sort orders of the seller directory
+const SELLER_DIRECTORY_LIST = {
+  filters: {
+    specialty: { field: 'specialties', type: 'string', op: 'contains' },
+    minRating: { field: 'rating', type: 'number', op: 'gte' }
+  },
+  sorts: {
+    rating: { field: 'rating', direction: 'desc' },
+    name: { field: 'name', direction: 'asc' },
+    id: { field: 'id', direction: 'asc' }
+  },
+  defaultSort: 'rating'
+};
 
-/**
- * @route GET /api/request/:requestId
- * @desc Get request status by request ID
- * @access Public
- */
-router.get('/request/:requestId', sellerController.getRequestStatus);
+// Filters and sort orders of a seller's inventory
+const INVENTORY_LIST = {
+  filters: {
+    partId: { field: 'partId', type: 'string', op: 'eq' },
+    condition: { field: 'condition', type: 'enum', values: CONDITIONS },
+    minPrice: { field: 'price', type: 'number', op: 'gte' },
+    maxPrice: { field: 'price', type: 'number', op: 'lte' },
+    minStock: { field: 'stock', type: 'integer', op: 'gte' }
+  },
+  sorts: {
+    partId: { field: 'partId', direction: 'asc' },
+    price: { field: 'price', direction: 'asc' },
+    stock: { field: 'stock', direction: 'desc' },
+    updated: { field: 'updatedAt', direction: 'desc' }
+  },
+  defaultSort: 'partId'
+};
 
-/**
- * @route GET /api/sellers
- * @desc Get all sellers (for admin/testing purposes)
- * @access Public
- */
-router.get('/', sellerController.getAllSellers);
+// Admins name the seller they act for; sellers always act for themselves
+const actingSeller = { sellerId: { type: 'string' } };
 
-module.exports = router;
+module.exports = [
+  {
+    method: 'GET',
+    path: '/:partId',
+    summary: "Get sellers for a part, with distances and delivery estimates for the customer's location",
+    access: 'Public',
+    schema: {
+      query: {
+        city: { type: 'string' },
+        lat: { type: 'number', min: -90, max: 90 },
+        lon: { type: 'number', min: -180, max: 180 }
+      },
+      list: PART_SELLER_LIST
+    },
+    response: { data: 'PartSellers' },
+    errors: [404],
+    latency: { min: 200, max: 700 },
+    handler: sellerController.getSellersForPart
+  },
+  {
+    method: 'POST',
+    path: '/request',
+    summary: 'Create a pending request for a part',
+    access: 'Customer',
+    middleware: [rateLimit('requestCreation'), requireRole('customer')],
+    schema: {
+      body: {
+        vin: { type: 'string', required: true, format: 'vin' },
+        partId: { type: 'string', required: true },
+        userEmail: { type: 'string', required: true, format: 'email' },
+        description: { type: 'string' },
+        urgency: { type: 'enum', values: ['low', 'normal', 'high', 'urgent'] },
+        location: { type: 'string' },
+        callbackUrl: { type: 'string', format: 'callbackUrl' }
+      }
+    },
+    response: { status: 201, data: 'CreatedPartRequest' },
+    errors: [404, 429],
+    latency: { min: 300, max: 800 },
+    handler: sellerController.createPartRequest
+  },
+  {
+    method: 'GET',
+    path: '/request/:requestId',
+    summary: 'Get request status by request ID',
+    access: 'Customer (own requests), Seller',
+    middleware: [requireRole('customer', 'seller')],
+    response: { data: 'PartRequestStatus' },
+    errors: [404],
+    latency: { min: 100, max: 300 },
+    handler: sellerController.getRequestStatus
+  },
+  {
+    method: 'POST',
+    path: '/request/:requestId/start',
+    summary: 'Seller starts sourcing the part (pending -> in_progress)',
+    access: 'Seller',
+    middleware: [requireRole('seller')],
+    schema: { body: actingSeller },
+    response: { data: 'PartRequest' },
+    errors: [404, 409],
+    latency: { min: 100, max: 300 },
+    handler: requestController.startRequest
+  },
+  {
+    method: 'GET',
+    path: '/request/:requestId/offers',
+    summary: 'List the offers made against a request',
+    access: 'Customer (own requests), Seller (own offers)',
+    middleware: [requireRole('customer', 'seller')],
+    response: { data: 'RequestOffers' },
+    errors: [404],
+    latency: { min: 100, max: 300 },
+    handler: requestController.getRequestOffers
+  },
+  {
+    method: 'POST',
+    path: '/request/:requestId/offers',
+    summary: 'Seller submits an offer with price, stock and delivery terms',
+    access: 'Seller',
+    middleware: [requireRole('seller')],
+    schema: {
+      body: {
+        ...actingSeller,
+        price: { type: 'number', required: true, above: 0 },
+        stock: { type: 'integer', required: true, min: 1 },
+        deliveryDays: { type: 'integer', required: true, min: 0 },
+        shippingCost: { type: 'number', min: 0 },
+        validForHours: { type: 'number', above: 0 },
+        note: { type: 'string' }
+      }
+    },
+    response: { status: 201, data: 'OfferWithRequest' },
+    errors: [404, 409],
+    latency: { min: 150, max: 400 },
+    handler: requestController.submitOffer
+  },
+  {
+    method: 'POST',
+    path: '/request/:requestId/lines/confirm',
+    summary: 'Seller of an order confirms their lines; the order is accepted once all lines are confirmed',
+    access: 'Seller (own order lines)',
+    middleware: [requireRole('seller')],
+    schema: { body: actingSeller },
+    response: { data: 'PartRequest' },
+    errors: [404, 409],
+    latency: { min: 100, max: 300 },
+    handler: requestController.confirmOrderLines
+  },
+  {
+    method: 'POST',
+    path: '/request/:requestId/lines/decline',
+    summary: 'Seller of an order declines their lines, which cancels the order',
+    access: 'Seller (own order lines)',
+    middleware: [requireRole('seller')],
+    schema: {
+      body: {
+        ...actingSeller,
+        reason: { type: 'string' }
+      }
+    },
+    response: { data: 'PartRequest' },
+    errors: [404, 409],
+    latency: { min: 100, max: 300 },
+    handler: requestController.declineOrderLines
+  },
+  {
+    method: 'POST',
+    path: '/request/:requestId/offers/:offerId/accept',
+    summary: 'Customer accepts an offer; other pending offers are rejected',
+    access: 'Customer (own requests)',
+    middleware: [requireRole('customer')],
+    response: { data: 'OfferWithRequest' },
+    errors: [404, 409],
+    latency: { min: 150, max: 400 },
+    handler: requestController.acceptOffer
+  },
+  {
+    method: 'POST',
+    path: '/request/:requestId/offers/:offerId/reject',
+    summary: 'Customer rejects an offer',
+    access: 'Customer (own requests)',
+    middleware: [requireRole('customer')],
+    schema: {
+      body: { reason: { type: 'string' } }
+    },
+    response: { data: 'OfferWithRequest' },
+    errors: [404, 409],
+    latency: { min: 100, max: 300 },
+    handler: requestController.rejectOffer
+  },
+  {
+    method: 'POST',
+    path: '/request/:requestId/cancel',
+    summary: 'Customer cancels the request',
+    access: 'Customer (own requests)',
+    middleware: [requireRole('customer')],
+    schema: {
+      body: { reason: { type: 'string' } }
+    },
+    response: { data: 'PartRequest' },
+    errors: [404, 409],
+    latency: { min: 100, max: 300 },
+    handler: requestController.cancelRequest
+  },
+  {
+    method: 'POST',
+    path: '/request/:requestId/fulfill',
+    summary: 'Seller of the accepted offer marks the part as delivered',
+    access: 'Seller',
+    middleware: [requireRole('seller')],
+    schema: { body: actingSeller },
+    response: { data: 'PartRequest' },
+    errors: [404, 409],
+    latency: { min: 100, max: 300 },
+    handler: requestController.fulfillRequest
+  },
+  {
+    method: 'GET',
+    path: '/request/:requestId/notifications',
+    summary: 'List the seller notifications and customer callbacks of a request and their delivery attempts',
+    access: 'Customer (own requests)',
+    middleware: [requireRole('customer')],
+    response: { data: 'RequestNotifications' },
+    errors: [404],
+    latency: { min: 100, max: 300 },
+    handler: requestController.getRequestNotifications
+  },
+  {
+    method: 'GET',
+    path: '/request/:requestId/events',
+    summary: 'Stream status changes and new offers of a request as server-sent events',
+    access: 'Customer (own requests), Seller',
+    middleware: [requireRole('customer', 'seller')],
+    // request.snapshot on connect, then request.status_changed and offer.created events
+    response: { content: { 'text/event-stream': 'string' } },
+    errors: [404],
+    handler: requestController.streamRequestEvents
+  },
+  {
+    method: 'GET',
+    path: '/:sellerId/inventory',
+    summary: "List a seller's inventory",
+    access: 'Seller (own inventory)',
+    middleware: [requireRole('seller'), requireOwnSeller],
+    schema: { list: INVENTORY_LIST },
+    response: { data: 'SellerInventory' },
+    errors: [404],
+    latency: { min: 100, max: 300 },
+    handler: inventoryController.getSellerInventory
+  },
+  {
+    method: 'POST',
+    path: '/:sellerId/inventory',
+    summary: "Add a part to a seller's inventory",
+    access: 'Seller (own inventory)',
+    middleware: [requireRole('seller'), requireOwnSeller],
+    requestBody: 'InventoryItemInput',
+    response: { status: 201, data: 'InventoryItem' },
+    errors: [404, 409],
+    latency: { min: 150, max: 400 },
+    handler: inventoryController.addSellerInventoryItem
+  },
+  {
+    method: 'POST',
+    path: '/:sellerId/inventory/import',
+    summary: 'Bulk import a CSV or JSON price list (?dryRun=true to validate only, ?strict=true for all-or-nothing)',
+    access: 'Seller (own inventory)',
+    middleware: [
+      requireRole('seller'),
+      requireOwnSeller,
+      express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' })
+    ],
+    schema: {
+      query: {
+        dryRun: { type: 'boolean' },
+        strict: { type: 'boolean' }
+      }
+    },
+    requestBody: { content: { 'text/csv': 'string', 'application/json': 'InventoryRow[]' } },
+    response: { data: 'InventoryImportReport' },
+    errors: [404, 415, 422],
+    latency: { min: 200, max: 500 },
+    handler: inventoryController.importSellerInventory
+  },
+  {
+    method: 'GET',
+    path: '/:sellerId/inventory/export',
+    summary: "Export a seller's inventory as CSV or JSON, in the import format",
+    access: 'Seller (own inventory)',
+    middleware: [requireRole('seller'), requireOwnSeller],
+    schema: {
+      query: { format: { type: 'enum', values: ['csv', 'json'] } }
+    },
+    response: { content: { 'text/csv': 'string', 'application/json': 'InventoryRow[]' } },
+    errors: [404],
+    latency: { min: 100, max: 300 },
+    handler: inventoryController.exportSellerInventory
+  },
+  {
+    method: 'GET',
+    path: '/:sellerId/inventory/:itemId',
+    summary: 'Get a single inventory item',
+    access: 'Seller (own inventory)',
+    middleware: [requireRole('seller'), requireOwnSeller],
+    response: { data: 'InventoryItem' },
+    errors: [404],
+    latency: { min: 100, max: 200 },
+    handler: inventoryController.getSellerInventoryItem
+  },
+  {
+    method: 'PATCH',
+    path: '/:sellerId/inventory/:itemId',
+    summary: 'Update price, stock, condition or warranty of an inventory item',
+    access: 'Seller (own inventory)',
+    middleware: [requireRole('seller'), requireOwnSeller],
+    requestBody: 'InventoryItemUpdate',
+    response: { data: 'InventoryItem' },
+    errors: [404, 409],
+    latency: { min: 150, max: 400 },
+    handler: inventoryController.updateSellerInventoryItem
+  },
+  {
+    method: 'DELETE',
+    path: '/:sellerId/inventory/:itemId',
+    summary: "Remove an item from a seller's inventory",
+    access: 'Seller (own inventory)',
+    middleware: [requireRole('seller'), requireOwnSeller],
+    response: { extra: { message: 'string' } },
+    errors: [404],
+    latency: { min: 100, max: 300 },
+    handler: inventoryController.deleteSellerInventoryItem
+  },
+  {
+    method: 'GET',
+    path: '/',
+    summary: 'Get all sellers',
+    access: 'Admin',
+    middleware: [requireRole('admin')],
+    schema: {
+      query: { location: { type: 'string' } },
+      list: SELLER_DIRECTORY_LIST
+    },
+    response: { data: 'SellerDirectory' },
+    latency: { min: 150, max: 400 },
+    handler: sellerController.getAllSellers
+  }
+];
@@ -1,26 +1,70 @@
-const express = require('express');
-const router = express.Router();
 const vehicleController = require('../controllers/vehicleController');
+const { requireRole } = require('../utils/auth');
 
-/**
- * @route GET /api/vehicle/:vin
- * @desc Get vehicle details by VIN
- * @access Public
- */
-router.get('/:vin', vehicleController.getVehicleByVIN);
+// Filters and sort orders of the vehicle lists; without ?sort vehicles keep their catalogue order
+const VEHICLE_LIST = {
+  filters: {
+    make: { field: 'make', type: 'string', op: 'contains' },
+    model: { field: 'model', type: 'string', op: 'contains' },
+    year: { field: 'year', type: 'integer' },
+    minYear: { field: 'year', type: 'integer', op: 'gte' },
+    maxYear: { field: 'year', type: 'integer', op: 'lte' },
+    fuelType: { field: 'fuelType', type: 'string' },
+    bodyType: { field: 'bodyType', type: 'string' }
+  },
+  sorts: {
+    make: { field: 'make', direction: 'asc' },
+    model: { field: 'model', direction: 'asc' },
+    year: { field: 'year', direction: 'desc' },
+    vin: { field: 'vin', direction: 'asc' }
+  }
+};
 
-/**
- * @route GET /api/vehicle
- * @desc Get all vehicles (for testing)
- * @access Public
- */
-router.get('/', vehicleController.getAllVehicles);
-
-/**
- * @route GET /api/vehicle/search
- * @desc Search vehicles by make, model, or year
- * @access Public
- */
-router.get('/search', vehicleController.searchVehicles);
-
-module.exports = router;
+module.exports = [
+  {
+    method: 'GET',
+    path: '/:vin',
+    summary: 'Get vehicle details by VIN',
+    access: 'Public',
+    schema: {
+      params: { vin: { type: 'string', required: true, format: 'vin' } }
+    },
+    response: { data: 'Vehicle' },
+    errors: [404],
+    latency: { min: 200, max: 800 },
+    handler: vehicleController.getVehicleByVIN
+  },
+  {
+    method: 'POST',
+    path: '/validate',
+    summary: 'Validate a VIN (length, characters, check digit, model year) and suggest corrections',
+    access: 'Public',
+    schema: {
+      body: { vin: { type: 'string', required: true } }
+    },
+    response: { data: 'VinValidation' },
+    latency: { min: 50, max: 150 },
+    handler: vehicleController.validateVehicleVIN
+  },
+  {
+    method: 'GET',
+    path: '/',
+    summary: 'Get all vehicles',
+    access: 'Admin',
+    middleware: [requireRole('admin')],
+    schema: { list: VEHICLE_LIST },
+    response: { data: 'Vehicle[]', extra: { count: 'integer' } },
+    latency: { min: 100, max: 300 },
+    handler: vehicleController.getAllVehicles
+  },
+  {
+    method: 'GET',
+    path: '/search',
+    summary: 'Search vehicles by make, model, or year',
+    access: 'Public',
+    schema: { list: VEHICLE_LIST },
+    response: { data: 'Vehicle[]', extra: { count: 'integer', filters: 'object' } },
+    latency: { min: 150, max: 400 },
+    handler: vehicleController.searchVehicles
+  }
+];
@@ -1,4 +1,8 @@
 const app = require('./app');
+const { closeStore } = require('./utils/storage');
+const { startNotificationWorker, stopNotificationWorker } = require('./utils/notifications');
+const { startExpirySweeper, stopExpirySweeper } = require('./utils/requestStore');
+const { closeEventStreams } = require('./utils/requestEvents');
 require('dotenv').config();
 
 // Get port from environment or default to 5000
@@ -24,12 +28,21 @@ const server = app.listen(PORT, () => {
   console.log('Sample VIN for testing: WDB2020201F685790');
   console.log('Sample Categories: Motor, Fren, Elektrik, Gövde, Süspansiyon, Klima, İç Aksam');
   console.log('================================================');
+
+  // Retry seller notifications that are still in the outbox
+  startNotificationWorker();
+  // Expire requests on time, so subscribers hear about it without polling
+  startExpirySweeper();
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('🛑 SIGTERM received. Shutting down gracefully...');
-  server.close(() => {
+  stopExpirySweeper();
+  closeEventStreams();
+  server.close(async () => {
+    await stopNotificationWorker();
+    await closeStore();
     console.log('✅ Server closed successfully');
     process.exit(0);
   });
@@ -37,7 +50,11 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('\n🛑 SIGINT received. Shutting down gracefully...');
-  server.close(() => {
+  stopExpirySweeper();
+  closeEventStreams();
+  server.close(async () => {
+    await stopNotificationWorker();
+    await closeStore();
     console.log('✅ Server closed successfully');
     process.exit(0);
   });
@@ -0,0 +1,259 @@
+// Authentication (API keys and HS256 JWTs) and role checks for customers, sellers and admins
+
+const crypto = require('crypto');
+
+const ROLES = ['customer', 'seller', 'admin'];
+const DEFAULT_TOKEN_TTL_HOURS = 24;
+
+let apiKeys = null;
+let generatedSecret = null;
+
+/**
+ * Hashes an API key so keys are never compared or kept in plain text
+ * @param {string} key - API key
+ * @returns {string} - Hex SHA-256 digest
+ */
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Reads the API keys from the API_KEYS environment variable, once
+ * Format: comma separated key:role:subject entries, e.g.
+ * 'k-admin:admin,k-s1:seller:seller-001,k-c1:customer:cust-001'. The subject of a seller key
+ * is its seller ID; admins don't need one.
+ * @returns {Map} - Key hash -> { role, id }
+ */
+function getApiKeys() {
+  if (!apiKeys) {
+    apiKeys = new Map();
+
+    (process.env.API_KEYS || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+      const [key, role, subject] = entry.split(':').map(part => part.trim());
+      const id = subject || (role === 'admin' ? 'admin' : '');
+      if (!key || !ROLES.includes(role) || !id) {
+        console.warn(`Auth: ignoring API key entry for role "${role}", expected key:role:subject`);
+        return;
+      }
+      apiKeys.set(hashApiKey(key), { role, id });
+    });
+
+    if (apiKeys.size === 0) {
+      console.warn('Auth: no API keys configured (API_KEYS); only public endpoints are usable');
+    }
+  }
+  return apiKeys;
+}
+
+/**
+ * Secret for signing tokens; without JWT_SECRET a random one is used, so tokens die with the process
+ * @returns {string} - Signing secret
+ */
+function getJwtSecret() {
+  if (process.env.JWT_SECRET) return process.env.JWT_SECRET;
+  if (!generatedSecret) {
+    generatedSecret = crypto.randomBytes(32).toString('hex');
+    console.warn('Auth: JWT_SECRET is not set, tokens will be invalid after a restart');
+  }
+  return generatedSecret;
+}
+
+/**
+ * Lifetime of issued tokens from JWT_TTL_HOURS
+ * @returns {number} - Hours
+ */
+function getTokenTtlHours() {
+  const hours = parseFloat(process.env.JWT_TTL_HOURS);
+  return Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_TOKEN_TTL_HOURS;
+}
+
+/**
+ * Signs data with HMAC-SHA256
+ * @param {string} data - Header and payload segments
+ * @returns {string} - base64url signature
+ */
+function sign(data) {
+  return crypto.createHmac('sha256', getJwtSecret()).update(data).digest('base64url');
+}
+
+/**
+ * Issues a signed JWT (HS256)
+ * @param {Object} principal - { role, id }
+ * @returns {Object} - { token, expiresAt }
+ */
+function issueToken(principal) {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const expires = issuedAt + Math.round(getTokenTtlHours() * 60 * 60);
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+  const data = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode({ sub: principal.id, role: principal.role, iat: issuedAt, exp: expires })}`;
+  return {
+    token: `${data}.${sign(data)}`,
+    expiresAt: new Date(expires * 1000).toISOString()
+  };
+}
+
+/**
+ * Verifies a JWT and returns its principal
+ * @param {string} token - Compact JWT
+ * @returns {Object} - { role, id }
+ * @throws {Error} - If the token is malformed, forged or expired
+ */
+function verifyToken(token) {
+  const [header, payload, signature, ...rest] = token.split('.');
+  if (!header || !payload || !signature || rest.length > 0) {
+    throw new Error('Malformed token');
+  }
+
+  let claims;
+  try {
+    const { alg } = JSON.parse(Buffer.from(header, 'base64url').toString('utf8'));
+    if (alg !== 'HS256') throw new Error();
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Malformed token');
+  }
+
+  const expected = Buffer.from(sign(`${header}.${payload}`));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new Error('Invalid token signature');
+  }
+  if (typeof claims.exp !== 'number' || claims.exp * 1000 <= Date.now()) {
+    throw new Error('Token has expired');
+  }
+  if (!ROLES.includes(claims.role) || !claims.sub) {
+    throw new Error('Token has no valid role or subject');
+  }
+
+  return { role: claims.role, id: String(claims.sub) };
+}
+
+/**
+ * Builds the error body for missing or rejected credentials
+ * @param {string} message - What went wrong
+ * @returns {Object} - Error response body
+ */
+function unauthorized(message) {
+  return {
+    error: 'Authentication required',
+    message
+  };
+}
+
+/**
+ * Middleware that identifies the caller from an X-API-Key header or an Authorization: Bearer token
+ * Sets req.user to { role, id, method } or null for anonymous calls; invalid credentials are rejected
+ * right away instead of silently falling back to anonymous.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+function authenticate(req, res, next) {
+  req.user = null;
+  const apiKey = req.get('X-API-Key');
+  const authorization = req.get('Authorization');
+
+  if (apiKey) {
+    const principal = getApiKeys().get(hashApiKey(apiKey.trim()));
+    if (!principal) {
+      return res.status(401).json(unauthorized('Unknown API key'));
+    }
+    req.user = { ...principal, method: 'api_key' };
+  } else if (authorization) {
+    const [scheme, token] = authorization.split(' ');
+    if (!/^bearer$/i.test(scheme) || !token) {
+      return res.status(401).set('WWW-Authenticate', 'Bearer').json(unauthorized('Use Authorization: Bearer <token>'));
+    }
+    try {
+      req.user = { ...verifyToken(token.trim()), method: 'jwt' };
+    } catch (error) {
+      return res.status(401).set('WWW-Authenticate', 'Bearer error="invalid_token"').json(unauthorized(error.message));
+    }
+  }
+
+  next();
+}
+
+/**
+ * Middleware factory that only lets the given roles through; admins are always allowed
+ * @param {...string} roles - Allowed roles
+ * @returns {Function} - Express middleware
+ */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).set('WWW-Authenticate', 'Bearer').json(unauthorized('Send an X-API-Key header or an Authorization: Bearer token'));
+    }
+    if (req.user.role !== 'admin' && !roles.includes(req.user.role)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `This endpoint is only available to: ${[...new Set([...roles, 'admin'])].join(', ')}`
+      });
+    }
+    next();
+  };
+}
+
+/**
+ * Middleware that lets sellers act only on their own :sellerId; admins may act for any seller
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+function requireOwnSeller(req, res, next) {
+  if (req.user.role === 'seller' && req.user.id !== req.params.sellerId) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: `Seller ${req.user.id} cannot manage the inventory of ${req.params.sellerId}`
+    });
+  }
+  next();
+}
+
+/**
+ * Whether a caller may see a part request: its customer, any seller (to make offers) and admins
+ * @param {Object} user - Authenticated caller
+ * @param {Object} request - Stored request
+ * @returns {boolean} - True if the request is visible
+ */
+function canViewRequest(user, request) {
+  return user.role === 'seller' || isRequestOwner(user, request);
+}
+
+/**
+ * Whether a caller may act as the customer of a part request (accept, reject, cancel)
+ * @param {Object} user - Authenticated caller
+ * @param {Object} request - Stored request
+ * @returns {boolean} - True for the customer who created it and admins
+ */
+function isRequestOwner(user, request) {
+  return user.role === 'admin' || (user.role === 'customer' && request.customerId === user.id);
+}
+
+/**
+ * Removes what a caller may not see from a request
+ * The callback secret is only ever shown once, when the request is created; sellers also don't
+ * see the customer's contact details or callback URL.
+ * @param {Object} user - Authenticated caller
+ * @param {Object} request - Stored request
+ * @returns {Object} - Request as the caller may see it
+ */
+function redactRequest(user, request) {
+  const { callbackSecret, ...shown } = request;
+  if (user.role !== 'seller') return shown;
+  const { userEmail, customerId, callbackUrl, ...visible } = shown;
+  return visible;
+}
+
+module.exports = {
+  ROLES,
+  issueToken,
+  verifyToken,
+  authenticate,
+  requireRole,
+  requireOwnSeller,
+  canViewRequest,
+  isRequestOwner,
+  redactRequest
+};
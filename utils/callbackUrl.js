@@ -0,0 +1,143 @@
+// Callback URLs: customers choose where the server sends signed POSTs, so internal networks are off limits
+// Loopback, private, link-local and other non-public addresses are refused unless the host is listed in
+// CALLBACK_ALLOWED_HOSTS (e.g. localhost for local testing). Host names are resolved and checked right before
+// every delivery, and the delivery connects to the address that was checked.
+
+const dns = require('dns').promises;
+const net = require('net');
+
+// IPv4 ranges that aren't publicly routable, as [first address, prefix length]
+const BLOCKED_IPV4_RANGES = [
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8], // private
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8], // loopback
+  ['169.254.0.0', 16], // link-local, including cloud metadata services
+  ['172.16.0.0', 12], // private
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.168.0.0', 16], // private
+  ['198.18.0.0', 15], // benchmarking
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4] // reserved and broadcast
+];
+
+/**
+ * Reads an IPv4 address as a number
+ * @param {string} address - Dotted IPv4 address
+ * @returns {number} - Address as an unsigned 32-bit number
+ */
+function ipv4ToNumber(address) {
+  return address.split('.').reduce((number, octet) => number * 256 + Number(octet), 0);
+}
+
+/**
+ * Checks an IPv4 address against the blocked ranges
+ * @param {string} address - Dotted IPv4 address
+ * @returns {boolean} - True if the address isn't public
+ */
+function isBlockedIPv4(address) {
+  const number = ipv4ToNumber(address);
+  return BLOCKED_IPV4_RANGES.some(([first, prefix]) => {
+    const size = 2 ** (32 - prefix);
+    return Math.floor(number / size) === Math.floor(ipv4ToNumber(first) / size);
+  });
+}
+
+/**
+ * Checks an IP address is not public: loopback, private, link-local, multicast or reserved
+ * IPv4-mapped IPv6 addresses are checked as the IPv4 address they carry.
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} - True if the address isn't public
+ */
+function isBlockedAddress(address) {
+  if (net.isIPv4(address)) return isBlockedIPv4(address);
+
+  const ipv6 = address.toLowerCase();
+  const mappedDotted = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/.exec(ipv6);
+  if (mappedDotted) return isBlockedIPv4(mappedDotted[1]);
+  const mappedHex = /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/.exec(ipv6);
+  if (mappedHex) {
+    const [high, low] = [parseInt(mappedHex[1], 16), parseInt(mappedHex[2], 16)];
+    return isBlockedIPv4([high >> 8, high & 255, low >> 8, low & 255].join('.'));
+  }
+
+  return ipv6 === '::' || ipv6 === '::1' ||
+    /^f[cd]/.test(ipv6) || // unique local, fc00::/7
+    /^fe[89ab]/.test(ipv6) || // link-local, fe80::/10
+    /^ff/.test(ipv6); // multicast
+}
+
+/**
+ * Hosts that may receive callbacks even though they are local (CALLBACK_ALLOWED_HOSTS)
+ * @returns {Array} - Lower-case host names and addresses
+ */
+function getAllowedHosts() {
+  return (process.env.CALLBACK_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Reads the host of a URL, without the brackets of IPv6 addresses
+ * @param {URL} url - Parsed URL
+ * @returns {string} - Lower-case host name or address
+ */
+function hostOf(url) {
+  return url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+}
+
+/**
+ * Checks a callback URL without resolving its host: http or https, and no local or private address
+ * @param {string} value - URL
+ * @returns {string|null} - What is wrong with the URL, or null if it may be used
+ */
+function checkCallbackUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return 'must be an absolute http or https URL';
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    return 'must be an absolute http or https URL';
+  }
+
+  const host = hostOf(url);
+  if (getAllowedHosts().includes(host)) return null;
+  if (host === 'localhost' || host.endsWith('.localhost') || (net.isIP(host) && isBlockedAddress(host))) {
+    return 'must not point to a loopback, private or link-local address';
+  }
+  return null;
+}
+
+/**
+ * Resolves a callback URL right before it is called and checks the addresses its host resolves to
+ * Connecting to the returned address, instead of resolving the host again, keeps a host from switching
+ * to a local address between the check and the connection.
+ * @param {string} target - Callback URL
+ * @returns {Promise<Object>} - { address, family } to connect to
+ */
+async function resolveCallbackTarget(target) {
+  const problem = checkCallbackUrl(target);
+  if (problem) {
+    throw new Error(`Callback URL ${problem}`);
+  }
+
+  const host = hostOf(new URL(target));
+  if (net.isIP(host)) return { address: host, family: net.isIP(host) };
+  if (getAllowedHosts().includes(host)) return dns.lookup(host);
+
+  const addresses = await dns.lookup(host, { all: true });
+  const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+  if (blocked) {
+    throw new Error(`Callback host ${host} resolves to the non-public address ${blocked.address}`);
+  }
+  return addresses[0];
+}
+
+module.exports = {
+  isBlockedAddress,
+  checkCallbackUrl,
+  resolveCallbackTarget
+};
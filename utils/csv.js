@@ -0,0 +1,130 @@
+// Minimal CSV reading and writing (RFC 4180 quoting, comma or semicolon separated)
+
+/**
+ * Picks the delimiter of a CSV file from its header line
+ * Spreadsheets with a Turkish or German locale save with ';' because ',' is the decimal separator.
+ * @param {string} headerLine - First line of the file
+ * @returns {string} - ',' or ';'
+ */
+function detectDelimiter(headerLine) {
+  const commas = (headerLine.match(/,/g) || []).length;
+  const semicolons = (headerLine.match(/;/g) || []).length;
+  return semicolons > commas ? ';' : ',';
+}
+
+/**
+ * Splits CSV text into records of fields, honouring quoted fields with delimiters, quotes and line breaks
+ * @param {string} text - CSV text
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array} - Records as { line, fields } where line is the 1-based line the record starts on
+ */
+function splitRecords(text, delimiter) {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endField = () => {
+    fields.push(field);
+    field = '';
+  };
+  const endRecord = () => {
+    endField();
+    // Skip blank lines
+    if (fields.length > 1 || fields[0].trim() !== '') records.push({ line: recordLine, fields });
+    fields = [];
+    recordLine = line;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      line++;
+      endRecord();
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`Unterminated quoted field starting on line ${recordLine}`);
+  }
+  if (field !== '' || fields.length > 0) endRecord();
+
+  return records;
+}
+
+/**
+ * Parses CSV text with a header row
+ * @param {string} text - CSV text
+ * @returns {Object} - { headers, delimiter, rows } where rows are { line, values } keyed by header
+ */
+function parseCsv(text) {
+  const content = text.replace(/^\uFEFF/, ''); // Excel adds a byte order mark
+  const delimiter = detectDelimiter(content.split(/\r?\n/, 1)[0]);
+  const [header, ...records] = splitRecords(content, delimiter);
+
+  if (!header) {
+    return { headers: [], delimiter, rows: [] };
+  }
+
+  const headers = header.fields.map(name => name.trim());
+  const rows = records.map(record => ({
+    line: record.line,
+    values: headers.reduce((values, name, index) => {
+      values[name] = record.fields[index] !== undefined ? record.fields[index].trim() : '';
+      return values;
+    }, {})
+  }));
+
+  return { headers, delimiter, rows };
+}
+
+/**
+ * Quotes a CSV field if it contains a delimiter, quote or line break
+ * @param {*} value - Field value
+ * @param {string} delimiter - Field delimiter
+ * @returns {string} - CSV field
+ */
+function formatField(value, delimiter) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return text.includes(delimiter) || /["\r\n]/.test(text)
+    ? `"${text.replace(/"/g, '""')}"`
+    : text;
+}
+
+/**
+ * Writes records as CSV with a header row
+ * @param {Array} headers - Column names
+ * @param {Array} records - Objects keyed by column name
+ * @param {string} delimiter - Field delimiter
+ * @returns {string} - CSV text
+ */
+function toCsv(headers, records, delimiter = ',') {
+  const lines = [headers, ...records.map(record => headers.map(name => record[name]))]
+    .map(values => values.map(value => formatField(value, delimiter)).join(delimiter));
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  parseCsv,
+  toCsv
+};
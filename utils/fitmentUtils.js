@@ -0,0 +1,171 @@
+// Fitment utilities for matching parts to vehicles
+
+// Rule fields and the vehicle attribute each one is checked against
+const RULE_FIELDS = [
+  { rule: 'makes', attribute: 'make', label: 'make' },
+  { rule: 'models', attribute: 'model', label: 'model' },
+  { rule: 'engineCodes', attribute: 'engineCode', label: 'engine code' },
+  { rule: 'fuelTypes', attribute: 'fuelType', label: 'fuel type' },
+  { rule: 'bodyTypes', attribute: 'bodyType', label: 'body type' }
+];
+
+/**
+ * Compares a single fitment rule against a vehicle
+ * @param {Object} rule - Fitment rule (makes, models, yearFrom, yearTo, engineCodes, fuelTypes, bodyTypes)
+ * @param {Object} vehicle - Vehicle record
+ * @returns {Array} - Mismatches, empty if the rule matches
+ */
+function evaluateRule(rule, vehicle) {
+  const mismatches = [];
+
+  RULE_FIELDS.forEach(({ rule: ruleField, attribute, label }) => {
+    const allowed = rule[ruleField];
+    if (!allowed) return;
+
+    const actual = vehicle[attribute];
+    const matches = actual !== undefined && actual !== null &&
+      allowed.some(value => value.toLowerCase() === String(actual).toLowerCase());
+
+    if (!matches) {
+      mismatches.push({
+        field: attribute,
+        expected: allowed,
+        actual: actual === undefined ? null : actual,
+        message: `Vehicle ${label} '${actual === undefined || actual === null ? 'unknown' : actual}' is not one of: ${allowed.join(', ')}`
+      });
+    }
+  });
+
+  if (rule.yearFrom !== undefined || rule.yearTo !== undefined) {
+    const year = vehicle.year;
+    const tooOld = rule.yearFrom !== undefined && !(year >= rule.yearFrom);
+    const tooNew = rule.yearTo !== undefined && !(year <= rule.yearTo);
+
+    if (tooOld || tooNew) {
+      let range = `${rule.yearFrom}-${rule.yearTo}`;
+      if (rule.yearTo === undefined) range = `${rule.yearFrom} and later`;
+      if (rule.yearFrom === undefined) range = `up to ${rule.yearTo}`;
+
+      mismatches.push({
+        field: 'year',
+        expected: { from: rule.yearFrom || null, to: rule.yearTo || null },
+        actual: year === undefined ? null : year,
+        message: `Vehicle year ${year} is outside the supported range (${range})`
+      });
+    }
+  }
+
+  return mismatches;
+}
+
+/**
+ * Checks whether a part fits a vehicle
+ * A part without fitment rules is universal. Otherwise it fits when at least one
+ * include rule matches (or there are none) and no exclude rule matches.
+ * @param {Object} part - Part record with optional fitment rules
+ * @param {Object} vehicle - Vehicle record
+ * @returns {Object} - { compatible, reasons }
+ */
+function checkFitment(part, vehicle) {
+  const rules = part.fitment || [];
+  const includeRules = rules.filter(rule => !rule.exclude);
+  const excludeRules = rules.filter(rule => rule.exclude);
+
+  // Explicit exclusions win over everything else
+  const exclusion = excludeRules.find(rule => evaluateRule(rule, vehicle).length === 0);
+  if (exclusion) {
+    return {
+      compatible: false,
+      reasons: [{
+        field: 'exclusion',
+        expected: null,
+        actual: `${vehicle.make} ${vehicle.model}`,
+        message: `Part is excluded for ${vehicle.make} ${vehicle.model}${exclusion.note ? `: ${exclusion.note}` : ''}`
+      }]
+    };
+  }
+
+  if (includeRules.length === 0) {
+    return { compatible: true, reasons: [] };
+  }
+
+  const results = includeRules.map(rule => ({ rule, mismatches: evaluateRule(rule, vehicle) }));
+  if (results.some(result => result.mismatches.length === 0)) {
+    return { compatible: true, reasons: [] };
+  }
+
+  // A single rule can be explained field by field
+  if (results.length === 1) {
+    const { rule, mismatches } = results[0];
+    return {
+      compatible: false,
+      reasons: rule.note
+        ? mismatches.map(mismatch => ({ ...mismatch, message: `${mismatch.message} (${rule.note})` }))
+        : mismatches
+    };
+  }
+
+  // Several alternative rules are summarized instead
+  const supported = includeRules.map(describeRule);
+  return {
+    compatible: false,
+    reasons: [{
+      field: 'fitment',
+      expected: supported,
+      actual: `${vehicle.make} ${vehicle.model} ${vehicle.year}`,
+      message: `Vehicle matches none of the supported fitments: ${supported.join('; ')}`
+    }]
+  };
+}
+
+/**
+ * Describes a fitment rule in a single line
+ * @param {Object} rule - Fitment rule
+ * @returns {string} - Human readable rule summary
+ */
+function describeRule(rule) {
+  const parts = [];
+
+  if (rule.makes) parts.push(rule.makes.join('/'));
+  if (rule.models) parts.push(rule.models.join('/'));
+  if (rule.engineCodes) parts.push(`engine ${rule.engineCodes.join('/')}`);
+  if (rule.fuelTypes) parts.push(rule.fuelTypes.join('/'));
+  if (rule.bodyTypes) parts.push(rule.bodyTypes.join('/'));
+  if (rule.yearFrom !== undefined && rule.yearTo !== undefined) parts.push(`${rule.yearFrom}-${rule.yearTo}`);
+  else if (rule.yearFrom !== undefined) parts.push(`${rule.yearFrom} and later`);
+  else if (rule.yearTo !== undefined) parts.push(`up to ${rule.yearTo}`);
+
+  return parts.join(' ');
+}
+
+/**
+ * Splits a list of parts into those that fit a vehicle and those that don't
+ * The fitment rules are already applied, so they are left out of the returned parts.
+ * @param {Array} parts - Part records
+ * @param {Object} vehicle - Vehicle record
+ * @returns {Object} - { compatible, incompatible } where incompatible parts carry their reasons
+ */
+function filterPartsForVehicle(parts, vehicle) {
+  const compatible = [];
+  const incompatible = [];
+
+  parts.forEach(part => {
+    const { fitment, ...partWithoutRules } = part;
+    const result = checkFitment(part, vehicle);
+    if (result.compatible) {
+      compatible.push(partWithoutRules);
+    } else {
+      incompatible.push({
+        ...partWithoutRules,
+        reasons: result.reasons
+      });
+    }
+  });
+
+  return { compatible, incompatible };
+}
+
+module.exports = {
+  checkFitment,
+  filterPartsForVehicle
+};
@@ -0,0 +1,144 @@
+// Offline geocoding of Turkish locations, distances and distance-based delivery estimates
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeText } = require('./textNormalizer');
+const { translate } = require('./i18n');
+
+const EARTH_RADIUS_KM = 6371;
+
+// Straight-line distance -> delivery time; roads are longer, the bands allow for it
+const DELIVERY_BANDS = [
+  { maxKm: 30, minDays: 0, maxDays: 0 },
+  { maxKm: 250, minDays: 1, maxDays: 2 },
+  { maxKm: 600, minDays: 2, maxDays: 3 },
+  { maxKm: 1000, minDays: 3, maxDays: 4 },
+  { maxKm: Infinity, minDays: 4, maxDays: 5 }
+];
+// Without a customer location only the countrywide range can be promised
+const UNKNOWN_DISTANCE_DELIVERY = { minDays: 1, maxDays: 5 };
+
+// Load location data
+const { provinces } = JSON.parse(fs.readFileSync(path.join(__dirname, '../data/turkeyLocations.json'), 'utf8'));
+const provincesByName = new Map(provinces.map(province => [normalizeText(province.name), province]));
+
+const sellerLocations = new Map();
+
+/**
+ * Builds a geocoding result
+ * @param {Object} province - Province record
+ * @param {Object} district - District record, or null for the province centre
+ * @returns {Object} - { province, district, lat, lon, precision }
+ */
+function toLocation(province, district) {
+  const place = district || province;
+  return {
+    province: province.name,
+    district: district ? district.name : null,
+    lat: place.lat,
+    lon: place.lon,
+    precision: district ? 'district' : 'province'
+  };
+}
+
+/**
+ * Finds a district of a province by name
+ * @param {Object} province - Province record
+ * @param {string} name - Normalized district name
+ * @returns {Object|null} - District record
+ */
+function findDistrict(province, name) {
+  return province.districts.find(district => normalizeText(district.name) === name) || null;
+}
+
+/**
+ * Geocodes a free-text Turkish location against the bundled provinces and districts
+ * Accepts 'Province', 'District', 'Province - District', 'District, Province' and similar; diacritics and
+ * case don't matter. 'Merkez' and unknown districts resolve to the province centre.
+ * @param {string} text - Location, e.g. 'İstanbul - Beyoğlu' or 'kadikoy'
+ * @returns {Object|null} - { province, district, lat, lon, precision } or null if unknown
+ */
+function geocode(text) {
+  if (typeof text !== 'string') return null;
+  // No province or district name has more than one word, so every word can be looked up on its own
+  const parts = text.split(/[\s,/-]+/).map(part => normalizeText(part)).filter(Boolean);
+  if (parts.length === 0) return null;
+
+  const provinceIndex = parts.findIndex(part => provincesByName.has(part));
+  if (provinceIndex !== -1) {
+    const province = provincesByName.get(parts[provinceIndex]);
+    const district = parts
+      .filter((part, index) => index !== provinceIndex)
+      .map(part => findDistrict(province, part))
+      .find(Boolean);
+    return toLocation(province, district || null);
+  }
+
+  // Only a district: the first province that has one of that name wins
+  for (const part of parts) {
+    for (const province of provinces) {
+      const district = findDistrict(province, part);
+      if (district) return toLocation(province, district);
+    }
+  }
+  return null;
+}
+
+/**
+ * Geocodes a seller's location, once per seller
+ * @param {Object} seller - Seller record
+ * @returns {Object|null} - Location or null if unknown
+ */
+function locateSeller(seller) {
+  if (!sellerLocations.has(seller.id)) {
+    sellerLocations.set(seller.id, geocode(seller.location));
+  }
+  return sellerLocations.get(seller.id);
+}
+
+/**
+ * Great-circle distance between two points (haversine)
+ * @param {Object} from - { lat, lon }
+ * @param {Object} to - { lat, lon }
+ * @returns {number} - Distance in km
+ */
+function distanceKm(from, to) {
+  const radians = degrees => degrees * Math.PI / 180;
+  const dLat = radians(to.lat - from.lat);
+  const dLon = radians(to.lon - from.lon);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(radians(from.lat)) * Math.cos(radians(to.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Estimates delivery time from the distance between seller and customer
+ * @param {number|null} distance - Distance in km, or null if the customer's location is unknown
+ * @returns {Object} - { minDays, maxDays }; 0 days means same-day delivery
+ */
+function estimateDelivery(distance) {
+  if (distance === null || distance === undefined) return { ...UNKNOWN_DISTANCE_DELIVERY };
+  const { minDays, maxDays } = DELIVERY_BANDS.find(band => distance <= band.maxKm);
+  return { minDays, maxDays };
+}
+
+/**
+ * Formats a delivery estimate
+ * @param {Object} estimate - { minDays, maxDays }
+ * @param {string} locale - Response locale
+ * @returns {string} - Delivery time estimate
+ */
+function formatDeliveryTime({ minDays, maxDays }, locale) {
+  if (maxDays === 0) {
+    return translate(locale, 'time.sameDay');
+  }
+  return translate(locale, 'time.days', { range: `${minDays}-${maxDays}` });
+}
+
+module.exports = {
+  geocode,
+  locateSeller,
+  distanceKm,
+  estimateDelivery,
+  formatDeliveryTime
+};
@@ -0,0 +1,144 @@
+// Locale negotiation and translation of messages, categories and part names
+
+const fs = require('fs');
+const path = require('path');
+
+const SUPPORTED_LOCALES = ['tr', 'en', 'de'];
+const DEFAULT_LOCALE = 'tr';
+
+// Catalogs are keyed by locale: { messages, categories, parts }
+const catalogs = SUPPORTED_LOCALES.reduce((loaded, locale) => {
+  const catalog = JSON.parse(fs.readFileSync(path.join(__dirname, `../data/locales/${locale}.json`), 'utf8'));
+  loaded[locale] = { messages: {}, categories: {}, parts: {}, ...catalog };
+  return loaded;
+}, {});
+
+/**
+ * Reduces a language tag to a supported locale
+ * @param {string} tag - Language tag such as 'de-AT' or 'EN'
+ * @returns {string|null} - Supported locale or null
+ */
+function toSupportedLocale(tag) {
+  if (!tag || typeof tag !== 'string') return null;
+  const language = tag.trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(language) ? language : null;
+}
+
+/**
+ * Picks the best supported locale from an Accept-Language header
+ * e.g. 'de-CH;q=0.9, en;q=0.8' -> 'de'
+ * @param {string} header - Accept-Language header value
+ * @returns {string|null} - Supported locale or null if none is acceptable
+ */
+function parseAcceptLanguage(header) {
+  if (!header || typeof header !== 'string') return null;
+
+  const ranges = header.split(',')
+    .map((range, index) => {
+      const [tag, ...params] = range.trim().split(';');
+      const qParam = params.find(param => param.trim().startsWith('q='));
+      const quality = qParam ? parseFloat(qParam.trim().slice(2)) : 1;
+      return { locale: toSupportedLocale(tag), quality: isNaN(quality) ? 0 : quality, index };
+    })
+    .filter(range => range.locale && range.quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.index - b.index);
+
+  return ranges.length > 0 ? ranges[0].locale : null;
+}
+
+/**
+ * Negotiates the response locale; an explicit lang parameter wins over Accept-Language
+ * @param {Object} req - Express request object
+ * @returns {string} - Supported locale
+ */
+function negotiateLocale(req) {
+  const explicit = (req.query && req.query.lang) || (req.body && req.body.lang);
+  return toSupportedLocale(explicit) ||
+    parseAcceptLanguage(req.get('Accept-Language')) ||
+    DEFAULT_LOCALE;
+}
+
+/**
+ * Translates a message key, falling back to the default locale
+ * Messages may use {placeholders}; a message with one/other forms is pluralized on params.count.
+ * @param {string} locale - Target locale
+ * @param {string} key - Message key (e.g. 'confidence.high')
+ * @param {Object} params - Placeholder values
+ * @returns {string} - Translated message, or the key itself if it is unknown
+ */
+function translate(locale, key, params = {}) {
+  const catalog = catalogs[locale] || catalogs[DEFAULT_LOCALE];
+  let message = catalog.messages[key];
+  if (message === undefined) message = catalogs[DEFAULT_LOCALE].messages[key];
+  if (message === undefined) return key;
+
+  if (typeof message === 'object') {
+    message = params.count === 1 ? message.one : message.other;
+  }
+
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    params[name] === undefined ? placeholder : String(params[name])
+  );
+}
+
+/**
+ * Translates a part name; names are catalogued in Turkish
+ * @param {string} locale - Target locale
+ * @param {string} name - Turkish part name
+ * @returns {string} - Translated name, or the original if there is no translation
+ */
+function translatePartName(locale, name) {
+  const catalog = catalogs[locale];
+  return (catalog && catalog.parts[name]) || name;
+}
+
+/**
+ * Translates a part category; categories are catalogued in Turkish
+ * @param {string} locale - Target locale
+ * @param {string} category - Turkish category name (e.g. 'Fren')
+ * @returns {string} - Translated category name
+ */
+function translateCategory(locale, category) {
+  const catalog = catalogs[locale];
+  return (catalog && catalog.categories[category]) || category;
+}
+
+/**
+ * Finds the catalogue category for a category name given in any supported language
+ * e.g. 'Brakes', 'bremsen' and 'Fren' all resolve to 'Fren'
+ * @param {string} name - Category name as typed by the client
+ * @param {Array} categories - Catalogue category names
+ * @returns {string|null} - Catalogue category name or null if unknown
+ */
+function resolveCategory(name, categories) {
+  if (!name) return null;
+  const wanted = name.toLocaleLowerCase('tr-TR');
+
+  return categories.find(category =>
+    category.toLocaleLowerCase('tr-TR') === wanted ||
+    SUPPORTED_LOCALES.some(locale => translateCategory(locale, category).toLocaleLowerCase('tr-TR') === wanted)
+  ) || null;
+}
+
+/**
+ * Returns a copy of a part with its name translated
+ * The Turkish catalogue name is kept as originalName when it differs.
+ * @param {Object} part - Part record
+ * @param {string} locale - Target locale
+ * @returns {Object} - Localized part
+ */
+function localizePart(part, locale) {
+  const name = translatePartName(locale, part.name);
+  return name === part.name ? part : { ...part, name, originalName: part.name };
+}
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  negotiateLocale,
+  translate,
+  translatePartName,
+  translateCategory,
+  resolveCategory,
+  localizePart
+};
@@ -0,0 +1,213 @@
+// Bulk inventory import/export: price lists as CSV or JSON rows
+
+const fs = require('fs');
+const path = require('path');
+const { parseCsv, toCsv } = require('./csv');
+const { normalizeReferenceNumber, buildReferenceIndex } = require('./xrefUtils');
+const { validateInventoryItem } = require('./inventoryStore');
+
+// Column order of exported files; imports accept the same columns in any order
+const COLUMNS = ['partId', 'oemNumber', 'price', 'stock', 'condition', 'warrantyMonths'];
+
+// Load mock data
+const mockParts = JSON.parse(fs.readFileSync(path.join(__dirname, '../data/mockParts.json'), 'utf8'));
+const partsById = new Map(Object.values(mockParts).flat().map(part => [part.id, part]));
+const referenceIndex = buildReferenceIndex(mockParts);
+
+/**
+ * Maps a header as typed in a spreadsheet ('Part ID', 'part_id', 'OEM Number') to a column name
+ * @param {string} header - Header cell
+ * @returns {string|null} - Column name or null if unknown
+ */
+function toColumn(header) {
+  const key = header.toLowerCase().replace(/[^a-z0-9]/g, '');
+  return COLUMNS.find(column => column.toLowerCase() === key) || null;
+}
+
+/**
+ * Reads the rows of an uploaded price list
+ * @param {string|Object|Array} body - CSV text, a JSON array of rows or { items: [...] }
+ * @returns {Object} - { rows, ignoredColumns } where rows are { row, values } keyed by column name
+ */
+function readImportRows(body) {
+  if (typeof body === 'string') {
+    const { headers, rows } = parseCsv(body);
+    const columns = headers.map(toColumn);
+    const missing = ['price', 'stock'].filter(column => !columns.includes(column));
+    if (!columns.includes('partId') && !columns.includes('oemNumber')) missing.unshift('partId or oemNumber');
+    if (rows.length > 0 && missing.length > 0) {
+      throw new Error(`Missing columns: ${missing.join(', ')}`);
+    }
+
+    return {
+      ignoredColumns: headers.filter((header, index) => !columns[index]),
+      rows: rows.map(({ line, values }) => ({
+        row: line,
+        values: headers.reduce((mapped, header, index) => {
+          if (columns[index]) mapped[columns[index]] = values[header];
+          return mapped;
+        }, {})
+      }))
+    };
+  }
+
+  const items = Array.isArray(body) ? body : body && body.items;
+  if (!Array.isArray(items)) {
+    throw new Error('JSON imports must be an array of rows or an object with an items array');
+  }
+
+  return {
+    ignoredColumns: [],
+    rows: items.map((item, index) => ({
+      row: index + 1,
+      values: item && typeof item === 'object'
+        ? COLUMNS.reduce((mapped, column) => ({ ...mapped, [column]: item[column] }), {})
+        : {}
+    }))
+  };
+}
+
+/**
+ * Converts a spreadsheet cell to a number, accepting a decimal comma ('349,90')
+ * @param {*} value - Cell value
+ * @returns {number|undefined} - Number, NaN if it isn't one, undefined if the cell is empty
+ */
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (value === undefined || value === null || String(value).trim() === '') return undefined;
+  const text = String(value).trim().replace(/^(\d+),(\d+)$/, '$1.$2');
+  return /^-?\d+(\.\d+)?$/.test(text) ? Number(text) : NaN;
+}
+
+/**
+ * Finds the part a row refers to, by internal part id or OEM/aftermarket number
+ * @param {Object} values - Row values
+ * @returns {Object} - { partId } or { status, message } if the part can't be resolved
+ */
+function resolvePart(values) {
+  const partId = values.partId ? String(values.partId).trim() : '';
+  const oemNumber = values.oemNumber ? String(values.oemNumber).trim() : '';
+
+  if (!partId && !oemNumber) {
+    return { status: 'rejected', message: 'Either partId or oemNumber is required' };
+  }
+  if (partId && !partsById.has(partId)) {
+    return { status: 'unknown_part', message: `Unknown part ID: ${partId}` };
+  }
+
+  if (oemNumber) {
+    const match = referenceIndex.get(normalizeReferenceNumber(oemNumber));
+    if (!match) {
+      return { status: 'unknown_part', message: `Unknown part number: ${oemNumber}` };
+    }
+    if (partId && match.part.id !== partId) {
+      return { status: 'rejected', message: `Part number ${oemNumber} belongs to ${match.part.id}, not ${partId}` };
+    }
+    return { partId: match.part.id };
+  }
+
+  return { partId };
+}
+
+/**
+ * Validates every row of an import against mockParts.json and the seller's current inventory
+ * @param {Array} rows - Rows from readImportRows()
+ * @param {Array} existingItems - The seller's current listings
+ * @returns {Object} - { report, accepted, summary }; accepted holds the fields of the rows to upsert
+ */
+function prepareImport(rows, existingItems) {
+  const existingKeys = new Set(existingItems.map(item => `${item.partId}|${item.condition}`));
+  const seenKeys = new Map();
+  const report = [];
+  const accepted = [];
+
+  rows.forEach(({ row, values }) => {
+    const part = resolvePart(values);
+    if (!part.partId) {
+      report.push({ row, status: part.status, errors: [part.message] });
+      return;
+    }
+
+    const fields = {
+      partId: part.partId,
+      price: toNumber(values.price),
+      stock: toNumber(values.stock),
+      condition: values.condition ? String(values.condition).trim().toLowerCase() : 'new',
+      warrantyMonths: toNumber(values.warrantyMonths)
+    };
+    const errors = validateInventoryItem(fields).map(error => error.message);
+
+    const key = `${fields.partId}|${fields.condition}`;
+    if (seenKeys.has(key)) {
+      errors.push(`Duplicate of row ${seenKeys.get(key)} (same part and condition)`);
+    }
+
+    if (errors.length > 0) {
+      report.push({ row, partId: fields.partId, status: 'rejected', errors });
+      return;
+    }
+
+    seenKeys.set(key, row);
+    accepted.push(fields);
+    report.push({
+      row,
+      partId: fields.partId,
+      condition: fields.condition,
+      status: 'accepted',
+      action: existingKeys.has(key) ? 'updated' : 'created'
+    });
+  });
+
+  const count = predicate => report.filter(predicate).length;
+  return {
+    report,
+    accepted,
+    summary: {
+      total: rows.length,
+      accepted: accepted.length,
+      rejected: count(entry => entry.status === 'rejected'),
+      unknownPart: count(entry => entry.status === 'unknown_part'),
+      created: count(entry => entry.action === 'created'),
+      updated: count(entry => entry.action === 'updated')
+    }
+  };
+}
+
+/**
+ * Converts listings to export rows, in the same format the import reads
+ * @param {Array} items - Inventory listings
+ * @returns {Array} - Rows keyed by column name, sorted by part and condition
+ */
+function toExportRows(items) {
+  return [...items]
+    .sort((a, b) => a.partId.localeCompare(b.partId) || a.condition.localeCompare(b.condition))
+    .map(item => {
+      const part = partsById.get(item.partId);
+      const [oem] = (part && part.references && part.references.oem) || [];
+      return {
+        partId: item.partId,
+        oemNumber: oem ? oem.number : '',
+        price: item.price,
+        stock: item.stock,
+        condition: item.condition,
+        warrantyMonths: item.warrantyMonths
+      };
+    });
+}
+
+/**
+ * Writes export rows as CSV
+ * @param {Array} rows - Rows from toExportRows()
+ * @returns {string} - CSV text
+ */
+function toExportCsv(rows) {
+  return toCsv(COLUMNS, rows);
+}
+
+module.exports = {
+  COLUMNS,
+  readImportRows,
+  prepareImport,
+  toExportRows,
+  toExportCsv
+};
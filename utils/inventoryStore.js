@@ -0,0 +1,291 @@
+// Seller inventory: one listing per seller, part and condition, kept in the configured storage backend
+
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { getStore } = require('./storage');
+const { generateSellersForPart } = require('./matchUtils');
+const { createRandom } = require('./random');
+
+const INVENTORY = 'inventory';
+const META = 'meta';
+
+const CONDITIONS = ['new', 'used', 'refurbished'];
+
+// Load mock data
+const mockParts = JSON.parse(fs.readFileSync(path.join(__dirname, '../data/mockParts.json'), 'utf8'));
+const mockSellers = JSON.parse(fs.readFileSync(path.join(__dirname, '../data/mockSellers.json'), 'utf8'));
+const partIds = new Set(Object.values(mockParts).flat().map(part => part.id));
+
+let seeding = null;
+
+/**
+ * Default warranty of a part, by category
+ * @param {string} partId - Part ID
+ * @returns {number} - Warranty in months
+ */
+function getDefaultWarrantyMonths(partId) {
+  if (partId.includes('motor')) return 24;
+  if (partId.includes('fren')) return 12;
+  if (partId.includes('elektrik')) return 6;
+  if (partId.includes('suspansiyon')) return 12;
+  if (partId.includes('klima')) return 12;
+  if (partId.includes('govde')) return 6;
+  return 3;
+}
+
+/**
+ * Validates the fields of an inventory listing
+ * @param {Object} fields - Listing fields (partId, price, stock, condition, warrantyMonths)
+ * @param {Object} options - { partial: true } to only check the fields that are present
+ * @returns {Array} - Validation errors as { field, message }
+ */
+function validateInventoryItem(fields, { partial = false } = {}) {
+  const errors = [];
+  // Required fields are checked when creating; optional ones only when given
+  const shouldCheck = (field, required) => fields[field] !== undefined || (required && !partial);
+
+  if (shouldCheck('partId', true) && !partIds.has(fields.partId)) {
+    errors.push({ field: 'partId', message: fields.partId ? `Unknown part ID: ${fields.partId}` : 'Part ID is required' });
+  }
+  if (shouldCheck('price', true) && !(typeof fields.price === 'number' && Number.isFinite(fields.price) && fields.price > 0)) {
+    errors.push({ field: 'price', message: 'Price must be a positive number' });
+  }
+  if (shouldCheck('stock', true) && !(Number.isInteger(fields.stock) && fields.stock >= 0)) {
+    errors.push({ field: 'stock', message: 'Stock must be an integer of 0 or more' });
+  }
+  if (shouldCheck('condition', false) && !CONDITIONS.includes(fields.condition)) {
+    errors.push({ field: 'condition', message: `Condition must be one of: ${CONDITIONS.join(', ')}` });
+  }
+  if (shouldCheck('warrantyMonths', false) && !(Number.isInteger(fields.warrantyMonths) && fields.warrantyMonths >= 0)) {
+    errors.push({ field: 'warrantyMonths', message: 'Warranty must be a whole number of months' });
+  }
+
+  return errors;
+}
+
+/**
+ * Builds a stored listing
+ * @param {string} sellerId - Seller ID
+ * @param {Object} fields - Validated listing fields
+ * @returns {Object} - Listing with itemId and timestamps
+ */
+function buildItem(sellerId, fields) {
+  const now = new Date().toISOString();
+  return {
+    itemId: `inv-${uuidv4()}`,
+    sellerId,
+    partId: fields.partId,
+    price: fields.price,
+    stock: fields.stock,
+    reserved: 0,
+    condition: fields.condition || 'new',
+    warrantyMonths: fields.warrantyMonths !== undefined ? fields.warrantyMonths : getDefaultWarrantyMonths(fields.partId),
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+/**
+ * Fills an empty store with the starting inventory, once
+ * Parts listed in mockSellers.json keep their sellers, prices and stock; the other parts get
+ * generated listings, seeded so every fresh install starts from the same inventory.
+ */
+async function ensureSeeded() {
+  if (!seeding) {
+    seeding = (async () => {
+      const store = getStore();
+      if (await store.get(META, INVENTORY)) return;
+
+      const seed = process.env.MOCK_SEED || INVENTORY;
+      const entries = [];
+
+      partIds.forEach(partId => {
+        const listings = mockSellers[partId] ||
+          generateSellersForPart(partId, mockSellers.global_sellers, createRandom(seed, 'inventory', partId));
+
+        listings.forEach(({ sellerId, price, stock }) => {
+          const item = buildItem(sellerId, { partId, price, stock });
+          entries.push({ id: item.itemId, document: item });
+        });
+      });
+
+      await store.upsertMany(INVENTORY, entries);
+      await store.insert(META, INVENTORY, { seededAt: new Date().toISOString(), items: entries.length });
+      console.log(`Inventory: seeded ${entries.length} listings`);
+    })().catch(error => {
+      seeding = null;
+      throw error;
+    });
+  }
+  return seeding;
+}
+
+/**
+ * Lists inventory listings
+ * @param {Object} where - Field filters, e.g. { sellerId } or { partId }
+ * @returns {Promise<Array>} - Listings
+ */
+async function listInventory(where = {}) {
+  await ensureSeeded();
+  return getStore().find(INVENTORY, where);
+}
+
+/**
+ * Finds a listing by ID
+ * @param {string} itemId - Listing ID
+ * @returns {Promise<Object|null>} - Listing or null if not found
+ */
+async function getInventoryItem(itemId) {
+  await ensureSeeded();
+  return getStore().get(INVENTORY, itemId);
+}
+
+/**
+ * Finds a seller's listing of a part in a given condition
+ * @param {string} sellerId - Seller ID
+ * @param {string} partId - Part ID
+ * @param {string} condition - new, used or refurbished
+ * @returns {Promise<Object|null>} - Listing or null if the seller doesn't list it
+ */
+async function findInventoryItem(sellerId, partId, condition = 'new') {
+  const [item] = await listInventory({ sellerId, partId, condition });
+  return item || null;
+}
+
+/**
+ * Adds a listing to a seller's inventory
+ * @param {string} sellerId - Seller ID
+ * @param {Object} fields - Validated listing fields
+ * @returns {Promise<Object>} - Stored listing
+ */
+async function createInventoryItem(sellerId, fields) {
+  await ensureSeeded();
+  const item = buildItem(sellerId, fields);
+  return getStore().insert(INVENTORY, item.itemId, item);
+}
+
+/**
+ * Changes a listing
+ * @param {string} itemId - Listing ID
+ * @param {Object} changes - Validated fields to change
+ * @returns {Promise<Object|null>} - Updated listing or null if not found
+ */
+async function updateInventoryItem(itemId, changes) {
+  await ensureSeeded();
+  return getStore().update(INVENTORY, itemId, {
+    ...changes,
+    updatedAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Creates or updates many listings of a seller at once, keyed by part and condition
+ * Either every listing is written or none is, so a failed import never leaves half a price list behind.
+ * @param {string} sellerId - Seller ID
+ * @param {Array} rows - Validated listing fields, at most one per part and condition
+ * @returns {Promise<Array>} - Stored listings
+ */
+async function upsertInventoryItems(sellerId, rows) {
+  await ensureSeeded();
+  const store = getStore();
+  const existing = new Map((await store.find(INVENTORY, { sellerId }))
+    .map(item => [`${item.partId}|${item.condition}`, item]));
+  const now = new Date().toISOString();
+
+  const items = rows.map(fields => {
+    const current = existing.get(`${fields.partId}|${fields.condition || 'new'}`);
+    if (!current) return buildItem(sellerId, fields);
+
+    return {
+      ...current,
+      price: fields.price,
+      stock: fields.stock,
+      ...(fields.warrantyMonths !== undefined && { warrantyMonths: fields.warrantyMonths }),
+      updatedAt: now
+    };
+  });
+
+  await store.upsertMany(INVENTORY, items.map(item => ({ id: item.itemId, document: item })));
+  return items;
+}
+
+/**
+ * Removes a listing
+ * @param {string} itemId - Listing ID
+ * @returns {Promise<boolean>} - True if it existed
+ */
+async function deleteInventoryItem(itemId) {
+  await ensureSeeded();
+  return getStore().remove(INVENTORY, itemId);
+}
+
+/**
+ * Holds listing stock for the lines of an order, all lines or none
+ * Held units leave stock, so quotes and seller searches stop offering them, and are counted in reserved
+ * until the order delivers or releases them.
+ * @param {Array} lines - Order lines with itemId and quantity
+ * @returns {Promise<boolean>} - False if a listing no longer has the units, in which case nothing is held
+ */
+async function reserveStock(lines) {
+  await ensureSeeded();
+  const held = [];
+  for (const line of lines) {
+    // Checked and taken in one store update, so two orders can't both take the last units
+    const item = await getStore().update(INVENTORY, line.itemId, current => current.stock >= line.quantity && {
+      stock: current.stock - line.quantity,
+      reserved: (current.reserved || 0) + line.quantity,
+      updatedAt: new Date().toISOString()
+    });
+    if (!item) {
+      await releaseStock(held);
+      return false;
+    }
+    held.push(line);
+  }
+  return true;
+}
+
+/**
+ * Gives the held units of order lines back to their listings' stock
+ * @param {Array} lines - Order lines with itemId and quantity
+ */
+async function releaseStock(lines) {
+  await ensureSeeded();
+  for (const line of lines) {
+    await getStore().update(INVENTORY, line.itemId, current => ({
+      stock: current.stock + line.quantity,
+      reserved: Math.max((current.reserved || 0) - line.quantity, 0),
+      updatedAt: new Date().toISOString()
+    }));
+  }
+}
+
+/**
+ * Takes the held units of delivered order lines off their listings for good
+ * @param {Array} lines - Order lines with itemId and quantity
+ */
+async function deliverStock(lines) {
+  await ensureSeeded();
+  for (const line of lines) {
+    await getStore().update(INVENTORY, line.itemId, current => ({
+      reserved: Math.max((current.reserved || 0) - line.quantity, 0),
+      updatedAt: new Date().toISOString()
+    }));
+  }
+}
+
+module.exports = {
+  CONDITIONS,
+  validateInventoryItem,
+  listInventory,
+  getInventoryItem,
+  findInventoryItem,
+  createInventoryItem,
+  updateInventoryItem,
+  upsertInventoryItems,
+  deleteInventoryItem,
+  reserveStock,
+  releaseStock,
+  deliverStock
+};
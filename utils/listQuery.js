@@ -0,0 +1,234 @@
+// List endpoints: one query grammar for field filters, multi-field sorting and cursor pagination
+//
+//   ?minPrice=300&condition=new,used      filters declared by the endpoint
+//   ?sort=rating:desc,price               fields in order of precedence; each field has a natural direction
+//   ?limit=20&cursor=<next cursor>        page size (1-100) and the cursor of the previous page
+
+const crypto = require('crypto');
+const { normalizeText } = require('./textNormalizer');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Query parameters that select a page rather than the result set
+const PAGE_PARAMETERS = ['limit', 'cursor'];
+
+/**
+ * Parses a filter value
+ * @param {string} name - Query parameter
+ * @param {string} raw - Value from the query string
+ * @param {Object} filter - Filter spec: { type: number|integer|string|enum, values }
+ * @returns {Object} - { value } or { error }
+ */
+function parseFilterValue(name, raw, filter) {
+  switch (filter.type) {
+    case 'number': {
+      const value = Number(raw);
+      return raw !== '' && Number.isFinite(value) ? { value } : { error: `${name} must be a number` };
+    }
+    case 'integer': {
+      const value = Number(raw);
+      return raw !== '' && Number.isInteger(value) ? { value } : { error: `${name} must be a whole number` };
+    }
+    case 'enum': {
+      const values = raw.split(',').map(value => value.trim()).filter(Boolean);
+      const unknown = values.filter(value => !filter.values.includes(value));
+      return values.length > 0 && unknown.length === 0
+        ? { value: values }
+        : { error: `${name} must be one or more of: ${filter.values.join(', ')}` };
+    }
+    default:
+      return raw.trim() ? { value: normalizeText(raw.trim()) } : { error: `${name} must not be empty` };
+  }
+}
+
+/**
+ * Parses ?sort=field[:asc|desc],...
+ * @param {string} raw - Sort parameter
+ * @param {Object} sorts - Sortable fields: name -> { field, direction }
+ * @returns {Object} - { sort: [{ name, field, direction }] } or { error }
+ */
+function parseSort(raw, sorts) {
+  const sort = [];
+  for (const term of raw.split(',').map(part => part.trim()).filter(Boolean)) {
+    const [name, direction, ...rest] = term.split(':');
+    if (!sorts[name] || rest.length > 0 || (direction && !['asc', 'desc'].includes(direction))) {
+      return { error: `Sort by ${Object.keys(sorts).join(', ')}, each optionally followed by :asc or :desc` };
+    }
+    sort.push({ name, field: sorts[name].field, direction: direction || sorts[name].direction });
+  }
+  return { sort };
+}
+
+/**
+ * Identifies a result set, so a cursor can't be used with other filters or another order
+ * @param {Object} query - Query parameters
+ * @returns {string} - Short hash of every parameter except limit and cursor
+ */
+function fingerprint(query) {
+  const relevant = Object.keys(query)
+    .filter(key => !PAGE_PARAMETERS.includes(key))
+    .sort()
+    .map(key => [key, String(query[key])]);
+  return crypto.createHash('sha256').update(JSON.stringify(relevant)).digest('base64url').slice(0, 12);
+}
+
+/**
+ * Reads the filters, sort order and page of a list request
+ * @param {Object} query - Query parameters (req.query)
+ * @param {Object} spec - Endpoint spec:
+ *   filters:     parameter -> { field, type: number|integer|string|enum, op: gte|lte|eq|contains|any, values }
+ *   sorts:       name -> { field, direction: asc|desc }
+ *   defaultSort: sort used without ?sort, e.g. 'price' (omit to keep the source order)
+ *   A field is a property name or an accessor function.
+ * @returns {Object} - { filters, sort, limit, offset, fingerprint } or { error: { parameter, message } }
+ */
+function parseListQuery(query, spec) {
+  const filters = [];
+  for (const [name, filter] of Object.entries(spec.filters || {})) {
+    if (query[name] === undefined) continue;
+    const parsed = parseFilterValue(name, String(query[name]), filter);
+    if (parsed.error) {
+      return { error: { parameter: name, message: parsed.error } };
+    }
+    filters.push({ name, field: filter.field, op: filter.op || (filter.type === 'enum' ? 'any' : 'eq'), value: parsed.value });
+  }
+
+  const { sort, error: sortError } = parseSort(String(query.sort || spec.defaultSort || ''), spec.sorts || {});
+  if (sortError) {
+    return { error: { parameter: 'sort', message: sortError } };
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: { parameter: 'limit', message: `limit must be a whole number from 1 to ${MAX_LIMIT}` } };
+  }
+
+  const queryFingerprint = fingerprint(query);
+  let offset = 0;
+  if (query.cursor !== undefined) {
+    let cursor = null;
+    try {
+      cursor = JSON.parse(Buffer.from(String(query.cursor), 'base64url').toString('utf8'));
+    } catch (error) {
+      // Reported below
+    }
+    if (!cursor || !Number.isInteger(cursor.offset) || cursor.offset < 0 || cursor.query !== queryFingerprint) {
+      return {
+        error: {
+          parameter: 'cursor',
+          message: 'The cursor is malformed or belongs to other filters or another sort order; start again without cursor'
+        }
+      };
+    }
+    offset = cursor.offset;
+  }
+
+  return { filters, sort, limit, offset, fingerprint: queryFingerprint };
+}
+
+/**
+ * Reads a field of an item
+ * @param {Object} item - List item
+ * @param {string|Function} field - Property name or accessor
+ * @returns {*} - Value
+ */
+function readField(item, field) {
+  return typeof field === 'function' ? field(item) : item[field];
+}
+
+/**
+ * Checks an item against one filter
+ * @param {*} actual - Item value
+ * @param {Object} filter - Parsed filter
+ * @returns {boolean} - True if the item passes
+ */
+function matchesFilter(actual, { op, value }) {
+  if (actual === null || actual === undefined) return false;
+  switch (op) {
+    case 'gte': return actual >= value;
+    case 'lte': return actual <= value;
+    case 'any': return value.includes(actual);
+    case 'contains': return [].concat(actual).some(entry => normalizeText(String(entry)).includes(value));
+    default: return [].concat(actual).some(entry => (typeof value === 'string' ? normalizeText(String(entry)) : entry) === value);
+  }
+}
+
+/**
+ * Compares two values of a sort field; missing values always come last
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @param {string} direction - asc or desc
+ * @returns {number} - Comparator result
+ */
+function compareValues(a, b, direction) {
+  const missingA = a === null || a === undefined;
+  const missingB = b === null || b === undefined;
+  if (missingA || missingB) return missingA - missingB;
+  const order = typeof a === 'string' ? a.localeCompare(b, 'tr') : a - b;
+  return direction === 'desc' ? -order : order;
+}
+
+/**
+ * Builds the link to the next page
+ * @param {Object} req - Express request object
+ * @param {string} cursor - Next cursor
+ * @returns {string} - Path and query string
+ */
+function buildNextLink(req, cursor) {
+  const params = new URLSearchParams();
+  Object.entries(req.query).forEach(([key, value]) => {
+    if (key !== 'cursor') params.set(key, String(value));
+  });
+  params.set('cursor', cursor);
+  // A router's root path is '/', which would leave a trailing slash on the mount path
+  const path = req.path === '/' && req.baseUrl ? req.baseUrl : `${req.baseUrl}${req.path}`;
+  return `${path}?${params.toString()}`;
+}
+
+/**
+ * Filters, sorts and pages a list
+ * @param {Object} req - Express request object
+ * @param {Array} items - Every item of the list
+ * @param {Object} listQuery - Result of parseListQuery()
+ * @returns {Object} - { items: the page, matched: every filtered and sorted item, pagination }
+ */
+function applyListQuery(req, items, listQuery) {
+  const { filters, sort, limit, offset } = listQuery;
+  const matched = items
+    .filter(item => filters.every(filter => matchesFilter(readField(item, filter.field), filter)))
+    .sort((a, b) => {
+      for (const { field, direction } of sort) {
+        const order = compareValues(readField(a, field), readField(b, field), direction);
+        if (order !== 0) return order;
+      }
+      return 0;
+    });
+
+  const page = matched.slice(offset, offset + limit);
+  const nextOffset = offset + page.length;
+  const nextCursor = nextOffset < matched.length
+    ? Buffer.from(JSON.stringify({ offset: nextOffset, query: listQuery.fingerprint })).toString('base64url')
+    : null;
+
+  return {
+    items: page,
+    matched,
+    pagination: {
+      limit,
+      offset,
+      returned: page.length,
+      total: matched.length,
+      sort: sort.map(({ name, direction }) => `${name}:${direction}`).join(',') || null,
+      nextCursor,
+      next: nextCursor && buildNextLink(req, nextCursor)
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseListQuery,
+  applyListQuery
+};
@@ -1,134 +1,285 @@
 // Utility functions for matching parts and interpreting text
 
+const { v4: uuidv4 } = require('uuid');
+const { validateVIN } = require('./vinDecoder');
+const { tokenize, findKeywordMatches, normalizeText } = require('./textNormalizer');
+const { getKnowledgeBase } = require('./symptomKnowledgeBase');
+const { shuffle } = require('./random');
+
+// Per-language sentence context:
+// - clauseSeparator: punctuation and conjunctions that join separate complaints
+// - negationsAfter: words that deny the symptoms before them in the same clause ("fren sorunu yok")
+// - negationsBefore: words that deny the symptoms after them in the same clause ("no brake problems")
+// Negative verbs like 'çalışmıyor', "doesn't work" or 'funktioniert nicht' describe a symptom and are not denials.
+const LANGUAGE_CONTEXT = {
+  tr: {
+    clauseSeparator: /[,.;:!?\n]+|\s+(?:ve|ama|fakat|ancak|ayrıca|hem de|sonra|bir de|sadece|yalnızca|yalnız)\s+/g,
+    negationsAfter: ['yok', 'yoktur', 'degil', 'degildir', 'sorunsuz', 'problemsiz', 'saglam'],
+    negationsBefore: []
+  },
+  en: {
+    clauseSeparator: /[,.;:!?\n]+|\s+(?:and|but|however|also|then|only|just)\s+/g,
+    negationsAfter: ['fine', 'ok', 'okay'],
+    negationsBefore: ['no', 'without']
+  },
+  de: {
+    clauseSeparator: /[,.;:!?\n]+|\s+(?:und|aber|jedoch|sondern|auch|dann|nur)\s+/g,
+    negationsAfter: ['ok', 'ordnung', 'einwandfrei', 'intakt'],
+    negationsBefore: ['kein', 'keine', 'keinen', 'keinem', 'keiner', 'ohne']
+  }
+};
+
+const DEFAULT_LANGUAGE = 'tr';
+
+// Typo matches count for less than exact or suffixed ones when scoring a category
+const FUZZY_MATCH_WEIGHT = 0.8;
+
+const DEFAULT_CANDIDATE_LIMIT = 5;
+const MAX_CANDIDATE_LIMIT = 20;
+
+/**
+ * Splits text into clauses so that separate complaints can be told apart
+ * @param {string} text - Lower-cased description
+ * @param {Object} context - Language context with the clause separator
+ * @returns {Array} - Clauses as { start, end, text }
+ */
+function splitIntoClauses(text, context) {
+  const { clauseSeparator } = context;
+  const clauses = [];
+  let start = 0;
+  let match;
+
+  clauseSeparator.lastIndex = 0;
+  while ((match = clauseSeparator.exec(text)) !== null) {
+    clauses.push({ start, end: match.index });
+    start = match.index + match[0].length;
+  }
+  clauses.push({ start, end: text.length });
+
+  return clauses
+    .filter(clause => text.substring(clause.start, clause.end).trim().length > 0)
+    .map(clause => ({ ...clause, text: text.substring(clause.start, clause.end) }));
+}
+
+/**
+ * Finds the negation word that denies a keyword occurrence, if any
+ * @param {Object} match - Keyword match with start/end offsets
+ * @param {Object} clause - Clause containing the match
+ * @param {Array} tokens - Tokens of the description
+ * @param {Object} context - Language context with the negation words
+ * @returns {Object|null} - Negating token or null if the occurrence is affirmed
+ */
+function findNegation(match, clause, tokens, context) {
+  return tokens.find(token =>
+    (token.start >= match.end && token.end <= clause.end && context.negationsAfter.includes(token.normalized)) ||
+    (token.start >= clause.start && token.end <= match.start && context.negationsBefore.includes(token.normalized))
+  ) || null;
+}
+
 /**
- * Analyzes Turkish text for automotive symptoms and maps to likely parts
+ * Scores each category against a description, discounting negated and shared keywords
  * @param {string} description - User's description of the problem
- * @param {string} vin - Vehicle VIN for context
- * @returns {Object} - Suggested part with confidence score
+ * @param {Object} options - { language: 'tr' (default), 'en' or 'de' }
+ * @returns {Object} - { language, categories: matched categories with score and span, discountedKeywords }
  */
-function interpretPartFromText(description, vin) {
-  const text = description.toLowerCase();
-  
-  // Define keyword mappings for different part categories
-  const partMappings = {
-    // Brake-related keywords
-    fren: {
-      keywords: ['fren', 'balata', 'disk', 'durmuyor', 'tutmuyor', 'gıcırdıyor', 'ses', 'titreşim', 'pedal'],
-      parts: [
-        { name: 'Fren Balatası Ön', id: 'part-fren-001', confidence: 0.9 },
-        { name: 'Fren Balatası Arka', id: 'part-fren-002', confidence: 0.85 },
-        { name: 'Fren Diski Ön', id: 'part-fren-003', confidence: 0.8 },
-        { name: 'ABS Sensörü', id: 'part-fren-010', confidence: 0.7 }
-      ]
-    },
-    
-    // Engine-related keywords
-    motor: {
-      keywords: ['motor', 'çalışmıyor', 'titreşim', 'ses', 'duman', 'yağ', 'soğutma', 'ısınma', 'güç', 'performans'],
-      parts: [
-        { name: 'Motor Yağı', id: 'part-motor-037', confidence: 0.8 },
-        { name: 'Hava Filtresi', id: 'part-motor-016', confidence: 0.75 },
-        { name: 'Buji', id: 'part-motor-020', confidence: 0.7 },
-        { name: 'Yağ Filtresi', id: 'part-motor-017', confidence: 0.7 }
-      ]
-    },
-    
-    // Electrical keywords
-    elektrik: {
-      keywords: ['elektrik', 'akü', 'şarj', 'çalışmıyor', 'ışık', 'far', 'sinyal', 'klakson', 'cam'],
-      parts: [
-        { name: 'Akü', id: 'part-elektrik-001', confidence: 0.9 },
-        { name: 'Alternatör', id: 'part-elektrik-002', confidence: 0.8 },
-        { name: 'Far Ampulü', id: 'part-elektrik-010', confidence: 0.7 },
-        { name: 'Sigorta Kutusu', id: 'part-elektrik-006', confidence: 0.6 }
-      ]
-    },
-    
-    // Suspension keywords
-    suspansiyon: {
-      keywords: ['amortisör', 'yay', 'salıncak', 'direksiyon', 'titreşim', 'sarsıntı', 'ses', 'çukur'],
-      parts: [
-        { name: 'Amortisör Ön Sol', id: 'part-suspansiyon-001', confidence: 0.85 },
-        { name: 'Amortisör Ön Sağ', id: 'part-suspansiyon-002', confidence: 0.85 },
-        { name: 'Stabilizatör Çubuğu', id: 'part-suspansiyon-023', confidence: 0.7 },
-        { name: 'Rotil', id: 'part-suspansiyon-013', confidence: 0.65 }
-      ]
-    },
-    
-    // Climate control keywords
-    klima: {
-      keywords: ['klima', 'soğutmuyor', 'ısıtmıyor', 'hava', 'fan', 'filtre', 'gaz', 'kompresör'],
-      parts: [
-        { name: 'Klima Filtresi', id: 'part-klima-004', confidence: 0.8 },
-        { name: 'Klima Kompresörü', id: 'part-klima-001', confidence: 0.75 },
-        { name: 'Klima Gazı R134a', id: 'part-klima-005', confidence: 0.7 },
-        { name: 'Kabin Filtresi', id: 'part-klima-022', confidence: 0.65 }
-      ]
-    }
-  };
-  
-  let bestMatch = null;
-  let highestConfidence = 0;
-  
+function analyzeSymptoms(description, options = {}) {
+  const language = LANGUAGE_CONTEXT[options.language] ? options.language : DEFAULT_LANGUAGE;
+  const context = LANGUAGE_CONTEXT[language];
+
+  // Lower-casing keeps offsets, so clauses and tokens both index into the description
+  const text = description.toLocaleLowerCase(language);
+  const clauses = splitIntoClauses(text, context);
+  const tokens = tokenize(description, language);
+  const { categories: mappings, keywordCategoryCounts: countsByLanguage } = getKnowledgeBase().resolved;
+  const keywordCategoryCounts = countsByLanguage[language];
+  const categories = [];
+  const discounted = new Map();
+
   // Analyze text for each category
-  for (const [category, mapping] of Object.entries(partMappings)) {
-    let categoryScore = 0;
-    let keywordMatches = 0;
-    
-    // Count keyword matches
-    mapping.keywords.forEach(keyword => {
-      if (text.includes(keyword)) {
-        keywordMatches++;
-        categoryScore += 1;
+  for (const [category, mapping] of Object.entries(mappings)) {
+    const matchedKeywords = [];
+    const matchedTerms = [];
+    const matchedClauses = new Set();
+    let keywordScore = 0;
+
+    mapping.keywords[language].forEach(({ term: keyword, weight: keywordWeight, synonyms }) => {
+      const matches = [keyword, ...synonyms]
+        .flatMap(term => findKeywordMatches(tokens, term, language))
+        .sort((a, b) => a.start - b.start);
+      if (matches.length === 0) return;
+
+      const affirmed = [];
+      let negation = null;
+      matches.forEach(match => {
+        const clause = clauses.find(c => match.start >= c.start && match.start < c.end);
+        const negatedBy = clause && findNegation(match, clause, tokens, context);
+        if (negatedBy) {
+          negation = negation || { match, negatedBy };
+        } else {
+          affirmed.push({ match, clause });
+        }
+      });
+
+      // Every occurrence is denied, so the keyword doesn't count at all
+      if (affirmed.length === 0) {
+        addDiscountedKeyword(discounted, keyword, category, {
+          term: negation.match.term,
+          reason: 'negated',
+          weight: 0,
+          detail: `Denied by '${negation.negatedBy.raw}'`
+        });
+        return;
       }
-    });
-    
-    // If we have matches in this category
-    if (keywordMatches > 0) {
-      // Calculate confidence based on keyword density
-      const confidence = Math.min(0.95, (keywordMatches / mapping.keywords.length) * 0.8 + 0.2);
-      
-      // Get the best part from this category
-      const bestPart = mapping.parts[0];
-      const adjustedConfidence = bestPart.confidence * confidence;
-      
-      if (adjustedConfidence > highestConfidence) {
-        highestConfidence = adjustedConfidence;
-        bestMatch = {
-          ...bestPart,
-          confidence: adjustedConfidence,
-          category: category,
-          matchedKeywords: keywordMatches
-        };
+
+      // A keyword is only as good as its closest occurrence
+      const best = (affirmed.find(({ match }) => match.matchType !== 'fuzzy') || affirmed[0]).match;
+      const sharedBy = keywordCategoryCounts[normalizeText(keyword, language)];
+      const weight = keywordWeight * (best.matchType === 'fuzzy' ? FUZZY_MATCH_WEIGHT : 1) / sharedBy;
+
+      if (sharedBy > 1) {
+        addDiscountedKeyword(discounted, keyword, category, {
+          term: best.term,
+          reason: 'generic',
+          weight: Math.round(weight * 100) / 100,
+          detail: `Shared by ${sharedBy} categories`
+        });
       }
-    }
+
+      matchedKeywords.push(keyword);
+      matchedTerms.push({ keyword, term: best.term, matchType: best.matchType });
+      keywordScore += weight;
+
+      affirmed.forEach(({ clause }) => {
+        if (clause) matchedClauses.add(clause);
+      });
+    });
+
+    if (matchedKeywords.length === 0 || matchedKeywords.length < mapping.rules.minKeywords) continue;
+
+    // The span runs from the first to the last clause that triggered this category
+    const spanClauses = [...matchedClauses].sort((a, b) => a.start - b.start);
+    const spanStart = spanClauses[0].start;
+    const spanEnd = spanClauses[spanClauses.length - 1].end;
+    const leadingSpace = description.substring(spanStart, spanEnd).search(/\S/);
+    const span = {
+      start: spanStart + leadingSpace,
+      end: spanStart + description.substring(spanStart, spanEnd).trimEnd().length
+    };
+    span.text = description.substring(span.start, span.end);
+
+    categories.push({ category, mapping, matchedKeywords, matchedTerms, keywordScore, span });
   }
-  
+
+  return { language, categories, discountedKeywords: [...discounted.values()] };
+}
+
+/**
+ * Records a discounted keyword once, collecting the categories it was discounted in
+ * @param {Map} discounted - Discounted keywords by keyword and reason
+ * @param {string} keyword - Keyword as listed in the mappings
+ * @param {string} category - Category being scored
+ * @param {Object} details - { term, reason, weight, detail }
+ */
+function addDiscountedKeyword(discounted, keyword, category, details) {
+  const key = `${keyword}:${details.reason}`;
+  if (!discounted.has(key)) {
+    discounted.set(key, { keyword, ...details, categories: [] });
+  }
+  discounted.get(key).categories.push(category);
+}
+
+/**
+ * Analyzes text for automotive symptoms and ranks candidate parts across categories
+ * @param {string} description - User's description of the problem
+ * @param {Object} options - { limit: maximum number of candidates, isCompatible: optional part id filter, language }
+ * @returns {Array} - Ranked candidates with confidence, matched keywords/terms and matched text span
+ */
+function interpretPartCandidates(description, options = {}) {
+  const limit = Math.min(Math.max(parseInt(options.limit) || DEFAULT_CANDIDATE_LIMIT, 1), MAX_CANDIDATE_LIMIT);
+  const { language, categories } = analyzeSymptoms(description, options);
+  const candidates = [];
+
+  categories.forEach(({ category, mapping, matchedKeywords, matchedTerms, keywordScore, span }) => {
+    // Calculate confidence based on weighted keyword density
+    const totalWeight = mapping.keywords[language].reduce((sum, keyword) => sum + keyword.weight, 0);
+    const categoryConfidence = Math.min(mapping.rules.maxConfidence, (keywordScore / totalWeight) * 0.8 + 0.2);
+
+    // Skip parts that don't fit the vehicle
+    const parts = options.isCompatible
+      ? mapping.parts.filter(part => options.isCompatible(part.id))
+      : mapping.parts;
+
+    parts.forEach((part, index) => {
+      candidates.push({
+        ...part,
+        confidence: part.confidence * categoryConfidence,
+        category,
+        matchedKeywords,
+        matchedTerms,
+        span,
+        categoryRank: index
+      });
+    });
+  });
+
+  // Best part of every matched category first, then the remaining parts by confidence
+  candidates.sort((a, b) => {
+    const aPrimary = a.categoryRank === 0 ? 0 : 1;
+    const bPrimary = b.categoryRank === 0 ? 0 : 1;
+    return aPrimary - bPrimary || b.confidence - a.confidence;
+  });
+
+  // A part proposed by several categories is only listed for the strongest one
+  const seen = new Set();
+  return candidates
+    .filter(candidate => !seen.has(candidate.id) && seen.add(candidate.id))
+    .slice(0, limit)
+    .map(({ categoryRank, ...candidate }, index) => ({ rank: index + 1, ...candidate }));
+}
+
+/**
+ * Analyzes text for automotive symptoms and maps to the most likely part
+ * @param {string} description - User's description of the problem
+ * @param {string} vin - Vehicle VIN for context
+ * @param {Object} options - { isCompatible: optional part id filter, language }
+ * @returns {Object} - Suggested part with confidence score
+ */
+function interpretPartFromText(description, vin, options = {}) {
+  const [topCandidate] = interpretPartCandidates(description, { ...options, limit: 1 });
+
   // Default fallback if no specific match found
-  if (!bestMatch) {
-    bestMatch = {
-      name: 'Genel Kontrol Gerekli',
-      id: 'part-general-001',
-      confidence: 0.3,
+  if (!topCandidate) {
+    const { fallback } = getKnowledgeBase().resolved;
+    return {
+      name: fallback.name,
+      id: fallback.id,
+      confidence: fallback.confidence,
       category: 'general',
       matchedKeywords: 0
     };
   }
-  
-  return bestMatch;
+
+  return {
+    name: topCandidate.name,
+    id: topCandidate.id,
+    confidence: topCandidate.confidence,
+    category: topCandidate.category,
+    matchedKeywords: topCandidate.matchedKeywords.length
+  };
 }
 
 /**
  * Generates random sellers for a given part ID
  * @param {string} partId - The part ID to find sellers for
  * @param {Array} globalSellers - Array of all available sellers
+ * @param {Function} random - Random number generator; pass a seeded one for reproducible sellers
  * @returns {Array} - Array of sellers with pricing and stock info
  */
-function generateSellersForPart(partId, globalSellers) {
+function generateSellersForPart(partId, globalSellers, random = Math.random) {
   // Select 2-5 random sellers
-  const numSellers = Math.floor(Math.random() * 4) + 2;
+  const numSellers = Math.floor(random() * 4) + 2;
   const selectedSellers = [];
-  const shuffledSellers = [...globalSellers].sort(() => 0.5 - Math.random());
+  const shuffledSellers = shuffle(globalSellers, random);
   
   for (let i = 0; i < Math.min(numSellers, shuffledSellers.length); i++) {
     const seller = shuffledSellers[i];
@@ -144,13 +295,14 @@ function generateSellersForPart(partId, globalSellers) {
     else if (partId.includes('ic-aksam')) basePrice = 150;
     
     // Add some price variation (±20%)
-    const priceVariation = (Math.random() - 0.5) * 0.4;
+    const priceVariation = (random() - 0.5) * 0.4;
     const price = Math.round(basePrice * (1 + priceVariation));
     
     // Generate stock levels
-    const stock = Math.floor(Math.random() * 25) + 1;
+    const stock = Math.floor(random() * 25) + 1;
     
     selectedSellers.push({
+      sellerId: seller.id,
       name: seller.name,
       location: seller.location,
       price: price,
@@ -166,43 +318,29 @@ function generateSellersForPart(partId, globalSellers) {
 }
 
 /**
- * Simulates realistic API response delays
- * @param {number} min - Minimum delay in ms
- * @param {number} max - Maximum delay in ms
- * @returns {Promise} - Promise that resolves after delay
- */
-function simulateDelay(min = 100, max = 500) {
-  const delay = Math.floor(Math.random() * (max - min + 1)) + min;
-  return new Promise(resolve => setTimeout(resolve, delay));
-}
-
-/**
- * Validates VIN format (basic validation)
+ * Validates VIN format, including the ISO 3779 check digit where it is mandatory
  * @param {string} vin - Vehicle VIN to validate
  * @returns {boolean} - Whether VIN format is valid
  */
 function isValidVIN(vin) {
-  if (!vin || typeof vin !== 'string') return false;
-  
-  // Basic VIN validation - should be 17 characters, alphanumeric
-  const vinRegex = /^[A-HJ-NPR-Z0-9]{17}$/i;
-  return vinRegex.test(vin);
+  return validateVIN(vin).valid;
 }
 
 /**
  * Generates a unique request ID
+ * Random (UUID v4) rather than time based, so IDs can't be guessed from one another.
  * @returns {string} - Unique request ID
  */
 function generateRequestId() {
-  const timestamp = Date.now();
-  const random = Math.floor(Math.random() * 10000);
-  return `req-${timestamp}-${random}`;
+  return `req-${uuidv4()}`;
 }
 
 module.exports = {
+  MAX_CANDIDATE_LIMIT,
+  analyzeSymptoms,
   interpretPartFromText,
+  interpretPartCandidates,
   generateSellersForPart,
-  simulateDelay,
   isValidVIN,
   generateRequestId
 };
@@ -0,0 +1,361 @@
+// Mock scenarios: per-route latency profiles, fault injection and canned responses
+//
+// A scenario is a named list of rules. Each rule names the routes it applies to and a latency, a response
+// or both:
+//
+//   { route: 'POST /api/parts/interpret', latency: { distribution: 'normal', mean: 6000, stdDev: 1000 } }
+//   { route: '/api/sellers/*', probability: 0.2, response: { status: 503 } }
+//   { route: 'getSellersForPart', response: { status: 404, body: { error: '...', message: '{{params.partId}}' } } }
+//
+// A route is named by its operationId, 'METHOD /path' or '/path' as listed in /api (* matches anything).
+// Scenarios apply when named in X-Mock-Scenario (comma separated) or activated with MOCK_SCENARIO or
+// /api/admin/active-scenario; header scenarios come first. The first matching rule with a response answers
+// the request and the first with a latency sets its delay; routes keep their own latency otherwise.
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const { getStore } = require('./storage');
+const { randomFor } = require('./random');
+
+const SCENARIOS = 'mockScenarios';
+
+// Presets ship with the mock and can't be changed through the API
+const presets = JSON.parse(fs.readFileSync(path.join(__dirname, '../data/mockScenarios.json'), 'utf8'));
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9-]{0,49}$/;
+const DISTRIBUTIONS = ['none', 'fixed', 'uniform', 'normal'];
+const MAX_LATENCY_MS = 120000;
+
+// Active scenarios belong to this process and start from MOCK_SCENARIO, so a restart clears them
+let activeScenarios = parseScenarioNames(process.env.MOCK_SCENARIO);
+
+/**
+ * Splits a comma separated list of scenario names
+ * @param {string} value - e.g. 'fast,empty-sellers'
+ * @returns {Array} - Names
+ */
+function parseScenarioNames(value) {
+  return (value || '').split(',').map(name => name.trim()).filter(Boolean);
+}
+
+/**
+ * Builds a validation error of a scenario body
+ * @param {string} field - Field path, e.g. rules[0].latency.min
+ * @param {string} problem - What is wrong with it
+ * @returns {Object} - { location, field, message }
+ */
+function issue(field, problem) {
+  return { location: 'body', field, message: `${field} ${problem}` };
+}
+
+/**
+ * Checks a latency profile
+ * @param {*} latency - Latency from a rule
+ * @param {string} field - Field path
+ * @returns {Array} - Validation errors
+ */
+function checkLatency(latency, field) {
+  if (!latency || typeof latency !== 'object' || Array.isArray(latency)) {
+    return [issue(field, 'must be an object')];
+  }
+  if (!DISTRIBUTIONS.includes(latency.distribution)) {
+    return [issue(`${field}.distribution`, `must be one of: ${DISTRIBUTIONS.join(', ')}`)];
+  }
+
+  const isDuration = value => typeof value === 'number' && value >= 0 && value <= MAX_LATENCY_MS;
+  const required = {
+    none: [],
+    fixed: ['ms'],
+    uniform: ['min', 'max'],
+    normal: ['mean', 'stdDev']
+  }[latency.distribution];
+  const errors = required
+    .filter(name => !isDuration(latency[name]))
+    .map(name => issue(`${field}.${name}`, `must be a number of milliseconds from 0 to ${MAX_LATENCY_MS}`));
+  if (errors.length === 0 && latency.distribution === 'uniform' && latency.min > latency.max) {
+    errors.push(issue(`${field}.min`, `must not be greater than ${field}.max`));
+  }
+  return errors;
+}
+
+/**
+ * Checks a forced response
+ * @param {*} response - Response from a rule
+ * @param {string} field - Field path
+ * @returns {Array} - Validation errors
+ */
+function checkResponse(response, field) {
+  if (!response || typeof response !== 'object' || Array.isArray(response)) {
+    return [issue(field, 'must be an object')];
+  }
+  if (response.abort !== undefined) {
+    return response.abort === true ? [] : [issue(`${field}.abort`, 'must be true')];
+  }
+
+  const errors = [];
+  if (!Number.isInteger(response.status) || response.status < 200 || response.status > 599) {
+    errors.push(issue(`${field}.status`, 'must be an HTTP status from 200 to 599'));
+  } else if (response.status < 400 && response.body === undefined) {
+    // Error statuses get a default error body; a success needs the payload to return
+    errors.push(issue(`${field}.body`, 'is required for a status below 400'));
+  }
+  if (response.headers !== undefined && (
+    !response.headers || typeof response.headers !== 'object' || Array.isArray(response.headers) ||
+    Object.values(response.headers).some(value => typeof value !== 'string')
+  )) {
+    errors.push(issue(`${field}.headers`, 'must be an object of header names and string values'));
+  }
+  return errors;
+}
+
+/**
+ * Validates the rules of a scenario
+ * @param {Object} scenario - { description, rules }
+ * @returns {Array} - Validation errors as { location, field, message }
+ */
+function validateScenario(scenario) {
+  const { rules } = scenario;
+  if (!Array.isArray(rules) || rules.length === 0) {
+    return [issue('rules', 'must be a non-empty array')];
+  }
+
+  const errors = [];
+  rules.forEach((rule, index) => {
+    const field = `rules[${index}]`;
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      errors.push(issue(field, 'must be an object'));
+      return;
+    }
+    if (typeof rule.route !== 'string' || !rule.route.trim()) {
+      errors.push(issue(`${field}.route`, "must name an operationId, 'METHOD /path', '/path' or *"));
+    }
+    if (rule.probability !== undefined && !(typeof rule.probability === 'number' && rule.probability >= 0 && rule.probability <= 1)) {
+      errors.push(issue(`${field}.probability`, 'must be a number from 0 to 1'));
+    }
+    if (rule.latency === undefined && rule.response === undefined) {
+      errors.push(issue(field, 'needs a latency, a response or both'));
+    }
+    if (rule.latency !== undefined) errors.push(...checkLatency(rule.latency, `${field}.latency`));
+    if (rule.response !== undefined) errors.push(...checkResponse(rule.response, `${field}.response`));
+  });
+  return errors;
+}
+
+/**
+ * Returns a scenario by name, preset or saved
+ * @param {string} name - Scenario name
+ * @returns {Promise<Object|null>} - { name, description, rules, preset } or null
+ */
+async function getScenario(name) {
+  if (Object.prototype.hasOwnProperty.call(presets, name)) {
+    return { name, ...presets[name], preset: true };
+  }
+  return getStore().get(SCENARIOS, name);
+}
+
+/**
+ * Lists the presets followed by the saved scenarios
+ * @returns {Promise<Array>} - Scenarios
+ */
+async function listScenarios() {
+  const saved = await getStore().find(SCENARIOS);
+  return [
+    ...Object.entries(presets).map(([name, scenario]) => ({ name, ...scenario, preset: true })),
+    ...saved.sort((a, b) => a.name.localeCompare(b.name))
+  ];
+}
+
+/**
+ * Creates or replaces a saved scenario
+ * @param {string} name - Scenario name
+ * @param {Object} scenario - Validated { description, rules }
+ * @returns {Promise<Object>} - { scenario, created }
+ */
+async function saveScenario(name, { description, rules }) {
+  const now = new Date().toISOString();
+  const existing = await getStore().get(SCENARIOS, name);
+
+  if (existing) {
+    const scenario = await getStore().update(SCENARIOS, name, { description: description || '', rules, updatedAt: now });
+    return { scenario, created: false };
+  }
+  const scenario = await getStore().insert(SCENARIOS, name, {
+    name,
+    description: description || '',
+    rules,
+    preset: false,
+    createdAt: now,
+    updatedAt: now
+  });
+  return { scenario, created: true };
+}
+
+/**
+ * Deletes a saved scenario and deactivates it
+ * @param {string} name - Scenario name
+ * @returns {Promise<boolean>} - False if there was no such scenario
+ */
+async function deleteScenario(name) {
+  activeScenarios = activeScenarios.filter(active => active !== name);
+  return getStore().remove(SCENARIOS, name);
+}
+
+/**
+ * Returns the names of the active scenarios
+ * @returns {Array} - Names, in order of precedence
+ */
+function getActiveScenarios() {
+  return [...activeScenarios];
+}
+
+/**
+ * Replaces the active scenarios
+ * @param {Array} names - Names of existing scenarios; empty to deactivate all
+ */
+function setActiveScenarios(names) {
+  activeScenarios = [...new Set(names)];
+}
+
+/**
+ * Checks whether a rule applies to a route
+ * @param {string} pattern - Rule route: '*', operationId, 'METHOD /path' or '/path', * matching anything
+ * @param {Object} route - { method, path, operationId }
+ * @returns {boolean} - True if the rule applies
+ */
+function matchesRoute(pattern, route) {
+  const trimmed = pattern.trim();
+  if (trimmed === '*' || trimmed === route.operationId) return true;
+
+  const [method, routePath] = trimmed.includes(' ') ? trimmed.split(/\s+/, 2) : [null, trimmed];
+  if (method && method.toUpperCase() !== route.method) return false;
+  const glob = new RegExp(`^${routePath.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+  return glob.test(route.path);
+}
+
+/**
+ * Draws a delay from a latency profile
+ * @param {Object} latency - { distribution, ms, min, max, mean, stdDev }; min and max alone mean uniform
+ * @param {Function} random - Random number generator
+ * @returns {number} - Delay in ms
+ */
+function sampleLatency(latency, random = Math.random) {
+  switch (latency.distribution || 'uniform') {
+    case 'none':
+      return 0;
+    case 'fixed':
+      return latency.ms;
+    case 'normal': {
+      // Box-Muller transform; 1 - random() avoids log(0)
+      const z = Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+      return Math.min(MAX_LATENCY_MS, Math.max(0, Math.round(latency.mean + z * latency.stdDev)));
+    }
+    default:
+      return Math.floor(random() * (latency.max - latency.min + 1)) + latency.min;
+  }
+}
+
+/**
+ * Replaces {{params.x}}, {{query.x}}, {{body.x}} and {{timestamp}} in the strings of a canned body
+ * @param {*} value - Body or part of it
+ * @param {Object} req - Express request object
+ * @returns {*} - Filled copy
+ */
+function fillTemplate(value, req) {
+  if (typeof value === 'string') {
+    return value.replace(/\{\{\s*(params|query|body)\.(\w+)\s*\}\}|\{\{\s*timestamp\s*\}\}/g, (match, source, field) => {
+      if (!source) return new Date().toISOString();
+      const filled = req[source] && req[source][field];
+      return filled === undefined || filled === null ? '' : String(filled);
+    });
+  }
+  if (Array.isArray(value)) return value.map(item => fillTemplate(item, req));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fillTemplate(item, req)]));
+  }
+  return value;
+}
+
+/**
+ * Picks the latency and response the scenarios give a route
+ * Rules with a probability are drawn once per request.
+ * @param {Array} scenarios - Scenarios in order of precedence
+ * @param {Object} route - { method, path, operationId }
+ * @param {Function} random - Random number generator
+ * @returns {Object} - { latency, response, scenario } of the first matching rules; undefined where none matched
+ */
+function resolveRules(scenarios, route, random = Math.random) {
+  const resolved = {};
+  scenarios.forEach(scenario => {
+    scenario.rules.forEach(rule => {
+      if (!matchesRoute(rule.route, route)) return;
+      if (rule.probability !== undefined && random() >= rule.probability) return;
+      if (rule.latency && !resolved.latency) resolved.latency = rule.latency;
+      if (rule.response && !resolved.response) {
+        resolved.response = rule.response;
+        resolved.scenario = scenario.name;
+      }
+    });
+  });
+  return resolved;
+}
+
+/**
+ * Middleware applying the mock scenarios of a request to one route, then the route's own latency
+ * @param {Object} route - { method, path, operationId, latency }
+ * @returns {Function} - Express middleware
+ */
+function mockScenario(route) {
+  return async (req, res, next) => {
+    try {
+      const requested = parseScenarioNames(req.get('X-Mock-Scenario'));
+      const names = [...new Set([...requested, ...activeScenarios])];
+      const scenarios = await Promise.all(names.map(getScenario));
+
+      const unknown = names.filter((name, index) => !scenarios[index]);
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          error: 'Unknown mock scenario',
+          message: `No mock scenario named ${unknown.join(', ')}`,
+          suggestion: 'List the scenarios at GET /api/admin/scenarios'
+        });
+      }
+      if (names.length > 0) res.set('X-Mock-Scenario', names.join(','));
+
+      // With a mock seed, the same route draws the same faults and delays on every call
+      const random = randomFor(req.mockSeed, 'scenario', route.method, route.path);
+      const { latency, response, scenario } = resolveRules(scenarios, route, random);
+      const delay = latency || route.latency ? sampleLatency(latency || route.latency, random) : 0;
+      if (delay > 0) await new Promise(resolve => setTimeout(resolve, delay));
+
+      if (!response) return next();
+
+      if (response.abort) {
+        req.socket.destroy();
+        return;
+      }
+      res.set(response.headers || {});
+      const body = response.body !== undefined ? response.body : {
+        error: http.STATUS_CODES[response.status] || 'Error',
+        message: `Injected by mock scenario ${scenario}`,
+        timestamp: '{{timestamp}}'
+      };
+      res.status(response.status).json(fillTemplate(body, req));
+
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = {
+  NAME_PATTERN,
+  validateScenario,
+  getScenario,
+  listScenarios,
+  saveScenario,
+  deleteScenario,
+  getActiveScenarios,
+  setActiveScenarios,
+  mockScenario
+};
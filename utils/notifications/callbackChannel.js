@@ -0,0 +1,105 @@
+// Callback channel: signed JSON POSTs of request events to the callbackUrl a customer registered with the request
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { resolveCallbackTarget } = require('../callbackUrl');
+
+/**
+ * Signs a callback body with the request's secret
+ * The signed string is '<timestamp>.<body>', so a captured body can't be replayed with a fresh timestamp.
+ * @param {string} secret - Callback secret of the request
+ * @param {number} timestamp - Unix time in seconds
+ * @param {string} body - Raw JSON body
+ * @returns {string} - Hex HMAC-SHA256
+ */
+function signCallback(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Posts a body to a URL, connecting to a resolved address instead of looking the host up again
+ * Redirects are not followed: they could lead to an address that was never checked.
+ * @param {string} target - URL
+ * @param {Object} pinned - { address, family } the host was resolved to
+ * @param {Object} options - { headers, body, timeoutMs }
+ * @returns {Promise<Object>} - { status, statusText }
+ */
+function postPinned(target, pinned, { headers, body, timeoutMs }) {
+  const url = new URL(target);
+  const client = url.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const request = client.request(url, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      // Used for host names only; TLS still verifies the certificate against the host name
+      lookup: (hostname, lookupOptions, callback) => (lookupOptions.all
+        ? callback(null, [pinned])
+        : callback(null, pinned.address, pinned.family)),
+      signal: AbortSignal.timeout(timeoutMs)
+    }, response => {
+      response.resume();
+      resolve({ status: response.statusCode, statusText: response.statusMessage || '' });
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+module.exports = {
+  name: 'callback',
+
+  /**
+   * Callbacks need no server-side setup
+   * @returns {boolean} - Always true
+   */
+  isConfigured() {
+    return true;
+  },
+
+  /**
+   * Callbacks go to customers, never to sellers
+   * @returns {null} - No seller target
+   */
+  getTarget() {
+    return null;
+  },
+
+  /**
+   * Posts a request event; any non-2xx answer, including a redirect, or a local or private target counts as a
+   * failed attempt
+   * @param {string} target - Callback URL
+   * @param {Object} notification - Outbox entry; message.payload is the event and signingSecret its key
+   * @param {Object} options - { timeoutMs }
+   * @returns {Promise<string>} - Response status line
+   */
+  async deliver(target, notification, { timeoutMs }) {
+    // The host may resolve to another address by now than when the request was created
+    const pinned = await resolveCallbackTarget(target);
+
+    const body = JSON.stringify({ ...notification.message.payload, attempt: notification.attempts + 1 });
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    const response = await postPinned(target, pinned, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'SparePartFinder-Notifier/1.0',
+        'X-Notification-Id': notification.notificationId,
+        'X-Notification-Event': notification.event,
+        'X-Signature-Timestamp': String(timestamp),
+        'X-Signature': `sha256=${signCallback(notification.signingSecret, timestamp, body)}`
+      },
+      body,
+      timeoutMs
+    });
+
+    if (response.status >= 300 && response.status < 400) {
+      throw new Error(`Callback answered ${response.status} ${response.statusText}; redirects are not followed`);
+    }
+    if (response.status < 200 || response.status >= 300) {
+      throw new Error(`Callback answered ${response.status} ${response.statusText}`);
+    }
+    return `${response.status} ${response.statusText}`;
+  }
+};
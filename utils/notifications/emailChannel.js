@@ -0,0 +1,167 @@
+// Email channel: plain-text mails over SMTP (SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASS / SMTP_FROM)
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+const DEFAULT_FROM = 'Spare Part Finder <no-reply@sparepartfinder.local>';
+
+/**
+ * Reads the SMTP settings from the environment
+ * @returns {Object} - { host, port, secure, user, pass, from }
+ */
+function getSmtpConfig() {
+  const secure = process.env.SMTP_SECURE === 'true';
+  return {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || (secure ? 465 : 25),
+    secure,
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+    from: process.env.SMTP_FROM || DEFAULT_FROM
+  };
+}
+
+/**
+ * Extracts the address from 'Name <address>'
+ * @param {string} mailbox - Mailbox as written in a header
+ * @returns {string} - Bare address
+ */
+function addressOf(mailbox) {
+  const match = /<([^>]+)>/.exec(mailbox);
+  return (match ? match[1] : mailbox).trim();
+}
+
+/**
+ * Encodes a header value with non-ASCII characters (RFC 2047)
+ * @param {string} value - Header value
+ * @returns {string} - Encoded value
+ */
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+}
+
+/**
+ * Builds an RFC 5322 message with a base64 encoded UTF-8 body
+ * Base64 lines never start with a dot, so the body needs no dot-stuffing.
+ * @param {Object} mail - { from, to, subject, text }
+ * @returns {string} - Message ready for the DATA command, without the terminating dot
+ */
+function buildMessage({ from, to, subject, text }) {
+  const body = Buffer.from(text).toString('base64').match(/.{1,76}/g) || [];
+  return [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${addressOf(from).split('@')[1] || 'localhost'}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    ...body
+  ].join('\r\n');
+}
+
+/**
+ * Sends one mail through an SMTP server
+ * @param {Object} config - SMTP settings from getSmtpConfig()
+ * @param {Object} mail - { to, subject, text }
+ * @param {number} timeoutMs - Timeout for the whole conversation
+ * @returns {Promise<string>} - Final server reply to the message
+ */
+function sendMail(config, mail, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const socket = config.secure
+      ? tls.connect({ host: config.host, port: config.port, servername: config.host })
+      : net.connect({ host: config.host, port: config.port });
+    let buffer = '';
+    let lines = [];
+    let waiting = null;
+
+    const fail = error => {
+      socket.destroy();
+      reject(error);
+    };
+    socket.setTimeout(timeoutMs, () => fail(new Error(`SMTP timeout after ${timeoutMs} ms`)));
+    socket.on('error', fail);
+    socket.on('close', () => waiting && fail(new Error('SMTP connection closed unexpectedly')));
+
+    // Replies may span several lines ('250-...'); the last one has a space after the code
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        lines.push(line);
+        if (/^\d{3}( |$)/.test(line) && waiting) {
+          const reply = { code: parseInt(line, 10), text: lines.join('\n') };
+          const { resolve: done } = waiting;
+          waiting = null;
+          lines = [];
+          done(reply);
+        }
+      }
+    });
+
+    const read = () => new Promise(done => { waiting = { resolve: done }; });
+    const command = async (line, expected) => {
+      if (line !== null) socket.write(`${line}\r\n`);
+      const reply = await read();
+      if (!expected.includes(reply.code)) {
+        throw new Error(`SMTP ${line === null ? 'greeting' : line.split(' ')[0]} failed: ${reply.text}`);
+      }
+      return reply;
+    };
+
+    (async () => {
+      await command(null, [220]);
+      await command(`EHLO ${os.hostname()}`, [250]);
+      if (config.user) {
+        const credentials = Buffer.from(`\u0000${config.user}\u0000${config.pass || ''}`).toString('base64');
+        await command(`AUTH PLAIN ${credentials}`, [235]);
+      }
+      await command(`MAIL FROM:<${addressOf(config.from)}>`, [250]);
+      await command(`RCPT TO:<${addressOf(mail.to)}>`, [250, 251]);
+      await command('DATA', [354]);
+      const accepted = await command(`${buildMessage({ ...mail, from: config.from })}\r\n.`, [250]);
+      socket.end('QUIT\r\n');
+      return accepted.text;
+    })().then(resolve, fail);
+  });
+}
+
+module.exports = {
+  name: 'email',
+
+  /**
+   * Whether an SMTP server is configured
+   * @returns {boolean} - True if SMTP_HOST is set
+   */
+  isConfigured() {
+    return Boolean(getSmtpConfig().host);
+  },
+
+  /**
+   * Where to send a seller's notifications
+   * @param {Object} seller - Seller record
+   * @returns {string|null} - Email address or null
+   */
+  getTarget(seller) {
+    return seller.email || null;
+  },
+
+  /**
+   * Sends a notification as a plain-text email
+   * @param {string} target - Email address
+   * @param {Object} notification - Outbox entry; message holds subject and text
+   * @param {Object} options - { timeoutMs }
+   * @returns {Promise<string>} - SMTP reply to the message
+   */
+  deliver(target, notification, { timeoutMs }) {
+    const { subject, text } = notification.message;
+    return sendMail(getSmtpConfig(), { to: target, subject, text }, timeoutMs);
+  }
+};
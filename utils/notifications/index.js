@@ -0,0 +1,445 @@
+// Seller notifications and customer callbacks, delivered through a persistent outbox
+// Every message is stored before it is sent, retried with exponential backoff and logged per attempt.
+
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { getStore } = require('../storage');
+const { normalizeText } = require('../textNormalizer');
+const { DEFAULT_LOCALE, translate } = require('../i18n');
+
+const OUTBOX = 'outbox';
+
+const DEFAULTS = {
+  maxSellers: 10,
+  maxAttempts: 5,
+  retryBaseSeconds: 30,
+  timeoutMs: 10000,
+  pollSeconds: 15
+};
+
+// Load mock data
+const mockParts = JSON.parse(fs.readFileSync(path.join(__dirname, '../../data/mockParts.json'), 'utf8'));
+const mockSellers = JSON.parse(fs.readFileSync(path.join(__dirname, '../../data/mockSellers.json'), 'utf8'));
+const partsById = new Map(Object.entries(mockParts).flatMap(([category, parts]) =>
+  parts.map(part => [part.id, { ...part, category }])
+));
+
+const channels = new Map();
+const inFlight = new Set();
+// First delivery rounds of new requests, which run after the request has been answered
+const firstRounds = new Set();
+let worker = null;
+let dispatching = null;
+
+/**
+ * Adds a delivery channel
+ * A channel has a name, isConfigured(), getTarget(seller) and an async deliver(target, notification, { timeoutMs })
+ * that throws when the attempt failed.
+ * @param {Object} channel - Channel implementation
+ */
+function registerChannel(channel) {
+  channels.set(channel.name, channel);
+}
+
+registerChannel(require('./emailChannel'));
+registerChannel(require('./webhookChannel'));
+registerChannel(require('./callbackChannel'));
+
+/**
+ * Reads a positive number from the environment
+ * @param {string} name - Variable name
+ * @param {number} fallback - Default value
+ * @returns {number} - Value
+ */
+function readNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Reads the notification settings from the environment
+ * @returns {Object} - { channels, maxSellers, maxAttempts, retryBaseSeconds, timeoutMs, pollSeconds }
+ */
+function getConfig() {
+  return {
+    channels: (process.env.NOTIFY_CHANNELS || 'email,webhook').split(',').map(name => name.trim()).filter(Boolean),
+    maxSellers: readNumber('NOTIFY_MAX_SELLERS', DEFAULTS.maxSellers),
+    maxAttempts: readNumber('NOTIFY_MAX_ATTEMPTS', DEFAULTS.maxAttempts),
+    retryBaseSeconds: readNumber('NOTIFY_RETRY_BASE_SECONDS', DEFAULTS.retryBaseSeconds),
+    timeoutMs: readNumber('NOTIFY_TIMEOUT_MS', DEFAULTS.timeoutMs),
+    pollSeconds: readNumber('NOTIFY_POLL_SECONDS', DEFAULTS.pollSeconds)
+  };
+}
+
+/**
+ * Channels that are enabled in NOTIFY_CHANNELS and configured
+ * @returns {Array} - Channel implementations
+ */
+function getActiveChannels() {
+  return getConfig().channels
+    .map(name => channels.get(name))
+    .filter(channel => channel && channel.isConfigured());
+}
+
+/**
+ * Picks the sellers to notify about a request
+ * Sellers must list the part's category in their specialties; with a location, sellers in that city
+ * come first and the others are only used if nobody there matches. Best rated first.
+ * @param {string} partId - Requested part ID
+ * @param {string} location - Optional city, e.g. 'İzmir'
+ * @returns {Array} - Seller records
+ */
+function selectSellersForRequest(partId, location) {
+  const part = partsById.get(partId);
+  if (!part) return [];
+
+  let sellers = mockSellers.global_sellers.filter(seller => (seller.specialties || []).includes(part.category));
+
+  if (location) {
+    const wanted = normalizeText(location);
+    const local = sellers.filter(seller => normalizeText(seller.location.split(' - ')[0]) === wanted ||
+      normalizeText(seller.location).includes(wanted));
+    if (local.length > 0) sellers = local;
+  }
+
+  return [...sellers]
+    .sort((a, b) => b.rating - a.rating)
+    .slice(0, getConfig().maxSellers);
+}
+
+/**
+ * Builds the message a seller receives about a new request
+ * The customer's contact details are left out; sellers answer with an offer.
+ * @param {Object} request - Stored request
+ * @param {Object} seller - Seller record
+ * @returns {Object} - { subject, text, payload }
+ */
+function buildRequestMessage(request, seller) {
+  const part = partsById.get(request.partId);
+  // Sellers are in Turkey and the catalogue is Turkish, so seller messages use the default locale
+  const params = {
+    seller: seller.name,
+    part: part.name,
+    partId: request.partId,
+    vin: request.vin,
+    urgency: request.urgency,
+    description: request.description || '-',
+    expiresAt: request.expiresAt,
+    requestId: request.requestId
+  };
+
+  return {
+    subject: translate(DEFAULT_LOCALE, 'notification.request.subject', params),
+    text: translate(DEFAULT_LOCALE, 'notification.request.text', params),
+    payload: {
+      requestId: request.requestId,
+      sellerId: seller.id,
+      partId: request.partId,
+      partName: part.name,
+      category: part.category,
+      vin: request.vin,
+      urgency: request.urgency,
+      description: request.description,
+      location: request.location || null,
+      expiresAt: request.expiresAt
+    }
+  };
+}
+
+/**
+ * Builds the message a seller receives about their lines of a new order request
+ * @param {Object} request - Stored order request with lines
+ * @param {Object} seller - Seller record
+ * @returns {Object} - { subject, text, payload }
+ */
+function buildOrderMessage(request, seller) {
+  const lines = request.lines
+    .filter(line => line.sellerId === seller.id)
+    .map(line => ({ ...line, partName: partsById.get(line.partId).name }));
+  const total = Math.round(lines.reduce((sum, line) => sum + line.lineTotal, 0) * 100) / 100;
+  const params = {
+    seller: seller.name,
+    count: lines.length,
+    lines: lines.map(line => `- ${line.quantity} x ${line.partName} (${line.partId}): ${line.lineTotal}`).join('\n'),
+    total,
+    vin: request.vin,
+    urgency: request.urgency,
+    description: request.description || '-',
+    expiresAt: request.expiresAt,
+    requestId: request.requestId
+  };
+
+  return {
+    subject: translate(DEFAULT_LOCALE, 'notification.order.subject', params),
+    text: translate(DEFAULT_LOCALE, 'notification.order.text', params),
+    payload: {
+      requestId: request.requestId,
+      quoteId: request.quoteId,
+      sellerId: seller.id,
+      lines: lines.map(({ partId, partName, itemId, condition, quantity, unitPrice, lineTotal }) => ({
+        partId, partName, itemId, condition, quantity, unitPrice, lineTotal
+      })),
+      total,
+      vin: request.vin,
+      urgency: request.urgency,
+      description: request.description,
+      location: request.location || null,
+      expiresAt: request.expiresAt
+    }
+  };
+}
+
+/**
+ * Stores one outbox entry per seller and active channel for a new request
+ * Order requests go to the sellers of their lines only; part requests to the sellers picked for the part.
+ * @param {Object} request - Stored request
+ * @returns {Promise<Array>} - Outbox entries, not yet delivered
+ */
+async function queueRequestNotifications(request) {
+  const active = getActiveChannels();
+  const sellers = request.lines
+    ? mockSellers.global_sellers.filter(seller => request.lines.some(line => line.sellerId === seller.id))
+    : selectSellersForRequest(request.partId, request.location);
+  const now = new Date().toISOString();
+  const entries = [];
+
+  sellers.forEach(seller => {
+    active.forEach(channel => {
+      const target = channel.getTarget(seller);
+      if (!target) return;
+
+      entries.push({
+        notificationId: `ntf-${uuidv4()}`,
+        event: 'request.created',
+        audience: 'seller',
+        requestId: request.requestId,
+        sellerId: seller.id,
+        channel: channel.name,
+        target,
+        message: request.lines ? buildOrderMessage(request, seller) : buildRequestMessage(request, seller),
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: now,
+        createdAt: now,
+        updatedAt: now,
+        log: []
+      });
+    });
+  });
+
+  if (entries.length > 0) {
+    await getStore().upsertMany(OUTBOX, entries.map(entry => ({ id: entry.notificationId, document: entry })));
+  }
+  return entries;
+}
+
+/**
+ * Stores a request event for the customer's callback URL and makes the first attempt right away
+ * @param {Object} request - Stored request with callbackUrl and callbackSecret
+ * @param {Object} event - Request event
+ * @returns {Promise<Object>} - Outbox entry after the first attempt
+ */
+async function queueCallback(request, event) {
+  const now = new Date().toISOString();
+  const entry = {
+    notificationId: `ntf-${uuidv4()}`,
+    event: event.type,
+    audience: 'customer',
+    requestId: request.requestId,
+    channel: 'callback',
+    target: request.callbackUrl,
+    signingSecret: request.callbackSecret,
+    message: { subject: event.type, payload: event },
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: now,
+    createdAt: now,
+    updatedAt: now,
+    log: []
+  };
+
+  await getStore().insert(OUTBOX, entry.notificationId, entry);
+  const [delivered] = await deliverEntries([entry]);
+  return delivered || entry;
+}
+
+/**
+ * Makes one delivery attempt and records its outcome
+ * Failed attempts are retried after retryBaseSeconds * 2^(attempt - 1) until maxAttempts is reached.
+ * @param {Object} entry - Outbox entry
+ * @returns {Promise<Object>} - Updated entry
+ */
+async function attemptDelivery(entry) {
+  const config = getConfig();
+  const channel = channels.get(entry.channel);
+  const attempt = entry.attempts + 1;
+  const at = new Date().toISOString();
+
+  let changes;
+  try {
+    if (!channel) throw new Error(`Unknown notification channel: ${entry.channel}`);
+    const response = await channel.deliver(entry.target, entry, { timeoutMs: config.timeoutMs });
+    changes = {
+      status: 'delivered',
+      deliveredAt: new Date().toISOString(),
+      nextAttemptAt: null,
+      lastError: null,
+      log: [...entry.log, { attempt, at, outcome: 'delivered', response: String(response || '').slice(0, 200) }]
+    };
+  } catch (error) {
+    const exhausted = attempt >= config.maxAttempts;
+    changes = {
+      status: exhausted ? 'failed' : 'pending',
+      nextAttemptAt: exhausted
+        ? null
+        : new Date(Date.now() + config.retryBaseSeconds * 1000 * 2 ** (attempt - 1)).toISOString(),
+      lastError: error.message,
+      log: [...entry.log, { attempt, at, outcome: 'failed', error: error.message }]
+    };
+  }
+
+  return getStore().update(OUTBOX, entry.notificationId, {
+    ...changes,
+    attempts: attempt,
+    updatedAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Delivers outbox entries one after the other, skipping any another caller is already sending
+ * All entries are claimed up front, and each is read again before it is sent: the copies passed in may be
+ * stale by then, e.g. already delivered by the worker.
+ * @param {Array} entries - Outbox entries
+ * @returns {Promise<Array>} - Updated entries
+ */
+async function deliverEntries(entries) {
+  const claimed = entries
+    .map(entry => entry.notificationId)
+    .filter(notificationId => !inFlight.has(notificationId));
+  claimed.forEach(notificationId => inFlight.add(notificationId));
+
+  const results = [];
+  try {
+    for (const notificationId of claimed) {
+      const current = await getStore().get(OUTBOX, notificationId);
+      if (current && current.status === 'pending' && new Date(current.nextAttemptAt).getTime() <= Date.now()) {
+        results.push(await attemptDelivery(current));
+      }
+      inFlight.delete(notificationId);
+    }
+  } finally {
+    claimed.forEach(notificationId => inFlight.delete(notificationId));
+  }
+  return results;
+}
+
+/**
+ * Sends every pending entry whose next attempt is due
+ * @returns {Promise<number>} - Number of attempts made
+ */
+async function dispatchDueNotifications() {
+  // One run at a time; a slow SMTP server must not make polls pile up
+  if (!dispatching) {
+    dispatching = (async () => {
+      const now = Date.now();
+      const due = (await getStore().find(OUTBOX, { status: 'pending' }))
+        .filter(entry => new Date(entry.nextAttemptAt).getTime() <= now)
+        .sort((a, b) => a.nextAttemptAt.localeCompare(b.nextAttemptAt));
+      return (await deliverEntries(due)).length;
+    })().finally(() => {
+      dispatching = null;
+    });
+  }
+  return dispatching;
+}
+
+/**
+ * Queues a new request's notifications and starts the first attempt without waiting for it
+ * Slow or unreachable sellers must not hold up the customer; the outcome is in the outbox.
+ * @param {Object} request - Stored request
+ * @returns {Promise<Object>} - Summary of the queued messages: { sellers, sent, pending, failed }
+ */
+async function notifySellers(request) {
+  const entries = await queueRequestNotifications(request);
+
+  const round = deliverEntries(entries)
+    .catch(error => console.error('Error delivering seller notifications:', error))
+    .finally(() => firstRounds.delete(round));
+  firstRounds.add(round);
+
+  return summarizeNotifications(entries);
+}
+
+/**
+ * Counts notifications by outcome
+ * Customer callbacks are counted separately and only reported once a request has any.
+ * @param {Array} entries - Outbox entries
+ * @returns {Object} - { sellers, sent, pending, failed, callbacks? }
+ */
+function summarizeNotifications(entries) {
+  const tally = list => {
+    const count = status => list.filter(entry => entry.status === status).length;
+    return { sent: count('delivered'), pending: count('pending'), failed: count('failed') };
+  };
+  const sellerEntries = entries.filter(entry => entry.audience !== 'customer');
+  const callbacks = entries.filter(entry => entry.audience === 'customer');
+
+  return {
+    sellers: new Set(sellerEntries.map(entry => entry.sellerId)).size,
+    ...tally(sellerEntries),
+    ...(callbacks.length > 0 && { callbacks: tally(callbacks) })
+  };
+}
+
+/**
+ * Lists the seller notifications and customer callbacks of a request with their delivery logs
+ * @param {string} requestId - Request ID
+ * @returns {Promise<Array>} - Outbox entries, oldest first
+ */
+async function listRequestNotifications(requestId) {
+  const entries = await getStore().find(OUTBOX, { requestId });
+  return entries.sort((a, b) => a.createdAt.localeCompare(b.createdAt) || (a.sellerId || '').localeCompare(b.sellerId || ''));
+}
+
+/**
+ * Starts polling the outbox for due retries (NOTIFY_POLL_SECONDS)
+ */
+function startNotificationWorker() {
+  if (worker) return;
+  const run = () => dispatchDueNotifications().catch(error => console.error('Notification worker error:', error));
+
+  worker = setInterval(run, getConfig().pollSeconds * 1000);
+  worker.unref();
+  // Pick up what was left pending before a restart
+  run();
+
+  const active = getActiveChannels().map(channel => channel.name);
+  console.log(`Notifications: ${active.length > 0 ? active.join(', ') : 'no channels configured'}`);
+}
+
+/**
+ * Stops the outbox worker and waits for a running dispatch and first delivery rounds to finish
+ */
+async function stopNotificationWorker() {
+  if (worker) {
+    clearInterval(worker);
+    worker = null;
+  }
+  if (dispatching) {
+    await dispatching.catch(() => {});
+  }
+  await Promise.all(firstRounds);
+}
+
+module.exports = {
+  registerChannel,
+  selectSellersForRequest,
+  notifySellers,
+  queueCallback,
+  dispatchDueNotifications,
+  listRequestNotifications,
+  summarizeNotifications,
+  startNotificationWorker,
+  stopNotificationWorker
+};
@@ -0,0 +1,54 @@
+// Webhook channel: JSON POSTs to the seller's webhookUrl, or SELLER_WEBHOOK_URL for every seller
+
+module.exports = {
+  name: 'webhook',
+
+  /**
+   * Webhooks need no server-side setup; sellers without a URL are skipped
+   * @returns {boolean} - Always true
+   */
+  isConfigured() {
+    return true;
+  },
+
+  /**
+   * Where to send a seller's notifications
+   * @param {Object} seller - Seller record
+   * @returns {string|null} - Webhook URL or null
+   */
+  getTarget(seller) {
+    return seller.webhookUrl || process.env.SELLER_WEBHOOK_URL || null;
+  },
+
+  /**
+   * Posts a notification; any non-2xx answer counts as a failed attempt
+   * @param {string} target - Webhook URL
+   * @param {Object} notification - Outbox entry; message.payload is the JSON body
+   * @param {Object} options - { timeoutMs }
+   * @returns {Promise<string>} - Response status line
+   */
+  async deliver(target, notification, { timeoutMs }) {
+    const response = await fetch(target, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'SparePartFinder-Notifier/1.0',
+        'X-Notification-Id': notification.notificationId,
+        'X-Notification-Event': notification.event
+      },
+      body: JSON.stringify({
+        event: notification.event,
+        notificationId: notification.notificationId,
+        attempt: notification.attempts + 1,
+        sentAt: new Date().toISOString(),
+        data: notification.message.payload
+      }),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Webhook answered ${response.status} ${response.statusText}`);
+    }
+    return `${response.status} ${response.statusText}`;
+  }
+};
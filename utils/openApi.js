@@ -0,0 +1,369 @@
+// OpenAPI 3 document of the API, generated from the route table
+//
+// Parameters and request bodies come from each route's schema (utils/requestSchema.js); responses from its
+// `response` entry, which names component schemas of data/openApiSchemas.json:
+//
+//   response: { status: 201, data: 'Offer' }                     success envelope with data
+//   response: { data: 'Vehicle[]', extra: { count: 'integer' } } array data and further envelope fields
+//   response: { content: { 'text/csv': 'string' } }              raw body, no envelope
+//
+// `requestBody` names the body schema where the rules don't cover it, or maps media types to schemas as
+// { content, required }; `errors` lists the error statuses a route adds to the standard ones.
+
+const fs = require('fs');
+const path = require('path');
+const { SUPPORTED_LOCALES, DEFAULT_LOCALE } = require('./i18n');
+const { DEFAULT_LIMIT, MAX_LIMIT } = require('./listQuery');
+
+const componentSchemas = JSON.parse(fs.readFileSync(path.join(__dirname, '../data/openApiSchemas.json'), 'utf8'));
+
+const PRIMITIVES = ['string', 'number', 'integer', 'boolean', 'object'];
+
+// Descriptions of the error statuses routes can list
+const ERROR_DESCRIPTIONS = {
+  400: 'Invalid request',
+  401: 'Missing or invalid credentials',
+  403: 'The credentials may not use this endpoint or resource',
+  404: 'Not found',
+  409: 'Conflicts with the current state of the resource',
+  415: 'Unsupported content type',
+  422: 'Semantically invalid content',
+  429: 'Rate limit exceeded',
+  500: 'Internal server error'
+};
+
+// Readable names of the comparison a list filter makes
+const FILTER_OPS = {
+  gte: 'Minimum',
+  lte: 'Maximum',
+  contains: 'Contains'
+};
+
+/**
+ * Builds the schema for a schema name of the route table
+ * @param {string} name - Component name, primitive type, or either followed by [] for an array
+ * @returns {Object} - JSON schema
+ */
+function schemaFor(name) {
+  if (name.endsWith('[]')) {
+    return { type: 'array', items: schemaFor(name.slice(0, -2)) };
+  }
+  if (PRIMITIVES.includes(name)) {
+    return { type: name };
+  }
+  if (!componentSchemas[name]) {
+    throw new Error(`Unknown OpenAPI schema: ${name}`);
+  }
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+/**
+ * Converts a request schema rule to a JSON schema
+ * @param {Object} rule - Field rule
+ * @returns {Object} - JSON schema
+ */
+function ruleSchema(rule) {
+  const schema = {};
+  switch (rule.type) {
+    case 'number':
+    case 'integer':
+      schema.type = rule.type;
+      if (rule.min !== undefined) schema.minimum = rule.min;
+      if (rule.max !== undefined) schema.maximum = rule.max;
+      if (rule.above !== undefined) {
+        schema.minimum = rule.above;
+        schema.exclusiveMinimum = true;
+      }
+      break;
+    case 'boolean':
+      schema.type = 'boolean';
+      break;
+    case 'enum':
+      schema.type = 'string';
+      schema.enum = rule.values;
+      break;
+    default:
+      schema.type = 'string';
+      if (rule.minLength !== undefined) schema.minLength = rule.minLength;
+      if (rule.format === 'email') schema.format = 'email';
+      if (rule.format === 'callbackUrl') schema.format = 'uri';
+      if (rule.format === 'vin') {
+        schema.format = 'vin';
+        schema.minLength = 17;
+        schema.maxLength = 17;
+        schema.example = 'WDB2020201F685790';
+      }
+  }
+  return schema;
+}
+
+/**
+ * Builds a parameter from its rule
+ * @param {string} name - Parameter name
+ * @param {Object} rule - Field rule
+ * @param {string} location - 'path' or 'query'
+ * @returns {Object} - Parameter object
+ */
+function parameterOf(name, rule, location) {
+  return {
+    name,
+    in: location,
+    // Path parameters are always required in OpenAPI
+    required: location === 'path' || Boolean(rule.required),
+    ...(rule.message && { description: rule.message }),
+    schema: ruleSchema(rule)
+  };
+}
+
+/**
+ * Builds the path parameters of a route; those without a rule are plain strings
+ * @param {string} routePath - Express path
+ * @param {Object} rules - Field rules of the params
+ * @returns {Array} - Parameter objects
+ */
+function pathParameters(routePath, rules = {}) {
+  return [...routePath.matchAll(/:(\w+)/g)].map(([, name]) => parameterOf(name, rules[name] || { type: 'string' }, 'path'));
+}
+
+/**
+ * Builds the filter, sort and page parameters of a list endpoint
+ * @param {Object} list - List spec: { filters, sorts, defaultSort }
+ * @returns {Array} - Parameter objects
+ */
+function listParameters(list) {
+  const filters = Object.entries(list.filters || {}).map(([name, filter]) => {
+    const schema = filter.type === 'enum'
+      ? { type: 'string', description: `One or more of ${filter.values.join(', ')}, comma separated` }
+      : { type: filter.type };
+    const field = typeof filter.field === 'string' ? filter.field : name;
+    return {
+      name,
+      in: 'query',
+      description: `${FILTER_OPS[filter.op] || 'Filter on'} ${field}`,
+      schema
+    };
+  });
+
+  const sortNames = Object.keys(list.sorts || {});
+  const pageParameters = [
+    {
+      name: 'limit',
+      in: 'query',
+      description: 'Page size',
+      schema: { type: 'integer', minimum: 1, maximum: MAX_LIMIT, default: DEFAULT_LIMIT }
+    },
+    {
+      name: 'cursor',
+      in: 'query',
+      description: 'nextCursor of the previous page; the other parameters must stay the same',
+      schema: { type: 'string' }
+    }
+  ];
+  if (sortNames.length === 0) return [...filters, ...pageParameters];
+
+  const sort = {
+    name: 'sort',
+    in: 'query',
+    description: `Comma separated fields of ${sortNames.join(', ')}, each optionally followed by :asc or :desc`,
+    schema: { type: 'string', ...(list.defaultSort && { default: list.defaultSort }) }
+  };
+  return [...filters, sort, ...pageParameters];
+}
+
+/**
+ * Builds the request body of a route
+ * @param {Object} route - Route
+ * @returns {Object|undefined} - Request body object, undefined for routes without a body
+ */
+function requestBodyOf(route) {
+  if (route.requestBody) {
+    // A schema name for JSON bodies, or { content: media type -> schema name, required }
+    const { content, required = true } = typeof route.requestBody === 'string'
+      ? { content: { 'application/json': route.requestBody } }
+      : route.requestBody;
+    return {
+      required,
+      content: Object.fromEntries(Object.entries(content).map(([type, name]) => [type, { schema: schemaFor(name) }]))
+    };
+  }
+
+  const rules = route.schema && route.schema.body;
+  if (!rules) return undefined;
+  const required = Object.keys(rules).filter(field => rules[field].required);
+  return {
+    required: required.length > 0,
+    content: {
+      'application/json': {
+        schema: {
+          type: 'object',
+          ...(required.length > 0 && { required }),
+          properties: Object.fromEntries(Object.entries(rules).map(([field, rule]) => [field, ruleSchema(rule)]))
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Builds the success response of a route
+ * @param {Object} route - Route
+ * @returns {Object} - { status: response object }
+ */
+function successResponse(route) {
+  const response = route.response || {};
+  const status = response.status || 200;
+
+  if (response.content) {
+    return {
+      [status]: {
+        description: route.summary,
+        content: Object.fromEntries(Object.entries(response.content).map(([type, name]) => [type, { schema: schemaFor(name) }]))
+      }
+    };
+  }
+
+  const properties = {
+    success: { type: 'boolean', enum: [true] },
+    ...(response.data && { data: schemaFor(response.data) }),
+    ...Object.fromEntries(Object.entries(response.extra || {}).map(([field, name]) => [field, schemaFor(name)])),
+    ...(route.schema && route.schema.list && { pagination: schemaFor('Pagination') }),
+    timestamp: schemaFor('Timestamp')
+  };
+  return {
+    [status]: {
+      description: route.summary,
+      content: {
+        'application/json': {
+          schema: { type: 'object', required: ['success', 'timestamp'], properties }
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Builds the error responses of a route: the standard ones plus those it lists
+ * @param {Object} group - Route group
+ * @param {Object} route - Route
+ * @returns {Object} - status -> response object
+ */
+function errorResponses(group, route) {
+  const statuses = new Set(route.errors || []);
+  // An unknown X-Mock-Scenario is a bad request too
+  if (route.schema || route.requestBody || group.mockScenarios !== false) statuses.add(400);
+  if (route.access !== 'Public') {
+    statuses.add(401);
+    statuses.add(403);
+  }
+  if (route.method === 'GET') statuses.add(429);
+  statuses.add(500);
+
+  return Object.fromEntries([...statuses].sort().map(status => {
+    if (status === 429) {
+      return [status, { $ref: '#/components/responses/RateLimited' }];
+    }
+    const schema = status === 400
+      ? { anyOf: [schemaFor('ValidationError'), schemaFor('Error')] }
+      : schemaFor('Error');
+    return [status, {
+      description: ERROR_DESCRIPTIONS[status],
+      content: { 'application/json': { schema } }
+    }];
+  }));
+}
+
+/**
+ * Builds the operation object of a route
+ * @param {Object} group - Route group
+ * @param {Object} route - Route
+ * @returns {Object} - Operation object
+ */
+function operationOf(group, route) {
+  const schema = route.schema || {};
+  const operation = {
+    operationId: route.handler.name,
+    tags: [group.name],
+    summary: route.summary,
+    description: `Access: ${route.access}`,
+    parameters: [
+      ...pathParameters(route.path, schema.params),
+      ...Object.entries(schema.query || {}).map(([name, rule]) => parameterOf(name, rule, 'query')),
+      ...(schema.list ? listParameters(schema.list) : []),
+      { $ref: '#/components/parameters/Lang' },
+      ...(group.mockScenarios !== false ? [{ $ref: '#/components/parameters/MockScenario' }] : [])
+    ],
+    requestBody: requestBodyOf(route),
+    responses: { ...successResponse(route), ...errorResponses(group, route) }
+  };
+
+  // Public endpoints take credentials but don't need them; {} marks authentication as optional
+  operation.security = route.access === 'Public'
+    ? [{}, { apiKey: [] }, { bearerToken: [] }]
+    : [{ apiKey: [] }, { bearerToken: [] }];
+
+  if (!operation.requestBody) delete operation.requestBody;
+  return operation;
+}
+
+/**
+ * Builds the OpenAPI document of the route table
+ * @param {Array} groups - Route groups
+ * @returns {Object} - OpenAPI 3.0 document
+ */
+function buildOpenApiDocument(groups) {
+  const paths = {};
+  groups.forEach(group => {
+    group.routes.forEach(route => {
+      const routePath = `${group.basePath}${route.path === '/' ? '' : route.path}`.replace(/:(\w+)/g, '{$1}');
+      paths[routePath] = paths[routePath] || {};
+      paths[routePath][route.method.toLowerCase()] = operationOf(group, route);
+    });
+  });
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Spare Part Finder Dummy API',
+      version: '1.0.0',
+      description: 'Mock API for VIN-based vehicle lookup, spare part suggestion, and B2B inventory responses'
+    },
+    // Relative to where the document is served, so it stays right behind proxies
+    servers: [{ url: '/' }],
+    tags: groups.map(group => ({ name: group.name })),
+    paths,
+    components: {
+      schemas: componentSchemas,
+      parameters: {
+        Lang: {
+          name: 'lang',
+          in: 'query',
+          description: 'Response language; the Accept-Language header is used without it',
+          schema: { type: 'string', enum: SUPPORTED_LOCALES, default: DEFAULT_LOCALE }
+        },
+        MockScenario: {
+          name: 'X-Mock-Scenario',
+          in: 'header',
+          description: 'Comma separated mock scenarios for this request, ahead of the active ones (GET /api/admin/scenarios)',
+          schema: { type: 'string', example: 'fast,empty-sellers' }
+        }
+      },
+      responses: {
+        RateLimited: {
+          description: ERROR_DESCRIPTIONS[429],
+          headers: {
+            'Retry-After': { description: 'Seconds until a request is allowed again', schema: { type: 'integer' } }
+          },
+          content: { 'application/json': { schema: schemaFor('Error') } }
+        }
+      },
+      securitySchemes: {
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        bearerToken: { type: 'http', scheme: 'bearer', description: 'Token from POST /api/auth/token' }
+      }
+    }
+  };
+}
+
+module.exports = {
+  buildOpenApiDocument
+};
@@ -0,0 +1,275 @@
+// Quote planning: which sellers supply the parts of a multi-part quote
+//
+// Every option covers each item from seller listings with enough stock, splitting an item across sellers
+// when no single one stocks the quantity. Items share the stock of a listing, e.g. a part asked for once
+// in any condition and once new:
+//
+//   cheapest       lowest total; every item comes from its cheapest listings
+//   fastest        earliest delivery of the whole order (its slowest seller), then the lowest total
+//   fewestSellers  fewest sellers to deal with and deliveries to wait for, then the lowest total
+//
+// Items the sellers together don't stock enough of are left out of every option and listed as unavailable.
+
+// Seller sets the fewest-sellers search may visit; beyond it the best set found so far is used
+const MAX_SEARCH_NODES = 20000;
+
+const STRATEGIES = ['cheapest', 'fastest', 'fewestSellers'];
+
+/**
+ * Rounds an amount to cents
+ * @param {number} amount - Amount
+ * @returns {number} - Rounded amount
+ */
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Compares listings by price, then delivery time, then seller rating
+ * @param {Object} a - Listing
+ * @param {Object} b - Listing
+ * @returns {number} - Sort order
+ */
+function byPrice(a, b) {
+  return a.price - b.price || a.deliveryEstimate.maxDays - b.deliveryEstimate.maxDays || b.rating - a.rating;
+}
+
+/**
+ * Fills an item's quantity from listings in the given order
+ * @param {Object} item - { partId, quantity }
+ * @param {Array} listings - Candidate listings, in order of preference
+ * @returns {Array|null} - Allocations as { item, listing, quantity }, null if the listings don't stock enough
+ */
+function allocate(item, listings) {
+  const allocations = [];
+  let remaining = item.quantity;
+  for (const listing of listings) {
+    if (remaining === 0) break;
+    const quantity = Math.min(listing.stock, remaining);
+    allocations.push({ item, listing, quantity });
+    remaining -= quantity;
+  }
+  return remaining === 0 ? allocations : null;
+}
+
+/**
+ * Puts listings in order of price
+ * @param {Array} listings - Listings
+ * @returns {Array} - Sorted copy
+ */
+function cheapestFirst(listings) {
+  return [...listings].sort(byPrice);
+}
+
+/**
+ * Fills the items from their candidate listings, sharing each listing's stock between the items
+ * Items asking for a condition are filled first: the items that take any condition can use what they leave,
+ * so no item runs short that another order would have filled.
+ * @param {Array} lines - { item, candidates } per item
+ * @param {Function} rank - Puts an item's candidate listings in order of preference
+ * @returns {Object} - { allocations, short }: allocations in the order of the lines, and the lines that couldn't
+ *   be filled as { line, available } with the units left for them; those take no stock
+ */
+function allocateAll(lines, rank) {
+  const remaining = new Map();
+  const allocationsByLine = new Map();
+  const short = [];
+
+  const constrainedFirst = [...lines].sort((a, b) => Boolean(b.item.condition) - Boolean(a.item.condition));
+  constrainedFirst.forEach(line => {
+    const listings = rank(line.candidates)
+      .map(listing => ({ ...listing, stock: remaining.has(listing.itemId) ? remaining.get(listing.itemId) : listing.stock }))
+      .filter(listing => listing.stock > 0);
+    const allocations = allocate(line.item, listings);
+    if (!allocations) {
+      short.push({ line, available: listings.reduce((sum, listing) => sum + listing.stock, 0) });
+      return;
+    }
+    allocations.forEach(({ listing, quantity }) => remaining.set(listing.itemId, listing.stock - quantity));
+    allocationsByLine.set(line, allocations);
+  });
+
+  return {
+    allocations: lines.flatMap(line => allocationsByLine.get(line) || []),
+    short: short.sort((a, b) => lines.indexOf(a.line) - lines.indexOf(b.line))
+  };
+}
+
+/**
+ * Narrows every line to some of its candidate listings
+ * @param {Array} lines - { item, candidates } per item
+ * @param {Function} keep - Listing filter
+ * @returns {Array} - Lines with the kept candidates
+ */
+function narrowLines(lines, keep) {
+  return lines.map(line => ({ ...line, candidates: line.candidates.filter(keep) }));
+}
+
+/**
+ * Plans the cheapest supply of the items
+ * @param {Array} lines - { item, candidates } per available item
+ * @returns {Array} - Allocations
+ */
+function planCheapest(lines) {
+  return allocateAll(lines, cheapestFirst).allocations;
+}
+
+/**
+ * Plans the fastest supply of the items: the earliest day the whole order can arrive, then the cheapest
+ * listings that deliver by then
+ * @param {Array} lines - { item, candidates } per available item
+ * @returns {Array} - Allocations
+ */
+function planFastest(lines) {
+  const deadlines = [...new Set(lines.flatMap(({ candidates }) =>
+    candidates.map(listing => listing.deliveryEstimate.maxDays)
+  ))].sort((a, b) => a - b);
+
+  // The last deadline allows every listing, so the available items can always be filled by then
+  for (const deadline of deadlines) {
+    const plan = allocateAll(narrowLines(lines, listing => listing.deliveryEstimate.maxDays <= deadline), cheapestFirst);
+    if (plan.short.length === 0) return plan.allocations;
+  }
+  return [];
+}
+
+/**
+ * Plans the supply of the items from as few sellers as possible, the cheapest such plan among equals
+ * A depth-first search over seller sets: it adds a seller of the first item the set can't supply yet,
+ * and never grows a set beyond the smallest one found.
+ * @param {Array} lines - { item, candidates } per available item
+ * @returns {Array} - Allocations
+ */
+function planFewestSellers(lines) {
+  const planWithin = sellerIds => allocateAll(narrowLines(lines, listing => sellerIds.has(listing.sellerId)), cheapestFirst);
+  const totalOf = allocations => allocations.reduce((sum, { listing, quantity }) => sum + listing.price * quantity, 0);
+
+  // The cheapest plan is a valid start and bounds the search
+  let best = planCheapest(lines);
+  let bestSellers = new Set(best.map(({ listing }) => listing.sellerId));
+  let bestTotal = totalOf(best);
+
+  const visited = new Set();
+  let nodes = 0;
+
+  const search = sellerIds => {
+    const key = [...sellerIds].sort().join(',');
+    if (visited.has(key) || nodes >= MAX_SEARCH_NODES) return;
+    visited.add(key);
+    nodes += 1;
+
+    const { allocations, short } = planWithin(sellerIds);
+    if (short.length === 0) {
+      const total = totalOf(allocations);
+      if (sellerIds.size < bestSellers.size || total < bestTotal) {
+        best = allocations;
+        bestSellers = sellerIds;
+        bestTotal = total;
+      }
+      return;
+    }
+    // Another seller would make this set larger than the best one
+    if (sellerIds.size >= bestSellers.size) return;
+
+    // Sellers with the most stock of the first item the set can't supply, so small sets are found early
+    const { item } = short[0].line;
+    const options = [...lines.find(line => line.item === item).candidates]
+      .filter(listing => !sellerIds.has(listing.sellerId))
+      .sort((a, b) => b.stock - a.stock || byPrice(a, b));
+    options.forEach(listing => search(new Set([...sellerIds, listing.sellerId])));
+  };
+  search(new Set());
+
+  return best;
+}
+
+/**
+ * Groups allocations into an option: its sellers with their lines, totals and delivery estimate
+ * @param {string} strategy - cheapest, fastest or fewestSellers
+ * @param {Array} allocations - Allocations of the plan
+ * @param {boolean} complete - Whether every item of the quote is covered
+ * @returns {Object} - Option
+ */
+function buildOption(strategy, allocations, complete) {
+  const sellers = new Map();
+  allocations.forEach(({ item, listing, quantity }) => {
+    if (!sellers.has(listing.sellerId)) {
+      sellers.set(listing.sellerId, {
+        sellerId: listing.sellerId,
+        name: listing.sellerName,
+        location: listing.location,
+        rating: listing.rating,
+        distanceKm: listing.distanceKm,
+        deliveryEstimate: listing.deliveryEstimate,
+        subtotal: 0,
+        lines: []
+      });
+    }
+    const seller = sellers.get(listing.sellerId);
+    const lineTotal = roundAmount(listing.price * quantity);
+    seller.lines.push({
+      partId: item.partId,
+      itemId: listing.itemId,
+      condition: listing.condition,
+      warrantyMonths: listing.warrantyMonths,
+      quantity,
+      unitPrice: listing.price,
+      lineTotal
+    });
+    seller.subtotal = roundAmount(seller.subtotal + lineTotal);
+  });
+
+  const grouped = [...sellers.values()];
+  return {
+    strategy,
+    complete,
+    total: roundAmount(grouped.reduce((sum, seller) => sum + seller.subtotal, 0)),
+    units: allocations.reduce((sum, { quantity }) => sum + quantity, 0),
+    sellerCount: grouped.length,
+    // The order is complete when its slowest seller has delivered
+    deliveryEstimate: {
+      minDays: Math.max(0, ...grouped.map(seller => seller.deliveryEstimate.minDays)),
+      maxDays: Math.max(0, ...grouped.map(seller => seller.deliveryEstimate.maxDays))
+    },
+    sellers: grouped
+  };
+}
+
+/**
+ * Plans the options of a quote
+ * @param {Array} items - Quote items as { partId, quantity, condition? }
+ * @param {Array} listings - In-stock listings of the quoted parts, with sellerName, location, rating,
+ *   distanceKm and deliveryEstimate
+ * @returns {Object} - { options: { cheapest, fastest, fewestSellers }, unavailable }
+ */
+function planQuote(items, listings) {
+  const lines = items.map(item => ({
+    item,
+    candidates: listings.filter(listing => listing.partId === item.partId &&
+      listing.stock > 0 && (!item.condition || listing.condition === item.condition))
+  }));
+
+  // Stock one item takes isn't available to another item of the same part
+  const { short } = allocateAll(lines, cheapestFirst);
+  const unavailable = short.map(({ line, available }) => ({ ...line.item, available }));
+  const available = lines.filter(line => !short.some(entry => entry.line === line));
+  const complete = unavailable.length === 0;
+
+  if (available.length === 0) {
+    return { options: null, unavailable };
+  }
+
+  return {
+    options: {
+      cheapest: buildOption('cheapest', planCheapest(available), complete),
+      fastest: buildOption('fastest', planFastest(available), complete),
+      fewestSellers: buildOption('fewestSellers', planFewestSellers(available), complete)
+    },
+    unavailable
+  };
+}
+
+module.exports = {
+  STRATEGIES,
+  planQuote
+};
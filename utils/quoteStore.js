@@ -0,0 +1,68 @@
+// Customer quotes: the parts wanted for a vehicle, kept in the configured storage backend
+// Prices and stock change, so options are planned when a quote is read (utils/quotePlanner.js), not stored.
+
+const { v4: uuidv4 } = require('uuid');
+const { getStore } = require('./storage');
+
+const QUOTES = 'quotes';
+
+/**
+ * Saves a new quote; it is open while its items can change and ordered once converted to an order request
+ * @param {Object} fields - customerId, vin, location and items
+ * @returns {Promise<Object>} - Stored quote with its quoteId
+ */
+async function createQuote(fields) {
+  const now = new Date().toISOString();
+  const quote = {
+    quoteId: `quote-${uuidv4()}`,
+    ...fields,
+    status: 'open',
+    createdAt: now,
+    updatedAt: now
+  };
+  return getStore().insert(QUOTES, quote.quoteId, quote);
+}
+
+/**
+ * Finds a quote by ID
+ * @param {string} quoteId - Quote ID
+ * @returns {Promise<Object|null>} - Quote or null if not found
+ */
+async function getQuote(quoteId) {
+  return getStore().get(QUOTES, quoteId);
+}
+
+/**
+ * Changes a quote
+ * @param {string} quoteId - Quote ID
+ * @param {Object} changes - Fields to change
+ * @returns {Promise<Object|null>} - Updated quote or null if not found
+ */
+async function updateQuote(quoteId, changes) {
+  return getStore().update(QUOTES, quoteId, {
+    ...changes,
+    updatedAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Marks an open quote ordered, checking and changing its status in one store update
+ * so two orders of the same quote can't both go through
+ * @param {string} quoteId - Quote ID
+ * @param {Object} changes - Other fields to change, such as the requestId of the order
+ * @returns {Promise<Object|null>} - Updated quote, or null if it is not found or no longer open
+ */
+async function markQuoteOrdered(quoteId, changes) {
+  return getStore().update(QUOTES, quoteId, quote => quote.status === 'open' && {
+    ...changes,
+    status: 'ordered',
+    updatedAt: new Date().toISOString()
+  });
+}
+
+module.exports = {
+  createQuote,
+  getQuote,
+  updateQuote,
+  markQuoteOrdered
+};
@@ -0,0 +1,78 @@
+// Seeded pseudo-random numbers for reproducible mock data
+
+/**
+ * Hashes a string to a 32-bit unsigned integer (FNV-1a)
+ * @param {string} text - Text to hash
+ * @returns {number} - 32-bit hash
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Creates a seeded random number generator (mulberry32)
+ * The scope keeps generators for different purposes independent, e.g.
+ * createRandom(seed, 'sellers', 'part-motor-020') returns the same sequence no matter what else was generated.
+ * @param {string} seed - Seed value
+ * @param {...string} scope - Additional values mixed into the seed
+ * @returns {Function} - Function returning floats in [0, 1) like Math.random
+ */
+function createRandom(seed, ...scope) {
+  let state = hashString([seed, ...scope].join(':'));
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Returns a seeded generator if a seed is given, Math.random otherwise
+ * @param {string|null} seed - Seed value
+ * @param {...string} scope - Additional values mixed into the seed
+ * @returns {Function} - Random number generator
+ */
+function randomFor(seed, ...scope) {
+  return seed ? createRandom(seed, ...scope) : Math.random;
+}
+
+/**
+ * Reads the mock seed of a request: X-Mock-Seed header first, then the MOCK_SEED environment variable
+ * @param {Object} req - Express request object
+ * @returns {string|null} - Seed or null when draws should be random
+ */
+function resolveMockSeed(req) {
+  const header = req.get('X-Mock-Seed');
+  if (header && header.trim()) return header.trim();
+  return process.env.MOCK_SEED || null;
+}
+
+/**
+ * Shuffles a copy of an array (Fisher-Yates)
+ * @param {Array} items - Items to shuffle
+ * @param {Function} random - Random number generator
+ * @returns {Array} - Shuffled copy
+ */
+function shuffle(items, random = Math.random) {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+module.exports = {
+  createRandom,
+  randomFor,
+  resolveMockSeed,
+  shuffle
+};
@@ -0,0 +1,242 @@
+// Token-bucket rate limiting per API account or IP, with separate budgets per endpoint group
+
+// Budgets as requests per window; a bucket holds `requests` tokens and refills them evenly over `windowSeconds`
+const DEFAULT_BUDGETS = {
+  interpret: { env: 'RATE_LIMIT_INTERPRET', requests: 20, windowSeconds: 60 },
+  requestCreation: { env: 'RATE_LIMIT_REQUESTS', requests: 10, windowSeconds: 60 },
+  read: { env: 'RATE_LIMIT_READ', requests: 300, windowSeconds: 60 },
+  // Failed API key and token checks per IP, counted before the credentials are looked at
+  authentication: { env: 'RATE_LIMIT_AUTH_FAILURES', requests: 10, windowSeconds: 60 }
+};
+
+let store = null;
+let budgets = null;
+
+/**
+ * Creates the default in-process store
+ * Buckets are kept in insertion order and the least recently used one is dropped once
+ * maxKeys is reached, so a flood of distinct IPs can't grow memory without bound.
+ * @param {Object} options - { maxKeys }
+ * @returns {Object} - Store with consume(key, bucket), refund(key, bucket) and reset(key)
+ */
+function createMemoryStore({ maxKeys = 10000 } = {}) {
+  const buckets = new Map();
+
+  return {
+    /**
+     * Takes one token from a bucket
+     * @param {string} key - Bucket key
+     * @param {Object} bucket - { capacity, refillPerMs }
+     * @returns {Promise<Object>} - { allowed, tokens } with the tokens left afterwards
+     */
+    async consume(key, { capacity, refillPerMs }) {
+      const now = Date.now();
+      const current = buckets.get(key) || { tokens: capacity, updatedAt: now };
+      const tokens = Math.min(capacity, current.tokens + (now - current.updatedAt) * refillPerMs);
+      const allowed = tokens >= 1;
+      const state = { tokens: allowed ? tokens - 1 : tokens, updatedAt: now };
+
+      buckets.delete(key);
+      buckets.set(key, state);
+      if (buckets.size > maxKeys) {
+        buckets.delete(buckets.keys().next().value);
+      }
+
+      return { allowed, tokens: state.tokens };
+    },
+
+    /**
+     * Gives back a token taken by consume
+     * @param {string} key - Bucket key
+     * @param {Object} bucket - { capacity }
+     */
+    async refund(key, { capacity }) {
+      const current = buckets.get(key);
+      if (current) {
+        current.tokens = Math.min(capacity, current.tokens + 1);
+      }
+    },
+
+    async reset(key) {
+      buckets.delete(key);
+    }
+  };
+}
+
+/**
+ * Replaces the limiter store, e.g. with one shared by several processes
+ * The store needs an async consume(key, { capacity, refillPerMs }) returning { allowed, tokens }, and may have
+ * an async refund(key, { capacity }); without it every credentialed request counts as a failed authentication.
+ * @param {Object} customStore - Store implementation
+ */
+function setRateLimitStore(customStore) {
+  store = customStore;
+}
+
+/**
+ * Gets the limiter store, creating the in-process one on first use
+ * @returns {Object} - Store
+ */
+function getRateLimitStore() {
+  if (!store) store = createMemoryStore();
+  return store;
+}
+
+/**
+ * Parses a budget such as '20/60' (20 requests per 60 seconds)
+ * @param {string} value - Budget from the environment
+ * @param {Object} fallback - Default budget
+ * @returns {Object} - { requests, windowSeconds }
+ */
+function parseBudget(value, fallback) {
+  const match = /^\s*(\d+)\s*\/\s*(\d+)\s*$/.exec(value || '');
+  if (!match || Number(match[1]) < 1 || Number(match[2]) < 1) {
+    if (value) console.warn(`Rate limit: ignoring "${value}", expected requests/seconds such as 20/60`);
+    return { requests: fallback.requests, windowSeconds: fallback.windowSeconds };
+  }
+  return { requests: Number(match[1]), windowSeconds: Number(match[2]) };
+}
+
+/**
+ * Reads the budgets from the environment, once
+ * @returns {Object} - Budget name -> { requests, windowSeconds, capacity, refillPerMs }
+ */
+function getBudgets() {
+  if (!budgets) {
+    budgets = Object.fromEntries(Object.entries(DEFAULT_BUDGETS).map(([name, fallback]) => {
+      const { requests, windowSeconds } = parseBudget(process.env[fallback.env], fallback);
+      return [name, { requests, windowSeconds, capacity: requests, refillPerMs: requests / (windowSeconds * 1000) }];
+    }));
+  }
+  return budgets;
+}
+
+/**
+ * Identifies the client a request is counted against
+ * Authenticated calls share one budget per account, whether they use the API key or a token.
+ * @param {Object} req - Express request object
+ * @returns {string} - Client key
+ */
+function getClientKey(req) {
+  return req.user ? `${req.user.role}:${req.user.id}` : `ip:${req.ip}`;
+}
+
+/**
+ * Middleware factory that limits requests against one budget
+ * Sets RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset and RateLimit-Policy on every response
+ * and answers 429 with Retry-After when the bucket is empty. Set RATE_LIMIT_ENABLED=false to turn it off.
+ * @param {string} name - Budget name: interpret, requestCreation, read or authentication
+ * @returns {Function} - Express middleware
+ */
+function rateLimit(name) {
+  if (!DEFAULT_BUDGETS[name]) {
+    throw new Error(`Unknown rate limit budget: ${name}`);
+  }
+
+  return async (req, res, next) => {
+    if (process.env.RATE_LIMIT_ENABLED === 'false') return next();
+
+    const budget = getBudgets()[name];
+    let result;
+    try {
+      result = await getRateLimitStore().consume(`${name}:${getClientKey(req)}`, budget);
+    } catch (error) {
+      // A failing shared store must not take the API down with it
+      console.error('Rate limit store error:', error);
+      return next();
+    }
+
+    res.set({
+      'RateLimit-Limit': String(budget.requests),
+      'RateLimit-Remaining': String(Math.floor(result.tokens)),
+      'RateLimit-Reset': String(secondsUntil(budget, budget.capacity - result.tokens)),
+      'RateLimit-Policy': `${budget.requests};w=${budget.windowSeconds}`
+    });
+
+    if (!result.allowed) {
+      return tooManyRequests(res, budget, result,
+        `Rate limit of ${budget.requests} requests per ${budget.windowSeconds} seconds exceeded`);
+    }
+
+    next();
+  };
+}
+
+/**
+ * Wraps the authentication middleware so failed API keys and tokens are limited per IP
+ * Every request with credentials takes a token from the IP's authentication bucket before they are checked,
+ * and gets it back once they turn out valid. An empty bucket answers 429 without checking the credentials,
+ * so guesses can't be confirmed while an IP is locked out.
+ * @param {Function} authenticate - Authentication middleware
+ * @returns {Function} - Express middleware
+ */
+function limitFailedAuthentication(authenticate) {
+  return async (req, res, next) => {
+    if (process.env.RATE_LIMIT_ENABLED === 'false' || (!req.get('X-API-Key') && !req.get('Authorization'))) {
+      return authenticate(req, res, next);
+    }
+
+    const budget = getBudgets().authentication;
+    const key = `authentication:ip:${req.ip}`;
+    const limiterStore = getRateLimitStore();
+    let result;
+    try {
+      result = await limiterStore.consume(key, budget);
+    } catch (error) {
+      console.error('Rate limit store error:', error);
+      return authenticate(req, res, next);
+    }
+
+    if (!result.allowed) {
+      return tooManyRequests(res, budget, result,
+        `Too many failed authentication attempts from this address (${budget.requests} per ${budget.windowSeconds} seconds)`);
+    }
+
+    authenticate(req, res, async error => {
+      if (!error && req.user && limiterStore.refund) {
+        try {
+          await limiterStore.refund(key, budget);
+        } catch (refundError) {
+          console.error('Rate limit store error:', refundError);
+        }
+      }
+      next(error);
+    });
+  };
+}
+
+/**
+ * Seconds until a bucket has gained the given number of tokens
+ * @param {Object} budget - Budget with refillPerMs
+ * @param {number} tokens - Tokens to wait for
+ * @returns {number} - Whole seconds
+ */
+function secondsUntil(budget, tokens) {
+  return Math.max(0, Math.ceil(tokens / budget.refillPerMs / 1000));
+}
+
+/**
+ * Answers 429 for an empty bucket, with Retry-After
+ * @param {Object} res - Express response object
+ * @param {Object} budget - Exceeded budget
+ * @param {Object} result - Result of the consume call
+ * @param {string} reason - What was exceeded
+ * @returns {Object} - The response
+ */
+function tooManyRequests(res, budget, result, reason) {
+  const retryAfter = Math.max(1, secondsUntil(budget, 1 - result.tokens));
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    error: 'Too many requests',
+    message: `${reason}, retry in ${retryAfter} seconds`,
+    retryAfter,
+    timestamp: new Date().toISOString()
+  });
+}
+
+module.exports = {
+  createMemoryStore,
+  setRateLimitStore,
+  rateLimit,
+  limitFailedAuthentication
+};
@@ -0,0 +1,574 @@
+// Record and replay of whole API sessions
+//
+// MOCK_RECORD=fixtures/session.json stores every request with the response it got, randomized sellers, stock
+// and statuses included. MOCK_REPLAY=fixtures/session.json answers requests from such a fixture instead of
+// the mock, with the recorded status, headers and body bytes. Both run after authentication: a request only
+// matches interactions recorded for the same caller (role and ID, or anonymous) and the parts named in
+// MOCK_REPLAY_MATCH being equal:
+//
+//   method, path, query, body     the defaults
+//   header.<name>                 e.g. header.x-api-key, so each client gets its own responses
+//
+// MOCK_REPLAY_IGNORE names query or body fields left out of the comparison (query.cursor, body.description).
+// Identical requests get their recorded responses in order, the last one repeating once they run out.
+// Requests without a match get 501 listing the closest interactions and what differs, or reach the mock
+// with MOCK_REPLAY_UNMATCHED=passthrough.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+
+const FIXTURE_VERSION = 2;
+const MATCH_PARTS = ['method', 'path', 'query', 'body'];
+const UNMATCHED_MODES = ['error', 'passthrough'];
+
+// Endpoints that report on record/replay itself are served live and never recorded
+const CONTROL_PATH = '/api/admin/record-replay';
+
+// Credentials are stored as hashes, so a fixture can be shared without the keys behind it
+const CREDENTIAL_HEADERS = ['authorization', 'x-api-key'];
+
+// Request body fields hashed like credentials: kept out of fixtures but still matched
+const HASHED_BODY_FIELDS = ['userEmail'];
+
+// Response fields replaced by REDACTED: issued tokens, callback secrets and customer contact details
+const REDACTED_FIELDS = ['token', 'callbackSecret', 'userEmail'];
+const REDACTED = '[redacted]';
+
+// Request headers that describe the connection rather than the request
+const SKIPPED_REQUEST_HEADERS = ['host', 'connection', 'content-length', 'transfer-encoding', 'keep-alive', 'user-agent'];
+
+// Response headers that Node sets for the connection; replaying them would break framing
+const SKIPPED_RESPONSE_HEADERS = ['connection', 'keep-alive', 'transfer-encoding', 'date'];
+
+// Unmatched requests kept for GET /api/admin/record-replay
+const MAX_UNMATCHED = 100;
+
+let config = null;
+let fixture = null;
+let served = new Map();
+let unmatched = [];
+
+/**
+ * Splits a comma separated setting
+ * @param {string} value - e.g. 'method,path,query'
+ * @returns {Array} - Trimmed entries
+ */
+function parseList(value) {
+  return (value || '').split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Reads the record/replay settings from the environment
+ * @returns {Object} - { mode, file, match, ignore, unmatched }
+ */
+function readConfig() {
+  const recordFile = process.env.MOCK_RECORD;
+  const replayFile = process.env.MOCK_REPLAY;
+  if (recordFile && replayFile) {
+    throw new Error('MOCK_RECORD and MOCK_REPLAY are exclusive, set one of them');
+  }
+
+  const match = process.env.MOCK_REPLAY_MATCH ? parseList(process.env.MOCK_REPLAY_MATCH.toLowerCase()) : MATCH_PARTS;
+  const invalid = match.filter(part => !MATCH_PARTS.includes(part) && !/^header\.[\w-]+$/.test(part));
+  if (invalid.length > 0) {
+    throw new Error(`Unknown MOCK_REPLAY_MATCH part '${invalid[0]}' (allowed: ${MATCH_PARTS.join(', ')}, header.<name>)`);
+  }
+
+  const ignore = parseList(process.env.MOCK_REPLAY_IGNORE);
+  const misplaced = ignore.filter(field => !/^(query|body)\.[^.]+(\.[^.]+)*$/.test(field));
+  if (misplaced.length > 0) {
+    throw new Error(`MOCK_REPLAY_IGNORE entries name query or body fields, e.g. query.cursor (got '${misplaced[0]}')`);
+  }
+
+  const unmatchedMode = (process.env.MOCK_REPLAY_UNMATCHED || 'error').toLowerCase();
+  if (!UNMATCHED_MODES.includes(unmatchedMode)) {
+    throw new Error(`Unknown MOCK_REPLAY_UNMATCHED '${unmatchedMode}' (allowed: ${UNMATCHED_MODES.join(', ')})`);
+  }
+
+  const file = recordFile || replayFile;
+  return {
+    mode: recordFile ? 'record' : replayFile ? 'replay' : 'off',
+    file: file ? path.resolve(file) : null,
+    match,
+    ignore,
+    unmatched: unmatchedMode
+  };
+}
+
+/**
+ * Returns the settings, read on first use
+ * @returns {Object} - { mode, file, match, ignore, unmatched }
+ */
+function getConfig() {
+  if (!config) config = readConfig();
+  return config;
+}
+
+/**
+ * Hashes a credential so fixtures never contain it
+ * @param {string} value - Header value
+ * @returns {string} - 'sha256:<hex>'
+ */
+function hashCredential(value) {
+  return `sha256:${crypto.createHash('sha256').update(value).digest('hex')}`;
+}
+
+/**
+ * Replaces the string values of the named fields, at any depth
+ * @param {*} value - Parsed JSON
+ * @param {Array} fields - Field names
+ * @param {Function} replace - Maps a value to its replacement
+ * @returns {*} - Copy with the fields replaced
+ */
+function replaceFields(value, fields, replace) {
+  if (Array.isArray(value)) return value.map(item => replaceFields(item, fields, replace));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+      key,
+      fields.includes(key) && typeof item === 'string' ? replace(item) : replaceFields(item, fields, replace)
+    ]));
+  }
+  return value;
+}
+
+/**
+ * Redacts a JSON text; text that isn't JSON is returned as it is
+ * @param {string} text - JSON text
+ * @returns {string} - Redacted JSON text
+ */
+function redactJson(text) {
+  try {
+    return JSON.stringify(replaceFields(JSON.parse(text), REDACTED_FIELDS, () => REDACTED));
+  } catch (error) {
+    return text;
+  }
+}
+
+/**
+ * Redacts a recorded response body: JSON bodies and the data lines of server-sent events
+ * @param {Buffer} buffer - Body bytes
+ * @param {string} contentType - Content-Type of the response
+ * @returns {Buffer} - Body to store
+ */
+function redactResponseBody(buffer, contentType = '') {
+  if (/json/i.test(contentType)) {
+    return Buffer.from(redactJson(buffer.toString('utf8')), 'utf8');
+  }
+  if (/text\/event-stream/i.test(contentType)) {
+    const lines = buffer.toString('utf8').split('\n');
+    return Buffer.from(lines.map(line => (line.startsWith('data: ') ? `data: ${redactJson(line.slice(6))}` : line)).join('\n'), 'utf8');
+  }
+  return buffer;
+}
+
+/**
+ * Keeps the raw bytes of a parsed body; passed as the verify option of the body parsers
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Buffer} buffer - Raw body
+ */
+function keepRawBody(req, res, buffer) {
+  req.rawBody = buffer;
+}
+
+/**
+ * Describes a request the way fixtures store it
+ * @param {Object} req - Express request object
+ * @returns {Object} - { method, url, path, caller, query, headers, body }
+ */
+function describeRequest(req) {
+  const url = new URL(req.originalUrl, 'http://localhost');
+  const query = {};
+  url.searchParams.forEach((value, name) => {
+    if (query[name] === undefined) query[name] = value;
+    else query[name] = [].concat(query[name], value);
+  });
+
+  const headers = {};
+  Object.entries(req.headers).forEach(([name, value]) => {
+    if (SKIPPED_REQUEST_HEADERS.includes(name)) return;
+    headers[name] = CREDENTIAL_HEADERS.includes(name) ? hashCredential(String(value)) : value;
+  });
+
+  // JSON bodies are kept parsed, so fixtures stay readable and key order doesn't matter
+  let body = null;
+  const raw = req.rawBody ? req.rawBody.toString('utf8') : typeof req.body === 'string' ? req.body : '';
+  if (raw) {
+    try {
+      body = req.is('json') ? replaceFields(JSON.parse(raw), HASHED_BODY_FIELDS, hashCredential) : raw;
+    } catch (error) {
+      body = raw;
+    }
+  }
+
+  return {
+    method: req.method,
+    url: req.originalUrl,
+    path: url.pathname,
+    caller: req.user ? `${req.user.role}:${req.user.id}` : null,
+    query,
+    headers,
+    body
+  };
+}
+
+/**
+ * Stores a response body: as text when it is UTF-8, base64 otherwise
+ * @param {Buffer} buffer - Body bytes
+ * @returns {Object} - { body } or { bodyBase64 }
+ */
+function encodeBody(buffer) {
+  const text = buffer.toString('utf8');
+  return Buffer.from(text, 'utf8').equals(buffer) ? { body: text } : { bodyBase64: buffer.toString('base64') };
+}
+
+/**
+ * Restores the bytes of a recorded response body
+ * @param {Object} response - Recorded response
+ * @returns {Buffer} - Body bytes
+ */
+function decodeBody(response) {
+  if (response.bodyBase64 !== undefined) return Buffer.from(response.bodyBase64, 'base64');
+  return Buffer.from(response.body || '', 'utf8');
+}
+
+/**
+ * Reads a fixture file
+ * @param {string} filePath - Fixture path
+ * @returns {Object} - Fixture
+ */
+function loadFixture(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Replay fixture ${filePath} does not exist, record it with MOCK_RECORD first`);
+  }
+  const loaded = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (loaded.version !== FIXTURE_VERSION || !Array.isArray(loaded.interactions)) {
+    throw new Error(`${filePath} is not a version ${FIXTURE_VERSION} replay fixture`);
+  }
+  return loaded;
+}
+
+/**
+ * Writes the fixture to a temporary file and renames it, so it is never left half written
+ * @param {string} filePath - Fixture path
+ */
+function saveFixture(filePath) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(fixture, null, 2));
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Returns the fixture of the current mode: loaded for replay, started empty for recording
+ * @returns {Object} - Fixture
+ */
+function getFixture() {
+  if (!fixture) {
+    const { mode, file } = getConfig();
+    fixture = mode === 'replay'
+      ? loadFixture(file)
+      : { version: FIXTURE_VERSION, recordedAt: new Date().toISOString(), interactions: [] };
+  }
+  return fixture;
+}
+
+/**
+ * Reads a field of a value by dot path
+ * @param {*} value - Object to read from
+ * @param {Array} keys - Path segments
+ * @returns {*} - Field value, undefined when missing
+ */
+function readField(value, keys) {
+  return keys.reduce((node, key) => (node && typeof node === 'object' ? node[key] : undefined), value);
+}
+
+/**
+ * Copies a value without the ignored fields
+ * @param {*} value - Query or body
+ * @param {Array} ignored - Dot paths within the value
+ * @returns {*} - Value to compare
+ */
+function withoutIgnored(value, ignored) {
+  if (ignored.length === 0 || !value || typeof value !== 'object') return value;
+
+  const copy = JSON.parse(JSON.stringify(value));
+  ignored.forEach(field => {
+    const keys = field.split('.');
+    const parent = readField(copy, keys.slice(0, -1));
+    if (parent && typeof parent === 'object') delete parent[keys[keys.length - 1]];
+  });
+  return copy;
+}
+
+/**
+ * Serializes a value with sorted keys, so equal objects compare equal
+ * @param {*} value - Any JSON value
+ * @returns {string} - Canonical JSON
+ */
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Lists the fields of two objects whose values differ
+ * @param {string} prefix - Name of the compared part, e.g. query
+ * @param {*} recorded - Recorded value
+ * @param {*} received - Incoming value
+ * @returns {Array} - Differences as text
+ */
+function fieldDifferences(prefix, recorded, received) {
+  const bothObjects = [recorded, received].every(value => value && typeof value === 'object' && !Array.isArray(value));
+  if (!bothObjects) {
+    return canonical(recorded) === canonical(received)
+      ? []
+      : [`${prefix}: recorded ${canonical(recorded)}, received ${canonical(received)}`];
+  }
+
+  const fields = [...new Set([...Object.keys(recorded), ...Object.keys(received)])].sort();
+  return fields
+    .filter(field => canonical(recorded[field]) !== canonical(received[field]))
+    .map(field => `${prefix}.${field}: recorded ${canonical(recorded[field])}, received ${canonical(received[field])}`);
+}
+
+/**
+ * Compares an incoming request with a recorded one on its caller and the configured parts
+ * @param {Object} recorded - Recorded request
+ * @param {Object} received - Incoming request, as described by describeRequest
+ * @returns {Array} - Differences as text; empty when the request matches
+ */
+function differencesOf(recorded, received) {
+  const { match, ignore } = getConfig();
+  const ignoredIn = part => ignore.filter(field => field.startsWith(`${part}.`)).map(field => field.slice(part.length + 1));
+
+  // Responses are only replayed to the caller they were recorded for, whatever MOCK_REPLAY_MATCH says
+  const caller = recorded.caller === received.caller
+    ? []
+    : [`caller: recorded ${recorded.caller || 'anonymous'}, received ${received.caller || 'anonymous'}`];
+
+  return [...caller, ...match.flatMap(part => {
+    if (part === 'method' || part === 'path') {
+      return recorded[part] === received[part] ? [] : [`${part}: recorded ${recorded[part]}, received ${received[part]}`];
+    }
+    if (part === 'query' || part === 'body') {
+      return fieldDifferences(part, withoutIgnored(recorded[part], ignoredIn(part)), withoutIgnored(received[part], ignoredIn(part)));
+    }
+    const name = part.slice('header.'.length);
+    return fieldDifferences('header', { [name]: recorded.headers[name] }, { [name]: received.headers[name] });
+  })];
+}
+
+/**
+ * Records the response of a request once it is sent, or cut off
+ * Tokens, callback secrets and customer emails are redacted from the stored body, so fixtures can be shared.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+function recordInteraction(req, res) {
+  const startedAt = Date.now();
+  const chunks = [];
+  const { write, end } = res;
+
+  // Chunks are copied as they go out, so streamed responses are captured as well
+  const capture = (chunk, encoding) => {
+    if (chunk === undefined || chunk === null || typeof chunk === 'function') return;
+    chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf8'));
+  };
+  res.write = function (chunk, encoding, ...rest) {
+    capture(chunk, encoding);
+    return write.call(this, chunk, encoding, ...rest);
+  };
+  res.end = function (chunk, encoding, ...rest) {
+    capture(chunk, encoding);
+    return end.call(this, chunk, encoding, ...rest);
+  };
+
+  let done = false;
+  const store = () => {
+    if (done) return;
+    done = true;
+
+    const headers = {};
+    Object.entries(res.getHeaders()).forEach(([name, value]) => {
+      if (!SKIPPED_RESPONSE_HEADERS.includes(name)) headers[name] = value;
+    });
+
+    const sent = Buffer.concat(chunks);
+    const body = redactResponseBody(sent, String(headers['content-type'] || ''));
+    if (!body.equals(sent)) {
+      // The replayed body is the redacted one; its ETag would no longer fit
+      if (headers['content-length'] !== undefined) headers['content-length'] = String(body.length);
+      delete headers.etag;
+    }
+
+    // Closed before finishing: an aborted connection if nothing was sent, otherwise a stream the client left
+    const response = res.writableFinished
+      ? { status: res.statusCode, headers, ...encodeBody(body) }
+      : res.headersSent
+        ? { status: res.statusCode, headers, ...encodeBody(body), truncated: true }
+        : { aborted: true };
+
+    const interactions = getFixture().interactions;
+    interactions.push({
+      id: interactions.length + 1,
+      recordedAt: new Date(startedAt).toISOString(),
+      durationMs: Date.now() - startedAt,
+      request: describeRequest(req),
+      response
+    });
+    try {
+      saveFixture(getConfig().file);
+    } catch (error) {
+      console.error('Error saving replay fixture:', error);
+    }
+  };
+  res.on('finish', store);
+  res.on('close', store);
+}
+
+/**
+ * Notes an unmatched request for the report
+ * @param {Object} request - Incoming request, as described by describeRequest
+ * @param {Array} closest - Closest interactions
+ */
+function reportUnmatched(request, closest) {
+  console.warn(`Replay: no recorded interaction matches ${request.method} ${request.url}` +
+    (closest.length > 0 ? ` (closest #${closest[0].id}: ${closest[0].differences.join('; ')})` : ''));
+
+  unmatched.push({
+    method: request.method,
+    url: request.url,
+    receivedAt: new Date().toISOString(),
+    closest
+  });
+  if (unmatched.length > MAX_UNMATCHED) unmatched.shift();
+}
+
+/**
+ * Answers a request with a recorded response, or reports it as unmatched
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+function replayInteraction(req, res, next) {
+  const request = describeRequest(req);
+  const compared = getFixture().interactions.map(interaction => ({
+    interaction,
+    differences: differencesOf(interaction.request, request)
+  }));
+
+  const matches = compared.filter(({ differences }) => differences.length === 0).map(({ interaction }) => interaction);
+  if (matches.length === 0) {
+    const closest = compared
+      .sort((a, b) => a.differences.length - b.differences.length)
+      .slice(0, 3)
+      .map(({ interaction, differences }) => ({
+        id: interaction.id,
+        request: `${interaction.request.method} ${interaction.request.url}`,
+        differences
+      }));
+    reportUnmatched(request, closest);
+
+    if (getConfig().unmatched === 'passthrough') return next();
+    return res.status(501).set('X-Replay', 'miss').json({
+      error: 'No recorded interaction',
+      message: `No interaction in ${path.basename(getConfig().file)} matches ${request.method} ${request.url}`,
+      matchOn: ['caller', ...getConfig().match],
+      ignored: getConfig().ignore,
+      closest,
+      suggestion: 'Record the session again, or relax MOCK_REPLAY_MATCH and MOCK_REPLAY_IGNORE',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // Identical requests replay in recorded order, so changing results (statuses, stock) change as they did
+  const key = matches[0].id;
+  const position = served.get(key) || 0;
+  const interaction = matches[Math.min(position, matches.length - 1)];
+  served.set(key, position + 1);
+
+  const { response } = interaction;
+  if (response.aborted) {
+    req.socket.destroy();
+    return;
+  }
+  Object.keys(res.getHeaders()).forEach(name => res.removeHeader(name));
+  res.statusCode = response.status;
+  // setHeader rather than res.set, which would add a charset the recorded Content-Type may not have
+  Object.entries(response.headers).forEach(([name, value]) => res.setHeader(name, value));
+  res.setHeader('X-Replay', `hit; interaction=${interaction.id}`);
+  res.end(decodeBody(response));
+}
+
+/**
+ * Creates the middleware of the configured mode; it passes requests on when record/replay is off
+ * @returns {Function} - Express middleware
+ */
+function recordReplay() {
+  const { mode } = getConfig();
+  if (mode === 'off') return (req, res, next) => next();
+
+  // Fail at startup rather than on the first request when the fixture is unusable
+  getFixture();
+  console.log(`Record/replay: ${mode} ${getConfig().file}`);
+
+  // Bodies the app-wide parsers skip (CSV imports) are read here, so they can be recorded and matched
+  const readText = express.text({ type: () => true, limit: '10mb' });
+
+  return (req, res, next) => {
+    if (req.path.startsWith(CONTROL_PATH)) return next();
+
+    readText(req, res, error => {
+      if (error) return next(error);
+      if (mode === 'record') {
+        recordInteraction(req, res);
+        return next();
+      }
+      replayInteraction(req, res, next);
+    });
+  };
+}
+
+/**
+ * Reports the mode, the fixture and the requests replay couldn't match
+ * @returns {Object} - Status report
+ */
+function getRecordReplayStatus() {
+  const { mode, file, match, ignore, unmatched: unmatchedMode } = getConfig();
+  if (mode === 'off') return { mode };
+
+  const interactions = getFixture().interactions;
+  return {
+    mode,
+    fixture: file,
+    interactions: interactions.length,
+    ...(mode === 'replay' && {
+      match: ['caller', ...match],
+      ignore,
+      unmatchedMode,
+      served: [...served.values()].reduce((sum, count) => sum + count, 0),
+      unmatched
+    })
+  };
+}
+
+/**
+ * Starts the replay over from the first recorded response and clears the unmatched report
+ */
+function rewindReplay() {
+  served = new Map();
+  unmatched = [];
+}
+
+module.exports = {
+  keepRawBody,
+  recordReplay,
+  getRecordReplayStatus,
+  rewindReplay
+};
@@ -0,0 +1,76 @@
+// Request events: status transitions and new offers, pushed to SSE subscribers and the customer's callback URL
+// Subscribers live in this process; callbacks go through the notification outbox and are retried like seller notifications.
+
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+const { queueCallback } = require('./notifications');
+
+const SHUTDOWN = Symbol('shutdown');
+
+const emitter = new EventEmitter();
+// One listener per open stream, so the default limit of 10 would warn for busy requests
+emitter.setMaxListeners(0);
+
+// Callbacks of one request are queued one after the other so they leave in the order the events happened
+const callbackQueues = new Map();
+
+/**
+ * Publishes an event about a request
+ * @param {Object} request - Stored request the event belongs to
+ * @param {string} type - Event type, e.g. 'request.status_changed' or 'offer.created'
+ * @param {Object} data - Event data
+ * @returns {Object} - Published event: { eventId, type, requestId, occurredAt, data }
+ */
+function publishRequestEvent(request, type, data) {
+  const event = {
+    eventId: `evt-${uuidv4()}`,
+    type,
+    requestId: request.requestId,
+    occurredAt: new Date().toISOString(),
+    data
+  };
+
+  emitter.emit(request.requestId, event);
+
+  // The change itself is already stored; a failing callback must not fail the call that made it
+  if (request.callbackUrl) {
+    const previous = callbackQueues.get(request.requestId) || Promise.resolve();
+    const queued = previous
+      .then(() => queueCallback(request, event))
+      .catch(error => console.error('Error queueing request callback:', error))
+      .finally(() => {
+        if (callbackQueues.get(request.requestId) === queued) callbackQueues.delete(request.requestId);
+      });
+    callbackQueues.set(request.requestId, queued);
+  }
+  return event;
+}
+
+/**
+ * Listens for the events of one request
+ * @param {string} requestId - Request ID
+ * @param {Function} listener - Called with each event
+ * @param {Function} onShutdown - Called when the server shuts down
+ * @returns {Function} - Removes both listeners
+ */
+function subscribeToRequest(requestId, listener, onShutdown) {
+  emitter.on(requestId, listener);
+  emitter.on(SHUTDOWN, onShutdown);
+  return () => {
+    emitter.off(requestId, listener);
+    emitter.off(SHUTDOWN, onShutdown);
+  };
+}
+
+/**
+ * Tells every open stream to end, so server.close() isn't held up by long-lived connections
+ */
+function closeEventStreams() {
+  emitter.emit(SHUTDOWN);
+}
+
+module.exports = {
+  publishRequestEvent,
+  subscribeToRequest,
+  closeEventStreams
+};
@@ -0,0 +1,130 @@
+// Part request and order lifecycles: statuses and the transitions allowed between them
+
+const REQUEST_STATUSES = ['pending', 'in_progress', 'offers_received', 'accepted', 'fulfilled', 'cancelled', 'expired'];
+
+const TRANSITIONS = {
+  // pending         -> a seller starts sourcing the part, or sends an offer straight away
+  // in_progress     -> a seller sends an offer
+  // offers_received -> the customer accepts an offer, or rejects all of them (back to in_progress)
+  // accepted        -> the seller delivers the part
+  part: {
+    pending: ['in_progress', 'offers_received', 'cancelled', 'expired'],
+    in_progress: ['offers_received', 'cancelled', 'expired'],
+    offers_received: ['in_progress', 'accepted', 'cancelled', 'expired'],
+    accepted: ['fulfilled', 'cancelled'],
+    fulfilled: [],
+    cancelled: [],
+    expired: []
+  },
+  // Orders take no offers; their sellers confirm or decline the lines the customer chose
+  // pending     -> the first seller confirms their lines
+  // in_progress -> the last seller confirms theirs; a decline cancels the order
+  // accepted    -> the last seller delivers their lines
+  order: {
+    pending: ['in_progress', 'cancelled', 'expired'],
+    in_progress: ['accepted', 'cancelled', 'expired'],
+    accepted: ['fulfilled', 'cancelled'],
+    fulfilled: [],
+    cancelled: [],
+    expired: []
+  }
+};
+
+// pending offers can be accepted until validUntil; the others are final
+const OFFER_STATUSES = ['pending', 'accepted', 'rejected', 'expired'];
+
+// Statuses in which sellers may still send offers
+const OPEN_STATUSES = ['pending', 'in_progress', 'offers_received'];
+
+const DEFAULT_REQUEST_TTL_HOURS = 72;
+const DEFAULT_OFFER_VALID_HOURS = 48;
+
+/**
+ * Tells part requests from orders, which follow a lifecycle of their own
+ * @param {Object} request - Stored request
+ * @returns {string} - 'order' for requests with lines, 'part' otherwise
+ */
+function requestKind(request) {
+  return request.lines ? 'order' : 'part';
+}
+
+/**
+ * Lists the statuses a request can move to
+ * @param {string} status - Current status
+ * @param {string} kind - Kind of request, see requestKind()
+ * @returns {Array} - Allowed next statuses
+ */
+function getAllowedTransitions(status, kind = 'part') {
+  return TRANSITIONS[kind][status] || [];
+}
+
+/**
+ * Checks whether a request may move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @param {string} kind - Kind of request, see requestKind()
+ * @returns {Object} - { valid, from, to, allowed }
+ */
+function checkTransition(from, to, kind = 'part') {
+  const allowed = getAllowedTransitions(from, kind);
+  return { valid: allowed.includes(to), from, to, allowed };
+}
+
+/**
+ * Formats a rejected transition as an error response body
+ * @param {Object} check - Result of checkTransition()
+ * @returns {Object} - Error response body
+ */
+function formatTransitionError(check) {
+  return {
+    error: 'Invalid status transition',
+    message: check.allowed.length > 0
+      ? `A ${check.from} request cannot become ${check.to}`
+      : `The request is ${check.from} and can no longer change`,
+    currentStatus: check.from,
+    allowedTransitions: check.allowed
+  };
+}
+
+/**
+ * Whether a request is still open for offers
+ * @param {string} status - Current status
+ * @returns {boolean} - True if sellers may send offers
+ */
+function isOpenForOffers(status) {
+  return OPEN_STATUSES.includes(status);
+}
+
+/**
+ * Whether an open request has passed its expiry time
+ * @param {Object} request - Stored request
+ * @param {Date} now - Current time
+ * @returns {boolean} - True if the request should be marked expired
+ */
+function isExpired(request, now = new Date()) {
+  return Boolean(request.expiresAt) &&
+    checkTransition(request.status, 'expired', requestKind(request)).valid &&
+    now > new Date(request.expiresAt);
+}
+
+/**
+ * Lifetime of a new request before it expires without an accepted offer
+ * @returns {number} - Hours (REQUEST_TTL_HOURS, default 72)
+ */
+function getRequestTtlHours() {
+  const hours = parseFloat(process.env.REQUEST_TTL_HOURS);
+  return hours > 0 ? hours : DEFAULT_REQUEST_TTL_HOURS;
+}
+
+module.exports = {
+  REQUEST_STATUSES,
+  OFFER_STATUSES,
+  DEFAULT_OFFER_VALID_HOURS,
+  requestKind,
+  getAllowedTransitions,
+  checkTransition,
+  formatTransitionError,
+  isOpenForOffers,
+  isExpired,
+  getRequestTtlHours
+};
@@ -0,0 +1,192 @@
+// Request schemas: declarative checks of route params, query and body, reported in one 400 format
+//
+//   { vin: { type: 'string', required: true, format: 'vin' }, limit: { type: 'integer', min: 1, max: 10 } }
+//
+// Params and query values arrive as strings and are read as numbers or booleans where the rule says so;
+// body values must already have the JSON type of their rule.
+
+const fs = require('fs');
+const path = require('path');
+const { validateVIN, formatVINError } = require('./vinDecoder');
+const { parseListQuery } = require('./listQuery');
+const { checkCallbackUrl } = require('./callbackUrl');
+
+// Catalogued VINs, for the correction suggestions of invalid VINs
+const knownVins = JSON.parse(fs.readFileSync(path.join(__dirname, '../data/mockVehicles.json'), 'utf8'))
+  .map(vehicle => vehicle.vin);
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+// Formats a string rule may name; each returns null or the error details of an invalid value
+const FORMATS = {
+  email: (value, field) => (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) ? null : { message: `${field} must be a valid email address` }),
+  // The server POSTs to these, so local and private network addresses are refused
+  callbackUrl: (value, field) => {
+    const problem = checkCallbackUrl(value);
+    return problem ? { message: `${field} ${problem}` } : null;
+  },
+  // Invalid VINs keep the reasons and correction suggestions of /api/vehicle/validate
+  vin: value => {
+    const validation = validateVIN(value, knownVins);
+    if (validation.valid) return null;
+    const { message, reasons, suggestions } = formatVINError(validation);
+    return { message, reasons, suggestions };
+  }
+};
+
+/**
+ * Reads a value with the type of its rule
+ * @param {*} raw - Value from the request
+ * @param {Object} rule - Field rule
+ * @param {boolean} fromString - Whether the value came from the URL and may need converting
+ * @returns {Object} - { value } or { message } if the value has the wrong type
+ */
+function readValue(raw, rule, fromString) {
+  switch (rule.type) {
+    case 'number':
+    case 'integer': {
+      const value = fromString && typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+      if (typeof value !== 'number' || !Number.isFinite(value)) return { message: 'must be a number' };
+      if (rule.type === 'integer' && !Number.isInteger(value)) return { message: 'must be a whole number' };
+      return { value };
+    }
+    case 'boolean': {
+      if (fromString && (raw === 'true' || raw === 'false')) return { value: raw === 'true' };
+      return typeof raw === 'boolean' ? { value: raw } : { message: 'must be true or false' };
+    }
+    case 'enum':
+      return rule.values.includes(raw) ? { value: raw } : { message: `must be one of: ${rule.values.join(', ')}` };
+    default:
+      return typeof raw === 'string' ? { value: raw } : { message: 'must be a string' };
+  }
+}
+
+/**
+ * Checks the type, range, length and format of a value that is present
+ * @param {string} field - Field name
+ * @param {*} raw - Value from the request
+ * @param {Object} rule - Field rule
+ * @param {boolean} fromString - Whether the value came from the URL
+ * @returns {Object|null} - Error details ({ message, ... }) or null if the value is fine
+ */
+function checkPresentValue(field, raw, rule, fromString) {
+  const { value, message } = readValue(raw, rule, fromString);
+  if (message) return { message: `${field} ${message}` };
+
+  if (rule.min !== undefined && value < rule.min) return { message: `${field} must be ${rule.min} or more` };
+  if (rule.max !== undefined && value > rule.max) return { message: `${field} must be ${rule.max} or less` };
+  if (rule.above !== undefined && value <= rule.above) return { message: `${field} must be more than ${rule.above}` };
+  // Lengths are counted without surrounding whitespace
+  if (rule.minLength !== undefined && value.trim().length < rule.minLength) {
+    return { message: `${field} must be at least ${rule.minLength} characters long` };
+  }
+  if (rule.format) {
+    const invalid = FORMATS[rule.format](value, field);
+    if (invalid) return invalid;
+  }
+  if (rule.validate && !rule.validate(value)) {
+    return { message: `${field} is invalid` };
+  }
+  return null;
+}
+
+/**
+ * Checks one value against its rule
+ * @param {string} field - Field name
+ * @param {*} raw - Value from the request, undefined if missing
+ * @param {Object} rule - Field rule: { type, required, min, max, above, minLength, values, format, validate, message }
+ *   message replaces the generic text for present but invalid values
+ * @param {boolean} fromString - Whether the value came from the URL
+ * @returns {Object|null} - Error details ({ message, ... }) or null if the value is fine
+ */
+function checkValue(field, raw, rule, fromString) {
+  // An empty query parameter counts as left out; a null in a body is a value of the wrong type
+  if (raw === undefined || (fromString && raw === '')) {
+    return rule.required ? { message: `${field} is required` } : null;
+  }
+  const invalid = checkPresentValue(field, raw, rule, fromString);
+  return invalid && rule.message ? { ...invalid, message: rule.message } : invalid;
+}
+
+/**
+ * Checks a request against a route schema
+ * @param {Object} req - Express request object
+ * @param {Object} schema - { params, query, body } field rules and an optional list spec (see listQuery)
+ * @returns {Array} - Validation errors as { location, field, message, ... }
+ */
+function validateRequest(req, schema) {
+  const errors = [];
+  for (const location of LOCATIONS) {
+    const source = location === 'body' && req.body && typeof req.body === 'object' ? req.body : req[location] || {};
+    for (const [field, rule] of Object.entries(schema[location] || {})) {
+      const invalid = checkValue(field, source[field], rule, location !== 'body');
+      if (invalid) {
+        errors.push({ location, field, ...invalid });
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Builds the response body of a request that failed validation
+ * @param {Array} errors - Validation errors as { location, field, message }
+ * @returns {Object} - Error response body
+ */
+function invalidRequest(errors) {
+  return {
+    error: 'Invalid request',
+    message: errors.map(error => error.message).join('; '),
+    errors
+  };
+}
+
+/**
+ * Middleware checking a request against its route schema
+ * List endpoints also get their filters, sort order and page parsed into req.listQuery.
+ * @param {Object} schema - Route schema
+ * @returns {Function} - Express middleware answering 400 for invalid requests
+ */
+function validate(schema) {
+  return (req, res, next) => {
+    const errors = validateRequest(req, schema);
+
+    if (schema.list && errors.length === 0) {
+      const listQuery = parseListQuery(req.query, schema.list);
+      if (listQuery.error) {
+        errors.push({ location: 'query', field: listQuery.error.parameter, message: listQuery.error.message });
+      } else {
+        req.listQuery = listQuery;
+      }
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json(invalidRequest(errors));
+    }
+    next();
+  };
+}
+
+/**
+ * Describes a field rule in a few words, for the API documentation
+ * @param {Object} rule - Field rule
+ * @returns {string} - E.g. 'integer 1-10, required'
+ */
+function describeRule(rule) {
+  const parts = [rule.type === 'enum' ? rule.values.join(' | ') : rule.type || 'string'];
+  if (rule.min !== undefined && rule.max !== undefined) parts[0] += ` ${rule.min}-${rule.max}`;
+  else if (rule.min !== undefined) parts[0] += ` >= ${rule.min}`;
+  else if (rule.max !== undefined) parts[0] += ` <= ${rule.max}`;
+  if (rule.above !== undefined) parts[0] += ` > ${rule.above}`;
+  if (rule.minLength !== undefined) parts.push(`at least ${rule.minLength} characters`);
+  if (rule.format) parts.push(rule.format);
+  if (rule.required) parts.push('required');
+  return parts.join(', ');
+}
+
+module.exports = {
+  validate,
+  validateRequest,
+  invalidRequest,
+  describeRule
+};
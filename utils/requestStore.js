@@ -0,0 +1,250 @@
+// Part requests, their status history and seller offers, kept in the configured storage backend
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { getStore } = require('./storage');
+const { releaseStock } = require('./inventoryStore');
+const { isExpired, requestKind, getAllowedTransitions, getRequestTtlHours } = require('./requestLifecycle');
+const { generateRequestId } = require('./matchUtils');
+const { publishRequestEvent } = require('./requestEvents');
+
+const REQUESTS = 'requests';
+const OFFERS = 'offers';
+const DEFAULT_EXPIRY_SWEEP_SECONDS = 60;
+// Statuses that end an order before delivery and give its held stock back
+const RELEASING_STATUSES = ['cancelled', 'expired'];
+
+let expirySweeper = null;
+
+/**
+ * Builds a new pending request; it expires unless an offer is accepted in time
+ * @param {Object} fields - customerId, vin, userEmail and the optional description, urgency, location,
+ *   callbackUrl and any fields of the kind of request (partId, or the lines of an order)
+ * @returns {Object} - Request, not yet stored
+ */
+function buildRequest({ description, urgency, location, callbackUrl, ...fields }) {
+  const createdAt = new Date();
+  const expiresAt = new Date(createdAt.getTime() + getRequestTtlHours() * 60 * 60 * 1000);
+  return {
+    requestId: generateRequestId(),
+    ...fields,
+    description: description || '',
+    urgency: urgency || 'normal',
+    location: location || null,
+    // Callbacks are signed with a secret of their own; it is only shown when the request is created
+    callbackUrl: callbackUrl || null,
+    callbackSecret: callbackUrl ? `whsec_${crypto.randomBytes(24).toString('hex')}` : null,
+    status: 'pending',
+    createdAt: createdAt.toISOString(),
+    expiresAt: expiresAt.toISOString()
+  };
+}
+
+/**
+ * Saves a new request and starts its status history
+ * @param {Object} request - Request with requestId, status and createdAt
+ * @returns {Promise<Object>} - Stored request
+ */
+async function createRequest(request) {
+  const stored = {
+    ...request,
+    updatedAt: request.createdAt,
+    statusHistory: [{ status: request.status, at: request.createdAt }]
+  };
+  return getStore().insert(REQUESTS, request.requestId, stored);
+}
+
+/**
+ * Finds a request by ID, marking it expired first if its time is up
+ * @param {string} requestId - Request ID
+ * @returns {Promise<Object|null>} - Request or null if not found
+ */
+async function getRequest(requestId) {
+  const request = await getStore().get(REQUESTS, requestId);
+  if (request && isExpired(request)) {
+    return appendStatus(request, 'expired');
+  }
+  return request;
+}
+
+/**
+ * Changes fields of a request other than its status
+ * @param {string} requestId - Request ID
+ * @param {Object} changes - Fields to change
+ * @returns {Promise<Object|null>} - Updated request or null if not found
+ */
+async function updateRequest(requestId, changes) {
+  return getStore().update(REQUESTS, requestId, {
+    ...changes,
+    updatedAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Moves a request to a new status and records it in the status history
+ * @param {string} requestId - Request ID
+ * @param {string} status - New status
+ * @param {Object} changes - Other fields to change at the same time
+ * @returns {Promise<Object|null>} - Updated request or null if not found
+ */
+async function changeRequestStatus(requestId, status, changes = {}) {
+  const request = await getStore().get(REQUESTS, requestId);
+  if (!request) return null;
+
+  return appendStatus(request, status, changes);
+}
+
+/**
+ * Writes a status change and its history entry, and publishes it as a request.status_changed event
+ * The change only applies while the request still has the status it was read with, so a request
+ * expired by the sweeper and a read at the same time changes, and releases its stock, once.
+ * @param {Object} request - Stored request
+ * @param {string} status - New status
+ * @param {Object} changes - Other fields to change at the same time
+ * @returns {Promise<Object>} - Updated request, or the current one if its status changed meanwhile
+ */
+async function appendStatus(request, status, changes = {}) {
+  const { requestId } = request;
+  const at = new Date().toISOString();
+  const updated = await getStore().update(REQUESTS, requestId, current => current.status === request.status && {
+    ...changes,
+    status,
+    updatedAt: at,
+    statusHistory: [...(current.statusHistory || []), { status, at }]
+  });
+  if (!updated) {
+    return getStore().get(REQUESTS, requestId);
+  }
+
+  // Lines not yet delivered still hold their units
+  if (updated.lines && RELEASING_STATUSES.includes(status)) {
+    await releaseStock(updated.lines.filter(line => line.status !== 'delivered'));
+  }
+
+  publishRequestEvent(updated, 'request.status_changed', {
+    ...changes,
+    previousStatus: request.status,
+    status,
+    changedAt: at,
+    allowedTransitions: getAllowedTransitions(status, requestKind(request))
+  });
+  return updated;
+}
+
+/**
+ * Expires every open request whose time is up
+ * Without this, expiry would only happen when someone reads the request, and nobody would hear about it.
+ * @returns {Promise<number>} - Number of requests expired
+ */
+async function expireDueRequests() {
+  const now = new Date();
+  const due = (await getStore().find(REQUESTS)).filter(request => isExpired(request, now));
+  for (const request of due) {
+    await appendStatus(request, 'expired');
+  }
+  return due.length;
+}
+
+/**
+ * Starts expiring due requests in the background (REQUEST_EXPIRY_SWEEP_SECONDS, default 60)
+ */
+function startExpirySweeper() {
+  if (expirySweeper) return;
+  const seconds = parseFloat(process.env.REQUEST_EXPIRY_SWEEP_SECONDS);
+  const run = () => expireDueRequests().catch(error => console.error('Expiry sweeper error:', error));
+
+  expirySweeper = setInterval(run, (seconds > 0 ? seconds : DEFAULT_EXPIRY_SWEEP_SECONDS) * 1000);
+  expirySweeper.unref();
+  run();
+}
+
+/**
+ * Stops the background expiry
+ */
+function stopExpirySweeper() {
+  if (expirySweeper) {
+    clearInterval(expirySweeper);
+    expirySweeper = null;
+  }
+}
+
+/**
+ * Saves a seller offer against a request and publishes it as an offer.created event
+ * @param {string} requestId - Request ID
+ * @param {Object} offer - Offer details (seller, price, stock, delivery terms)
+ * @returns {Promise<Object>} - Stored offer with its offerId
+ */
+async function addOffer(requestId, offer) {
+  const offerId = `offer-${uuidv4()}`;
+  const stored = await getStore().insert(OFFERS, offerId, {
+    ...offer,
+    offerId,
+    requestId,
+    createdAt: new Date().toISOString()
+  });
+
+  const request = await getStore().get(REQUESTS, requestId);
+  if (request) publishRequestEvent(request, 'offer.created', stored);
+  return stored;
+}
+
+/**
+ * Finds an offer by ID, marking it expired first if it is no longer valid
+ * @param {string} offerId - Offer ID
+ * @returns {Promise<Object|null>} - Offer or null if not found
+ */
+async function getOffer(offerId) {
+  const offer = await getStore().get(OFFERS, offerId);
+  return offer && expireOfferIfDue(offer);
+}
+
+/**
+ * Changes fields of an offer
+ * @param {string} offerId - Offer ID
+ * @param {Object} changes - Fields to change
+ * @returns {Promise<Object|null>} - Updated offer or null if not found
+ */
+async function updateOffer(offerId, changes) {
+  return getStore().update(OFFERS, offerId, {
+    ...changes,
+    updatedAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Lists the offers made against a request
+ * @param {string} requestId - Request ID
+ * @returns {Promise<Array>} - Offers, oldest first
+ */
+async function listOffers(requestId) {
+  const offers = await getStore().find(OFFERS, { requestId });
+  const current = await Promise.all(offers.map(expireOfferIfDue));
+  return current.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Marks a pending offer expired once its validUntil has passed
+ * @param {Object} offer - Stored offer
+ * @returns {Promise<Object>} - Current offer
+ */
+async function expireOfferIfDue(offer) {
+  if (offer.status === 'pending' && offer.validUntil && new Date() > new Date(offer.validUntil)) {
+    return updateOffer(offer.offerId, { status: 'expired' });
+  }
+  return offer;
+}
+
+module.exports = {
+  buildRequest,
+  createRequest,
+  getRequest,
+  updateRequest,
+  changeRequestStatus,
+  expireDueRequests,
+  startExpirySweeper,
+  stopExpirySweeper,
+  addOffer,
+  getOffer,
+  updateOffer,
+  listOffers
+};
@@ -0,0 +1,157 @@
+// Route table: endpoints declared as data, mounted on Express routers and listed in the /api documentation
+//
+// A route is { method, path, summary, access, middleware, schema, latency, handler }, plus response,
+// requestBody and errors for its OpenAPI description (utils/openApi.js). latency ({ min, max } in ms) is the
+// simulated delay of the mock, which scenarios can replace (utils/mockScenarios.js). Within a group routes
+// are matched most specific first, whatever their order in the table: a literal segment beats a parameter
+// in the same position, so GET /search is tried before GET /:vin.
+
+const express = require('express');
+const { validate, describeRule } = require('./requestSchema');
+const { mockScenario } = require('./mockScenarios');
+
+/**
+ * Splits a route path into its segments
+ * @param {string} routePath - Express path, e.g. '/:vin/categories'
+ * @returns {Array} - Segments without empty ones
+ */
+function segmentsOf(routePath) {
+  return routePath.split('/').filter(Boolean);
+}
+
+/**
+ * Returns the full path of a route, as listed in /api
+ * @param {Object} group - Route group
+ * @param {Object} route - Route
+ * @returns {string} - e.g. '/api/vehicle/:vin'
+ */
+function fullPathOf(group, route) {
+  return `${group.basePath}${route.path === '/' ? '' : route.path}`;
+}
+
+/**
+ * Orders two routes of a group by specificity
+ * Segment by segment, literals come before parameters; the order among literals and among paths of
+ * different lengths doesn't matter for matching but keeps the comparison consistent.
+ * @param {Object} a - Route
+ * @param {Object} b - Route
+ * @returns {number} - Comparator result
+ */
+function compareSpecificity(a, b) {
+  const segmentsA = segmentsOf(a.path);
+  const segmentsB = segmentsOf(b.path);
+  for (let i = 0; i < Math.min(segmentsA.length, segmentsB.length); i++) {
+    const paramA = segmentsA[i].startsWith(':');
+    const paramB = segmentsB[i].startsWith(':');
+    if (paramA !== paramB) return paramA - paramB;
+    if (!paramA && segmentsA[i] !== segmentsB[i]) return segmentsA[i] < segmentsB[i] ? -1 : 1;
+  }
+  return segmentsA.length - segmentsB.length;
+}
+
+/**
+ * Orders the routes of a group for matching and rejects duplicates
+ * @param {Array} routes - Routes in table order
+ * @returns {Array} - Routes, most specific first
+ */
+function orderRoutes(routes) {
+  const seen = new Set();
+  routes.forEach(route => {
+    // ':vin' and ':partId' match the same URLs, so parameter names don't make routes different
+    const key = `${route.method} ${segmentsOf(route.path).map(segment => (segment.startsWith(':') ? ':' : segment)).join('/')}`;
+    if (seen.has(key)) {
+      throw new Error(`Duplicate route: ${route.method} ${route.path}`);
+    }
+    seen.add(key);
+  });
+  return [...routes].sort(compareSpecificity);
+}
+
+/**
+ * Builds the Express router of a route group
+ * @param {Object} group - { basePath, middleware, mockScenarios, routes }
+ * @returns {Object} - Express router
+ */
+function buildRouter(group) {
+  const router = express.Router();
+  if (group.middleware && group.middleware.length > 0) {
+    router.use(...group.middleware);
+  }
+
+  // Authentication and role checks run first, so anonymous callers get 401 rather than a validation error;
+  // scenarios take over valid requests only, where the handler would have simulated its delay
+  orderRoutes(group.routes).forEach(route => {
+    const chain = [...(route.middleware || []), validate(route.schema || {})];
+    if (group.mockScenarios !== false) {
+      chain.push(mockScenario({
+        method: route.method,
+        path: fullPathOf(group, route),
+        operationId: route.handler.name,
+        latency: route.latency
+      }));
+    }
+    router[route.method.toLowerCase()](route.path, ...chain, route.handler);
+  });
+  return router;
+}
+
+/**
+ * Mounts every route group on the app
+ * @param {Object} app - Express app
+ * @param {Array} groups - Route groups
+ */
+function mountRoutes(app, groups) {
+  groups.forEach(group => app.use(group.basePath, buildRouter(group)));
+}
+
+/**
+ * Describes the parameters of one location of a route schema
+ * @param {Object} rules - Field rules
+ * @returns {Object|undefined} - field -> description, undefined without rules
+ */
+function describeRules(rules) {
+  if (!rules || Object.keys(rules).length === 0) return undefined;
+  return Object.fromEntries(Object.entries(rules).map(([field, rule]) => [field, describeRule(rule)]));
+}
+
+/**
+ * Documents one route
+ * @param {Object} route - Route
+ * @returns {Object} - { summary, access, params, query, body, filters, sort }
+ */
+function describeRoute(route) {
+  const schema = route.schema || {};
+  const doc = {
+    summary: route.summary,
+    access: route.access,
+    params: describeRules(schema.params),
+    query: describeRules(schema.query),
+    body: describeRules(schema.body)
+  };
+  if (schema.list) {
+    doc.filters = Object.keys(schema.list.filters || {});
+    doc.sort = Object.keys(schema.list.sorts || {});
+    doc.pagination = 'limit, cursor';
+  }
+  return doc;
+}
+
+/**
+ * Builds the endpoint listing of the /api documentation from the route table
+ * @param {Array} groups - Route groups
+ * @returns {Object} - group name -> { 'METHOD /path': route documentation }, in table order
+ */
+function describeRoutes(groups) {
+  return Object.fromEntries(groups.map(group => [
+    group.name,
+    Object.fromEntries(group.routes.map(route => [
+      `${route.method} ${fullPathOf(group, route)}`,
+      describeRoute(route)
+    ]))
+  ]));
+}
+
+module.exports = {
+  mountRoutes,
+  describeRoutes
+};
@@ -0,0 +1,88 @@
+// Storage backend selection (STORAGE_DRIVER / STORAGE_PATH in .env)
+
+const path = require('path');
+
+const DEFAULT_PATHS = {
+  json: path.join(__dirname, '../../data/storage/store.json'),
+  sqlite: path.join(__dirname, '../../data/storage/store.sqlite')
+};
+
+let store = null;
+
+/**
+ * Reads the backend name from the environment
+ * @returns {string} - json or sqlite
+ */
+function getDriver() {
+  return (process.env.STORAGE_DRIVER || 'json').toLowerCase();
+}
+
+/**
+ * Creates the backend configured in the environment
+ * @returns {Object} - Store instance
+ */
+function createStore() {
+  const driver = getDriver();
+  const filePath = process.env.STORAGE_PATH || DEFAULT_PATHS[driver];
+
+  switch (driver) {
+    case 'json':
+      return require('./jsonFileStore').createJsonFileStore(filePath);
+    case 'sqlite':
+      // Loaded on demand so the JSON backend works without the native module, an optional dependency
+      return loadSqliteStore().createSqliteStore(filePath);
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER '${driver}' (allowed: ${Object.keys(DEFAULT_PATHS).join(', ')})`);
+  }
+}
+
+/**
+ * Loads the SQLite backend, explaining how to get better-sqlite3 when it wasn't installed
+ * @returns {Object} - sqliteStore module
+ */
+function loadSqliteStore() {
+  try {
+    return require('./sqliteStore');
+  } catch (error) {
+    if (error.code === 'MODULE_NOT_FOUND' && error.message.includes('better-sqlite3')) {
+      throw new Error('STORAGE_DRIVER=sqlite needs the optional better-sqlite3 package; install it with npm install better-sqlite3');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Returns the shared store, opening it on first use
+ * @returns {Object} - Store instance
+ */
+function getStore() {
+  if (!store) {
+    store = createStore();
+    console.log(`Storage: ${store.driver} (${store.location})`);
+  }
+  return store;
+}
+
+/**
+ * Closes the shared store, e.g. on shutdown
+ */
+async function closeStore() {
+  if (store) {
+    await store.close();
+    store = null;
+  }
+}
+
+/**
+ * Directory of the storage file, where other runtime data is kept as well
+ * @returns {string} - Directory path
+ */
+function getStorageDirectory() {
+  return path.dirname(process.env.STORAGE_PATH || DEFAULT_PATHS[getDriver()] || DEFAULT_PATHS.json);
+}
+
+module.exports = {
+  getStore,
+  closeStore,
+  getStorageDirectory
+};
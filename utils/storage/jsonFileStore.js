@@ -0,0 +1,123 @@
+// JSON file storage backend
+// The whole store is one file; it is re-read when another process changes it and written atomically.
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Creates a store that keeps documents in a JSON file
+ * @param {string} filePath - Path of the JSON file (created if missing)
+ * @returns {Object} - Store with insert/get/update/find/upsertMany/remove/close
+ */
+function createJsonFileStore(filePath) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  let state = { version: 1, collections: Object.create(null) };
+  let loadedMtime = null;
+
+  /**
+   * Re-reads the file if it changed since it was last read or written
+   */
+  function load() {
+    if (!fs.existsSync(filePath)) return;
+
+    const mtime = fs.statSync(filePath).mtimeMs;
+    if (mtime === loadedMtime) return;
+
+    const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const collections = Object.create(null);
+    Object.entries(parsed.collections || {}).forEach(([name, documents]) => {
+      collections[name] = Object.assign(Object.create(null), documents);
+    });
+    state = { ...parsed, collections };
+    loadedMtime = mtime;
+  }
+
+  /**
+   * Writes the store to a temporary file and renames it, so readers never see a partial file
+   */
+  function save() {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(state, null, 2));
+    fs.renameSync(tempPath, filePath);
+    loadedMtime = fs.statSync(filePath).mtimeMs;
+  }
+
+  /**
+   * Returns a collection's documents keyed by id, creating the collection if needed
+   * Collections have no prototype, so ids such as constructor or __proto__ are plain keys.
+   * @param {string} name - Collection name
+   * @returns {Object} - Documents keyed by id
+   */
+  function collection(name) {
+    if (!state.collections[name]) state.collections[name] = Object.create(null);
+    return state.collections[name];
+  }
+
+  return {
+    driver: 'json',
+    location: filePath,
+
+    async insert(name, id, document) {
+      load();
+      if (collection(name)[id]) {
+        throw new Error(`Document ${id} already exists in ${name}`);
+      }
+      collection(name)[id] = document;
+      save();
+      return document;
+    },
+
+    async get(name, id) {
+      load();
+      return collection(name)[id] || null;
+    },
+
+    async update(name, id, changes) {
+      load();
+      const existing = collection(name)[id];
+      if (!existing) return null;
+
+      // Changes given as a function are worked out from the stored document; falsy leaves it as it is
+      const resolved = typeof changes === 'function' ? changes(existing) : changes;
+      if (!resolved) return null;
+
+      const updated = { ...existing, ...resolved };
+      collection(name)[id] = updated;
+      save();
+      return updated;
+    },
+
+    async find(name, where = {}) {
+      load();
+      return Object.values(collection(name)).filter(document =>
+        Object.entries(where).every(([field, value]) => document[field] === value)
+      );
+    },
+
+    async upsertMany(name, entries) {
+      load();
+      // Applied to the in-memory state and written once, so the file never holds half a batch
+      entries.forEach(({ id, document }) => {
+        collection(name)[id] = document;
+      });
+      save();
+      return entries.length;
+    },
+
+    async remove(name, id) {
+      load();
+      if (!collection(name)[id]) return false;
+
+      delete collection(name)[id];
+      save();
+      return true;
+    },
+
+    async close() {}
+  };
+}
+
+module.exports = {
+  createJsonFileStore
+};
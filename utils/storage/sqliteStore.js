@@ -0,0 +1,113 @@
+// SQLite storage backend
+// Documents are stored as JSON in a single table; WAL mode lets several processes share the file.
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const FIELD_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Creates a store that keeps documents in an embedded SQLite database
+ * @param {string} filePath - Path of the database file (created if missing)
+ * @returns {Object} - Store with insert/get/update/find/upsertMany/remove/close
+ */
+function createSqliteStore(filePath) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  const db = new Database(filePath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS documents (
+      collection TEXT NOT NULL,
+      id TEXT NOT NULL,
+      data TEXT NOT NULL,
+      PRIMARY KEY (collection, id)
+    )
+  `);
+
+  const statements = {
+    insert: db.prepare('INSERT INTO documents (collection, id, data) VALUES (?, ?, ?)'),
+    get: db.prepare('SELECT data FROM documents WHERE collection = ? AND id = ?'),
+    replace: db.prepare('UPDATE documents SET data = ? WHERE collection = ? AND id = ?'),
+    upsert: db.prepare('INSERT OR REPLACE INTO documents (collection, id, data) VALUES (?, ?, ?)'),
+    remove: db.prepare('DELETE FROM documents WHERE collection = ? AND id = ?')
+  };
+
+  // Read, merge and write in one transaction so concurrent writers don't lose changes
+  // Changes given as a function are worked out from the stored document; falsy leaves it as it is
+  const update = db.transaction((name, id, changes) => {
+    const row = statements.get.get(name, id);
+    if (!row) return null;
+
+    const existing = JSON.parse(row.data);
+    const resolved = typeof changes === 'function' ? changes(existing) : changes;
+    if (!resolved) return null;
+
+    const updated = { ...existing, ...resolved };
+    statements.replace.run(JSON.stringify(updated), name, id);
+    return updated;
+  });
+
+  const upsertMany = db.transaction((name, entries) => {
+    entries.forEach(({ id, document }) => statements.upsert.run(name, id, JSON.stringify(document)));
+    return entries.length;
+  });
+
+  return {
+    driver: 'sqlite',
+    location: filePath,
+
+    async insert(name, id, document) {
+      try {
+        statements.insert.run(name, id, JSON.stringify(document));
+      } catch (error) {
+        if (error.code === 'SQLITE_CONSTRAINT_PRIMARYKEY') {
+          throw new Error(`Document ${id} already exists in ${name}`);
+        }
+        throw error;
+      }
+      return document;
+    },
+
+    async get(name, id) {
+      const row = statements.get.get(name, id);
+      return row ? JSON.parse(row.data) : null;
+    },
+
+    async update(name, id, changes) {
+      return update(name, id, changes);
+    },
+
+    async find(name, where = {}) {
+      const fields = Object.keys(where);
+      fields.forEach(field => {
+        if (!FIELD_PATTERN.test(field)) throw new Error(`Invalid field name: ${field}`);
+      });
+
+      const conditions = fields.map(field => `json_extract(data, '$.${field}') = ?`);
+      const sql = ['SELECT data FROM documents WHERE collection = ?', ...conditions].join(' AND ');
+      // SQLite has no boolean type; json_extract returns 1/0 for true/false
+      const values = fields.map(field => typeof where[field] === 'boolean' ? Number(where[field]) : where[field]);
+
+      return db.prepare(sql).all(name, ...values).map(row => JSON.parse(row.data));
+    },
+
+    async upsertMany(name, entries) {
+      return upsertMany(name, entries);
+    },
+
+    async remove(name, id) {
+      return statements.remove.run(name, id).changes > 0;
+    },
+
+    async close() {
+      db.close();
+    }
+  };
+}
+
+module.exports = {
+  createSqliteStore
+};
@@ -0,0 +1,399 @@
+// Symptom knowledge base: loading, validation and hot reload of data/symptomKnowledgeBase.json
+// Admin edits are saved to symptomKnowledgeBase.json in the storage directory, which then takes the seed file's place.
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeText } = require('./textNormalizer');
+const { SUPPORTED_LOCALES, DEFAULT_LOCALE } = require('./i18n');
+const { getStorageDirectory } = require('./storage');
+
+const SEED_PATH = path.join(__dirname, '../data/symptomKnowledgeBase.json');
+const EDITED_FILE_NAME = 'symptomKnowledgeBase.json';
+const PARTS_PATH = path.join(__dirname, '../data/mockParts.json');
+
+const CATEGORY_KEY_PATTERN = /^[a-z][a-z0-9-]*$/;
+const CATEGORY_FIELDS = ['partCategory', 'keywords', 'parts', 'rules', 'recommendations', 'locales'];
+const LOCALE_FIELDS = ['keywords', 'recommendations'];
+
+// The base keywords and recommendations are Turkish; other languages live under 'locales'
+const TRANSLATED_LOCALES = SUPPORTED_LOCALES.filter(locale => locale !== DEFAULT_LOCALE);
+
+const RULE_FIELDS = ['minKeywords', 'maxConfidence'];
+const MAX_KEYWORD_WEIGHT = 5;
+
+// Loaded knowledge base, reloaded whenever the file changes on disk
+let state = null;
+
+/**
+ * Path of the knowledge base with the admin edits
+ * @returns {string} - File path in the storage directory
+ */
+function getEditedPath() {
+  return path.join(getStorageDirectory(), EDITED_FILE_NAME);
+}
+
+/**
+ * Finds the file the knowledge base is loaded from: the edited one once it exists, else the seed file
+ * @returns {Object} - { filePath, source } where source is edited or seed
+ */
+function locateKnowledgeBase() {
+  const editedPath = getEditedPath();
+  return fs.existsSync(editedPath) ? { filePath: editedPath, source: 'edited' } : { filePath: SEED_PATH, source: 'seed' };
+}
+
+/**
+ * Indexes the catalogue parts by id
+ * @returns {Map} - Part id -> { part, category }
+ */
+function loadPartIndex() {
+  const partsByCategory = JSON.parse(fs.readFileSync(PARTS_PATH, 'utf8'));
+  const index = new Map();
+
+  Object.entries(partsByCategory).forEach(([category, parts]) => {
+    parts.forEach(part => index.set(part.id, { part, category }));
+  });
+
+  return index;
+}
+
+/**
+ * Checks a number lies within a range
+ * @param {*} value - Value to check
+ * @param {number} min - Smallest allowed value (exclusive when exclusiveMin is set)
+ * @param {number} max - Largest allowed value
+ * @param {boolean} exclusiveMin - Whether min itself is rejected
+ * @returns {boolean} - True if value is a number in range
+ */
+function isNumberInRange(value, min, max, exclusiveMin = false) {
+  return typeof value === 'number' && Number.isFinite(value) &&
+    (exclusiveMin ? value > min : value >= min) && value <= max;
+}
+
+/**
+ * Validates a single category of the knowledge base
+ * @param {string} key - Category key (e.g. 'fren')
+ * @param {Object} category - Category definition
+ * @param {Map} partIndex - Catalogue parts by id
+ * @param {Object} report - { errors, warnings } collected so far
+ */
+function validateCategory(key, category, partIndex, report) {
+  const at = `categories.${key}`;
+  const error = (field, message) => report.errors.push({ path: `${at}${field}`, message });
+  const warning = (field, message) => report.warnings.push({ path: `${at}${field}`, message });
+
+  if (!CATEGORY_KEY_PATTERN.test(key)) {
+    error('', 'Category key must be lower case letters, digits and dashes');
+  }
+  if (!category || typeof category !== 'object' || Array.isArray(category)) {
+    error('', 'Category must be an object');
+    return;
+  }
+
+  Object.keys(category)
+    .filter(field => !CATEGORY_FIELDS.includes(field))
+    .forEach(field => error(`.${field}`, `Unknown field (allowed: ${CATEGORY_FIELDS.join(', ')})`));
+
+  if (typeof category.partCategory !== 'string' || category.partCategory.trim() === '') {
+    error('.partCategory', 'partCategory is required');
+  }
+
+  // Keywords
+  if (!Array.isArray(category.keywords) || category.keywords.length === 0) {
+    error('.keywords', 'At least one keyword is required');
+  } else {
+    validateKeywords(category.keywords, '.keywords', DEFAULT_LOCALE, error, warning);
+  }
+
+  // Parts
+  if (!Array.isArray(category.parts) || category.parts.length === 0) {
+    error('.parts', 'At least one part is required');
+  } else {
+    category.parts.forEach((part, i) => {
+      const field = `.parts[${i}]`;
+      if (!part || typeof part.id !== 'string' || part.id.trim() === '') {
+        error(`${field}.id`, 'Part id is required');
+        return;
+      }
+      if (!isNumberInRange(part.confidence, 0, 1, true)) {
+        error(`${field}.confidence`, 'Confidence must be a number above 0 and at most 1');
+      }
+
+      const entry = partIndex.get(part.id);
+      if (!entry) {
+        warning(`${field}.id`, `Part ${part.id} does not exist in mockParts.json and will not be suggested`);
+      } else if (entry.category !== category.partCategory) {
+        warning(`${field}.id`, `Part ${part.id} belongs to ${entry.category}, not ${category.partCategory}`);
+      }
+    });
+  }
+
+  // Rules
+  const rules = category.rules || {};
+  if (typeof rules !== 'object' || Array.isArray(rules)) {
+    error('.rules', 'Rules must be an object');
+  } else {
+    Object.keys(rules)
+      .filter(field => !RULE_FIELDS.includes(field))
+      .forEach(field => error(`.rules.${field}`, `Unknown rule (allowed: ${RULE_FIELDS.join(', ')})`));
+
+    if (rules.minKeywords !== undefined && !(Number.isInteger(rules.minKeywords) && rules.minKeywords >= 1)) {
+      error('.rules.minKeywords', 'minKeywords must be a positive integer');
+    }
+    if (rules.maxConfidence !== undefined && !isNumberInRange(rules.maxConfidence, 0, 1, true)) {
+      error('.rules.maxConfidence', 'maxConfidence must be a number above 0 and at most 1');
+    }
+  }
+
+  if (category.recommendations !== undefined && !isStringArray(category.recommendations)) {
+    error('.recommendations', 'Recommendations must be an array of strings');
+  }
+
+  // Other languages
+  const locales = category.locales || {};
+  if (typeof locales !== 'object' || Array.isArray(locales)) {
+    error('.locales', 'Locales must be an object keyed by language');
+    return;
+  }
+
+  Object.keys(locales)
+    .filter(locale => !TRANSLATED_LOCALES.includes(locale))
+    .forEach(locale => error(`.locales.${locale}`, `Unsupported language (allowed: ${TRANSLATED_LOCALES.join(', ')})`));
+
+  TRANSLATED_LOCALES.forEach(locale => {
+    const translation = locales[locale];
+    if (!translation || !Array.isArray(translation.keywords) || translation.keywords.length === 0) {
+      warning(`.locales.${locale}`, `No ${locale} keywords, this category can't be matched in that language`);
+      return;
+    }
+
+    Object.keys(translation)
+      .filter(field => !LOCALE_FIELDS.includes(field))
+      .forEach(field => error(`.locales.${locale}.${field}`, `Unknown field (allowed: ${LOCALE_FIELDS.join(', ')})`));
+
+    validateKeywords(translation.keywords, `.locales.${locale}.keywords`, locale, error, warning);
+
+    if (translation.recommendations !== undefined && !isStringArray(translation.recommendations)) {
+      error(`.locales.${locale}.recommendations`, 'Recommendations must be an array of strings');
+    }
+  });
+}
+
+/**
+ * Validates the keyword list of a category in one language
+ * @param {Array} keywords - Keyword definitions ({ term, weight, synonyms })
+ * @param {string} at - Path of the list within the category
+ * @param {string} language - Language of the keywords
+ * @param {Function} error - Records a schema error
+ * @param {Function} warning - Records a warning
+ */
+function validateKeywords(keywords, at, language, error, warning) {
+  const seen = new Set();
+
+  keywords.forEach((keyword, i) => {
+    const field = `${at}[${i}]`;
+    if (!keyword || typeof keyword.term !== 'string' || keyword.term.trim() === '') {
+      error(`${field}.term`, 'Keyword term is required');
+      return;
+    }
+    if (keyword.weight !== undefined && !isNumberInRange(keyword.weight, 0, MAX_KEYWORD_WEIGHT, true)) {
+      error(`${field}.weight`, `Weight must be a number above 0 and at most ${MAX_KEYWORD_WEIGHT}`);
+    }
+    if (keyword.synonyms !== undefined &&
+      !(Array.isArray(keyword.synonyms) && keyword.synonyms.every(synonym => typeof synonym === 'string' && synonym.trim() !== ''))) {
+      error(`${field}.synonyms`, 'Synonyms must be an array of non-empty strings');
+    }
+
+    [keyword.term, ...(Array.isArray(keyword.synonyms) ? keyword.synonyms : [])].forEach(term => {
+      const normalized = normalizeText(String(term), language).trim();
+      if (seen.has(normalized)) {
+        warning(field, `'${term}' is listed more than once in this category`);
+      }
+      seen.add(normalized);
+    });
+  });
+}
+
+/**
+ * Checks a value is an array of strings
+ * @param {*} value - Value to check
+ * @returns {boolean} - True if value is an array of strings
+ */
+function isStringArray(value) {
+  return Array.isArray(value) && value.every(text => typeof text === 'string');
+}
+
+/**
+ * Validates a knowledge base against its schema and the parts catalogue
+ * Schema problems are errors and stop the knowledge base from loading. Parts that
+ * don't exist in mockParts.json are warnings; those parts are never suggested.
+ * @param {Object} knowledgeBase - Knowledge base definition
+ * @param {Map} partIndex - Catalogue parts by id (defaults to mockParts.json)
+ * @returns {Object} - { valid, errors, warnings }
+ */
+function validateKnowledgeBase(knowledgeBase, partIndex = loadPartIndex()) {
+  const report = { errors: [], warnings: [] };
+
+  if (!knowledgeBase || typeof knowledgeBase !== 'object' || Array.isArray(knowledgeBase)) {
+    report.errors.push({ path: '', message: 'Knowledge base must be an object' });
+    return { valid: false, ...report };
+  }
+
+  const { fallback, categories } = knowledgeBase;
+
+  if (!fallback || typeof fallback.id !== 'string' || typeof fallback.name !== 'string' ||
+    !isNumberInRange(fallback.confidence, 0, 1, true)) {
+    report.errors.push({ path: 'fallback', message: 'Fallback needs an id, a name and a confidence between 0 and 1' });
+  } else if (!partIndex.has(fallback.id)) {
+    report.warnings.push({ path: 'fallback.id', message: `Fallback part ${fallback.id} does not exist in mockParts.json` });
+  }
+
+  if (!categories || typeof categories !== 'object' || Array.isArray(categories)) {
+    report.errors.push({ path: 'categories', message: 'Categories must be an object keyed by category' });
+  } else {
+    Object.entries(categories).forEach(([key, category]) => validateCategory(key, category, partIndex, report));
+  }
+
+  return { valid: report.errors.length === 0, ...report };
+}
+
+/**
+ * Resolves a validated knowledge base into the form used by the interpreter
+ * Part names come from the catalogue and dangling part ids are dropped.
+ * Keywords and recommendations are grouped by language.
+ * @param {Object} knowledgeBase - Valid knowledge base definition
+ * @param {Map} partIndex - Catalogue parts by id
+ * @returns {Object} - { fallback, categories, keywordCategoryCounts } where counts are per language
+ */
+function resolveKnowledgeBase(knowledgeBase, partIndex) {
+  const categories = {};
+  const keywordCategoryCounts = SUPPORTED_LOCALES.reduce((counts, locale) => ({ ...counts, [locale]: {} }), {});
+
+  Object.entries(knowledgeBase.categories).forEach(([key, category]) => {
+    const locales = category.locales || {};
+    const keywords = {};
+    const recommendations = {};
+
+    SUPPORTED_LOCALES.forEach(locale => {
+      const source = locale === DEFAULT_LOCALE ? category : (locales[locale] || {});
+
+      keywords[locale] = (source.keywords || []).map(keyword => ({
+        term: keyword.term,
+        weight: keyword.weight === undefined ? 1 : keyword.weight,
+        synonyms: keyword.synonyms || []
+      }));
+      recommendations[locale] = source.recommendations || [];
+
+      // Shared keywords are counted by their normalized term
+      new Set(keywords[locale].map(keyword => normalizeText(keyword.term, locale))).forEach(term => {
+        keywordCategoryCounts[locale][term] = (keywordCategoryCounts[locale][term] || 0) + 1;
+      });
+    });
+
+    categories[key] = {
+      partCategory: category.partCategory,
+      keywords,
+      parts: category.parts
+        .filter(part => partIndex.has(part.id))
+        .map(part => ({ name: partIndex.get(part.id).part.name, id: part.id, confidence: part.confidence })),
+      rules: { minKeywords: 1, maxConfidence: 0.95, ...category.rules },
+      recommendations
+    };
+  });
+
+  return { fallback: knowledgeBase.fallback, categories, keywordCategoryCounts };
+}
+
+/**
+ * Reads, validates and resolves the knowledge base file
+ * An invalid file leaves the previously loaded knowledge base in place.
+ * @returns {Object} - Validation report of the file that was read
+ */
+function reloadKnowledgeBase() {
+  const { filePath, source } = locateKnowledgeBase();
+  const modifiedAt = fs.statSync(filePath).mtimeMs;
+  let definition;
+
+  try {
+    definition = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    const report = { valid: false, errors: [{ path: '', message: `Invalid JSON: ${error.message}` }], warnings: [] };
+    return keepPreviousKnowledgeBase(report, filePath, modifiedAt);
+  }
+
+  const partIndex = loadPartIndex();
+  const report = validateKnowledgeBase(definition, partIndex);
+  if (!report.valid) {
+    return keepPreviousKnowledgeBase(report, filePath, modifiedAt);
+  }
+
+  report.warnings.forEach(warning => console.warn(`Knowledge base: ${warning.path}: ${warning.message}`));
+
+  state = {
+    definition,
+    resolved: resolveKnowledgeBase(definition, partIndex),
+    report,
+    source,
+    filePath,
+    modifiedAt,
+    loadedAt: new Date().toISOString()
+  };
+
+  return report;
+}
+
+/**
+ * Records a failed load without replacing the loaded knowledge base
+ * @param {Object} report - Validation report of the rejected file
+ * @param {string} filePath - Path of the rejected file
+ * @param {number} modifiedAt - Modification time of the rejected file
+ * @returns {Object} - The validation report
+ */
+function keepPreviousKnowledgeBase(report, filePath, modifiedAt) {
+  report.errors.forEach(error => console.error(`Knowledge base: ${error.path || '(root)'}: ${error.message}`));
+
+  if (!state) {
+    throw new Error('Symptom knowledge base is invalid and no previous version is loaded');
+  }
+
+  // Remember the rejected version so it isn't re-read on every request
+  state = { ...state, report, filePath, modifiedAt };
+  return report;
+}
+
+/**
+ * Returns the current knowledge base, reloading it first if the file changed on disk
+ * @returns {Object} - { definition, resolved, report, source, loadedAt }
+ */
+function getKnowledgeBase() {
+  const { filePath } = locateKnowledgeBase();
+  if (!state || filePath !== state.filePath || fs.statSync(filePath).mtimeMs !== state.modifiedAt) {
+    reloadKnowledgeBase();
+  }
+
+  return state;
+}
+
+/**
+ * Validates and writes a new knowledge base definition to the storage directory, then loads it
+ * The file is written to a temporary file and renamed, so a reload never reads a partial file.
+ * @param {Object} definition - Complete knowledge base definition
+ * @returns {Object} - Validation report; nothing is written when it has errors
+ */
+function saveKnowledgeBase(definition) {
+  const report = validateKnowledgeBase(definition);
+  if (!report.valid) return report;
+
+  const editedPath = getEditedPath();
+  const tempPath = `${editedPath}.${process.pid}.tmp`;
+  fs.mkdirSync(path.dirname(editedPath), { recursive: true });
+  fs.writeFileSync(tempPath, JSON.stringify(definition, null, 2) + '\n');
+  fs.renameSync(tempPath, editedPath);
+  return reloadKnowledgeBase();
+}
+
+module.exports = {
+  validateKnowledgeBase,
+  reloadKnowledgeBase,
+  getKnowledgeBase,
+  saveKnowledgeBase
+};
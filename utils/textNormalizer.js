@@ -0,0 +1,274 @@
+// Text normalization, suffix stripping and fuzzy keyword matching (Turkish, English, German)
+
+// Per-language rules:
+// - lowerCaseLocale: casing rules (Turkish I -> ı, İ -> i)
+// - folds: characters folded to ASCII look-alikes (for input typed without a native keyboard)
+// - suffixes: inflection suffixes in folded form, stripped in chains of up to maxSuffixChain
+// - softening: final consonants that change before a vowel suffix (ışık -> ışığı)
+// - bareVowelSuffixes: single vowel suffixes that can only be followed by the buffer 'n' (fanı -> fanında)
+const LANGUAGE_RULES = {
+  tr: {
+    lowerCaseLocale: 'tr-TR',
+    folds: { 'ç': 'c', 'ğ': 'g', 'ı': 'i', 'ö': 'o', 'ş': 's', 'ü': 'u', 'â': 'a', 'î': 'i', 'û': 'u' },
+    suffixes: [
+      'lar', 'ler', 'dan', 'den', 'tan', 'ten', 'nin', 'nun', 'nda', 'nde', 'ndan', 'nden', 'daki', 'deki',
+      'da', 'de', 'ta', 'te', 'si', 'su', 'in', 'un', 'im', 'um', 'yi', 'yu', 'ya', 'ye', 'na', 'ne', 'ki',
+      'i', 'u', 'a', 'e', 'm', 'n'
+    ],
+    maxSuffixChain: 3,
+    softening: { k: 'g', p: 'b', t: 'd' },
+    bareVowelSuffixes: ['a', 'e', 'i', 'u']
+  },
+  en: {
+    lowerCaseLocale: 'en-US',
+    folds: {},
+    suffixes: ['s', 'es', 'ed', 'ing'],
+    maxSuffixChain: 1,
+    softening: {},
+    bareVowelSuffixes: []
+  },
+  de: {
+    lowerCaseLocale: 'de-DE',
+    folds: { 'ä': 'a', 'ö': 'o', 'ü': 'u', 'ß': 'ss' },
+    suffixes: ['e', 'en', 'n', 'er', 'es', 's', 'em', 't'],
+    maxSuffixChain: 2,
+    softening: {},
+    bareVowelSuffixes: []
+  }
+};
+
+const DEFAULT_LANGUAGE = 'tr';
+
+const TOKEN_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Returns the rules of a language, falling back to Turkish
+ * @param {string} language - Language code
+ * @returns {Object} - Language rules
+ */
+function getLanguageRules(language) {
+  return LANGUAGE_RULES[language] || LANGUAGE_RULES[DEFAULT_LANGUAGE];
+}
+
+/**
+ * Lower-cases text using Turkish casing rules (I -> ı, İ -> i)
+ * @param {string} text - Input text
+ * @returns {string} - Lower-cased text with the same length as the input
+ */
+function turkishLowerCase(text) {
+  return text.toLocaleLowerCase('tr-TR');
+}
+
+/**
+ * Folds diacritics to ASCII so 'amortisör' and 'amortisor' compare equal
+ * @param {string} text - Lower-cased text
+ * @param {string} language - Language code
+ * @returns {string} - Folded text
+ */
+function foldDiacritics(text, language = DEFAULT_LANGUAGE) {
+  const { folds } = getLanguageRules(language);
+  return Array.from(text, char => folds[char] || char).join('');
+}
+
+/**
+ * Lower-cases and folds text
+ * @param {string} text - Input text
+ * @param {string} language - Language code
+ * @returns {string} - Normalized text
+ */
+function normalizeText(text, language = DEFAULT_LANGUAGE) {
+  return foldDiacritics(text.toLocaleLowerCase(getLanguageRules(language).lowerCaseLocale), language);
+}
+
+/**
+ * Checks whether text is a chain of suffixes (e.g. Turkish 'lardan' = 'lar' + 'dan')
+ * @param {string} text - Remainder of a word after its root
+ * @param {Object} rules - Language rules
+ * @param {number} depth - Suffixes allowed in the chain
+ * @returns {boolean} - True if the text can be split into known suffixes
+ */
+function isSuffixChain(text, rules, depth = rules.maxSuffixChain) {
+  if (text.length === 0) return true;
+  if (depth === 0) return false;
+
+  return rules.suffixes.some(suffix => {
+    if (!text.startsWith(suffix)) return false;
+    const rest = text.slice(suffix.length);
+    // A bare vowel suffix can only be followed by the buffer 'n' (fanı -> fanında, never fan-e-te)
+    if (rules.bareVowelSuffixes.includes(suffix) && rest.length > 0 && !rest.startsWith('n')) return false;
+    return isSuffixChain(rest, rules, depth - 1);
+  });
+}
+
+/**
+ * Lists the ways a normalized word can be split into a root and a suffix chain
+ * e.g. 'balatalardan' -> ['balatalardan', 'balatalar', 'balata', ...]
+ * @param {string} word - Lower-cased, folded word
+ * @param {string} language - Language code
+ * @returns {Array} - Possible roots, longest first
+ */
+function stripSuffixes(word, language = DEFAULT_LANGUAGE) {
+  const rules = getLanguageRules(language);
+  const roots = [];
+
+  for (let i = word.length; i >= 2; i--) {
+    if (isSuffixChain(word.slice(i), rules)) {
+      roots.push(word.slice(0, i));
+    }
+  }
+
+  return roots;
+}
+
+/**
+ * Lists the surface forms a keyword root can take before a suffix
+ * @param {string} root - Lower-cased, folded keyword
+ * @param {Object} rules - Language rules
+ * @returns {Array} - The root and its softened form, if any
+ */
+function rootForms(root, rules) {
+  const last = root[root.length - 1];
+  return rules.softening[last]
+    ? [root, root.slice(0, -1) + rules.softening[last]]
+    : [root];
+}
+
+/**
+ * Splits text into normalized tokens, keeping offsets into the original text
+ * @param {string} text - Original text
+ * @param {string} language - Language code
+ * @returns {Array} - Tokens as { raw, normalized, roots, start, end }
+ */
+function tokenize(text, language = DEFAULT_LANGUAGE) {
+  const lowerCased = text.toLocaleLowerCase(getLanguageRules(language).lowerCaseLocale);
+  const tokens = [];
+  let match;
+
+  TOKEN_PATTERN.lastIndex = 0;
+  while ((match = TOKEN_PATTERN.exec(lowerCased)) !== null) {
+    const normalized = foldDiacritics(match[0], language);
+    tokens.push({
+      raw: text.substr(match.index, match[0].length),
+      normalized,
+      roots: stripSuffixes(normalized, language),
+      start: match.index,
+      end: match.index + match[0].length
+    });
+  }
+
+  return tokens;
+}
+
+/**
+ * Levenshtein edit distance, giving up once it exceeds a maximum
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} max - Largest distance of interest
+ * @returns {number} - Edit distance, or max + 1 if larger than max
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Allowed typo distance for a keyword of the given length
+ * @param {number} length - Keyword length
+ * @returns {number} - Maximum edit distance
+ */
+function typoTolerance(length) {
+  if (length >= 9) return 2;
+  if (length >= 5) return 1;
+  return 0;
+}
+
+/**
+ * Compares a single token against a single keyword word
+ * @param {Object} token - Token from tokenize()
+ * @param {string} wanted - Lower-cased, folded keyword word
+ * @param {Object} rules - Language rules
+ * @returns {Object|null} - { matchType, distance } or null if the token doesn't match
+ */
+function matchToken(token, wanted, rules) {
+  if (token.normalized === wanted) {
+    return { matchType: 'exact', distance: 0 };
+  }
+
+  const forms = rootForms(wanted, rules);
+  if (token.roots.some(root => forms.includes(root))) {
+    return { matchType: 'suffix', distance: 0 };
+  }
+
+  const tolerance = typoTolerance(wanted.length);
+  if (tolerance === 0) return null;
+
+  // Typos rarely hit the first letter; requiring it keeps 'nicht' from matching 'licht'
+  let best = tolerance + 1;
+  token.roots.filter(root => root[0] === wanted[0]).forEach(root => {
+    forms.forEach(form => {
+      best = Math.min(best, editDistance(root, form, tolerance));
+    });
+  });
+
+  return best <= tolerance ? { matchType: 'fuzzy', distance: best } : null;
+}
+
+/**
+ * Finds a keyword in tokenized text, tolerating casing, diacritics, suffixes and typos
+ * @param {Array} tokens - Tokens from tokenize() in the same language
+ * @param {string} keyword - Keyword (one or more words)
+ * @param {string} language - Language code
+ * @returns {Array} - Matches as { keyword, term, start, end, matchType, distance }
+ */
+function findKeywordMatches(tokens, keyword, language = DEFAULT_LANGUAGE) {
+  const rules = getLanguageRules(language);
+  const keywordWords = normalizeText(keyword, language).match(TOKEN_PATTERN) || [];
+  if (keywordWords.length === 0) return [];
+
+  const matches = [];
+
+  for (let i = 0; i + keywordWords.length <= tokens.length; i++) {
+    const tokenMatches = keywordWords.map((word, k) => matchToken(tokens[i + k], word, rules));
+    if (tokenMatches.some(match => match === null)) continue;
+
+    // The weakest word decides how the whole keyword matched
+    const matchType = ['fuzzy', 'suffix', 'exact'].find(type => tokenMatches.some(match => match.matchType === type));
+    const first = tokens[i];
+    const last = tokens[i + keywordWords.length - 1];
+
+    matches.push({
+      keyword,
+      term: tokens.slice(i, i + keywordWords.length).map(token => token.raw).join(' '),
+      start: first.start,
+      end: last.end,
+      matchType,
+      distance: tokenMatches.reduce((sum, match) => sum + match.distance, 0)
+    });
+  }
+
+  return matches;
+}
+
+module.exports = {
+  turkishLowerCase,
+  foldDiacritics,
+  normalizeText,
+  stripSuffixes,
+  tokenize,
+  editDistance,
+  findKeywordMatches
+};
@@ -0,0 +1,396 @@
+// VIN decoding utilities (ISO 3779 / ISO 3780)
+
+const fs = require('fs');
+const path = require('path');
+
+// Load VIN reference tables
+const vinCodes = JSON.parse(fs.readFileSync(path.join(__dirname, '../data/vinCodes.json'), 'utf8'));
+
+// Character order used by ISO 3780 country ranges (I, O and Q are never used)
+const CHARACTER_SEQUENCE = 'ABCDEFGHJKLMNPRSTUVWXYZ1234567890';
+
+// Model year codes (position 10) for the 1980-2009 cycle; the cycle repeats every 30 years
+const MODEL_YEAR_CODES = 'ABCDEFGHJKLMNPRSTVWXY123456789';
+const MODEL_YEAR_CYCLE = 30;
+const FIRST_MODEL_YEAR = 1980;
+
+// ISO 3779 check digit transliteration values and position weights
+const TRANSLITERATION = {
+  A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8,
+  J: 1, K: 2, L: 3, M: 4, N: 5, P: 7, R: 9,
+  S: 2, T: 3, U: 4, V: 5, W: 6, X: 7, Y: 8, Z: 9
+};
+const POSITION_WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+const CHECK_DIGIT_POSITION = 8;
+
+// Regions where the check digit and model year code are mandatory
+const STRICT_REGION_PREFIXES = ['1', '2', '3', '4', '5', 'L'];
+
+// Characters commonly confused when a VIN is read off a plate or typed in
+const CONFUSABLE_CHARACTERS = {
+  '0': ['D', '8'],
+  '1': ['7', 'L'],
+  '2': ['Z'],
+  '3': ['8'],
+  '5': ['S'],
+  '6': ['G'],
+  '7': ['1'],
+  '8': ['B', '3', '0'],
+  B: ['8'],
+  D: ['0'],
+  G: ['6'],
+  L: ['1'],
+  S: ['5'],
+  U: ['V'],
+  V: ['U'],
+  Z: ['2']
+};
+
+const MAX_SUGGESTIONS = 5;
+
+/**
+ * Finds the country of origin for the first two VIN characters
+ * @param {string} prefix - First two characters of the VIN
+ * @returns {string|null} - Country name or null if unassigned
+ */
+function lookupCountry(prefix) {
+  const first = prefix[0];
+  const secondIndex = CHARACTER_SEQUENCE.indexOf(prefix[1]);
+
+  const range = vinCodes.countries.find(entry =>
+    entry.from[0] === first &&
+    secondIndex >= CHARACTER_SEQUENCE.indexOf(entry.from[1]) &&
+    secondIndex <= CHARACTER_SEQUENCE.indexOf(entry.to[1])
+  );
+
+  return range ? range.country : null;
+}
+
+/**
+ * Resolves the model year candidates for a position 10 code
+ * @param {string} code - Model year character
+ * @returns {Array} - Candidate years, most recent first (empty if code is invalid)
+ */
+function getModelYearCandidates(code) {
+  const index = MODEL_YEAR_CODES.indexOf(code);
+  if (index === -1) return [];
+
+  const latestYear = new Date().getFullYear() + 1;
+  const candidates = [];
+
+  for (let year = FIRST_MODEL_YEAR + index; year <= latestYear; year += MODEL_YEAR_CYCLE) {
+    candidates.unshift(year);
+  }
+
+  return candidates;
+}
+
+/**
+ * Picks the most likely model year from the candidates
+ * North American VINs use a numeric position 7 for the 1980-2009 cycle,
+ * for everything else the most recent candidate is assumed.
+ * @param {string} vin - Normalized VIN
+ * @param {Array} candidates - Candidate years, most recent first
+ * @returns {number|null} - Best-effort model year
+ */
+function pickModelYear(vin, candidates) {
+  if (candidates.length === 0) return null;
+
+  const region = vinCodes.regions[vin[0]];
+  if (region === 'North America' && candidates.length > 1) {
+    const useOlderCycle = /[0-9]/.test(vin[6]);
+    return useOlderCycle ? candidates[1] : candidates[0];
+  }
+
+  return candidates[0];
+}
+
+/**
+ * Looks up a model description from the vehicle descriptor section
+ * @param {string} make - Decoded make
+ * @param {string} vin - Normalized VIN
+ * @returns {string|null} - Model description or null if unknown
+ */
+function lookupModel(make, vin) {
+  const modelTable = vinCodes.models[make];
+  if (!modelTable) return null;
+
+  const code = vin.substr(modelTable.offset, modelTable.length);
+  return modelTable.codes[code] || null;
+}
+
+/**
+ * Brings a VIN into its catalogued form: no surrounding whitespace, upper case
+ * @param {string} vin - VIN as entered
+ * @returns {string} - Normalized VIN
+ */
+function normalizeVIN(vin) {
+  return typeof vin === 'string' ? vin.trim().toUpperCase() : vin;
+}
+
+/**
+ * Decodes a VIN into its WMI, VDS and VIS sections
+ * @param {string} vin - Vehicle VIN (17 characters)
+ * @returns {Object|null} - Best-effort vehicle information, or null if nothing could be decoded
+ */
+function decodeVIN(vin) {
+  const normalizedVin = normalizeVIN(vin);
+  if (!normalizedVin || typeof normalizedVin !== 'string' || normalizedVin.length !== 17) return null;
+  const wmi = normalizedVin.substring(0, 3);
+  const vds = normalizedVin.substring(3, 9);
+  const vis = normalizedVin.substring(9, 17);
+
+  const manufacturer = vinCodes.manufacturers[wmi] || null;
+  const country = lookupCountry(normalizedVin.substring(0, 2));
+  const region = vinCodes.regions[normalizedVin[0]] || null;
+
+  // Nothing to show if neither the manufacturer nor the country is known
+  if (!manufacturer && !country) return null;
+
+  const make = manufacturer ? manufacturer.make : null;
+  const modelYearCode = vis[0];
+  const yearCandidates = getModelYearCandidates(modelYearCode);
+  const plantCode = vis[1];
+  const plants = make ? vinCodes.plants[make] : null;
+
+  return {
+    vin: normalizedVin,
+    make,
+    model: make ? lookupModel(make, normalizedVin) : null,
+    year: pickModelYear(normalizedVin, yearCandidates),
+    country,
+    region,
+    plant: plants && plants[plantCode] ? plants[plantCode] : null,
+    decoding: {
+      wmi: {
+        code: wmi,
+        manufacturer: manufacturer ? manufacturer.manufacturer : null
+      },
+      vds: {
+        code: vds,
+        descriptor: vds.substring(0, 5),
+        checkDigit: vds[5]
+      },
+      vis: {
+        code: vis,
+        modelYearCode,
+        modelYearCandidates: yearCandidates,
+        plantCode,
+        serialNumber: vis.substring(2)
+      }
+    }
+  };
+}
+
+/**
+ * Calculates the ISO 3779 check digit (position 9) for a VIN
+ * @param {string} vin - Normalized 17 character VIN
+ * @returns {string|null} - Expected check digit ('0'-'9' or 'X'), or null if the VIN contains invalid characters
+ */
+function calculateCheckDigit(vin) {
+  if (!vin || vin.length !== 17) return null;
+
+  let sum = 0;
+  for (let i = 0; i < vin.length; i++) {
+    const char = vin[i];
+    const value = /[0-9]/.test(char) ? Number(char) : TRANSLITERATION[char];
+    if (value === undefined) return null;
+    sum += value * POSITION_WEIGHTS[i];
+  }
+
+  const remainder = sum % 11;
+  return remainder === 10 ? 'X' : String(remainder);
+}
+
+/**
+ * Whether the VIN was issued in a region that mandates the check digit and model year code
+ * @param {string} vin - Normalized VIN
+ * @returns {boolean} - True for North American and Chinese VINs
+ */
+function isStrictRegion(vin) {
+  return STRICT_REGION_PREFIXES.includes(vin[0]);
+}
+
+/**
+ * Collects single-character corrections for an invalid VIN
+ * @param {string} vin - Normalized VIN
+ * @param {Array} knownVins - Catalogued VINs to match against
+ * @returns {Array} - Suggested VINs with the reason for each suggestion
+ */
+function suggestCorrections(vin, knownVins) {
+  const suggestions = [];
+  const addSuggestion = (candidate, reason) => {
+    if (candidate !== vin && !suggestions.some(s => s.vin === candidate)) {
+      suggestions.push({ vin: candidate, reason });
+    }
+  };
+
+  // Catalogued VINs one substitution, insertion or deletion away
+  knownVins.forEach(knownVin => {
+    if (isSingleEdit(vin, knownVin.toUpperCase())) {
+      addSuggestion(knownVin.toUpperCase(), 'catalogued_vehicle');
+    }
+  });
+
+  // I, O and Q are never used; they are almost always 1 or 0
+  if (/[IOQ]/.test(vin)) {
+    addSuggestion(vin.replace(/I/g, '1').replace(/[OQ]/g, '0'), 'illegal_character');
+  }
+
+  if (vin.length === 17 && /^[A-HJ-NPR-Z0-9]{17}$/.test(vin) && isStrictRegion(vin)) {
+    // Look-alike characters that make the check digit valid
+    for (let i = 0; i < vin.length; i++) {
+      if (i === CHECK_DIGIT_POSITION) continue;
+      (CONFUSABLE_CHARACTERS[vin[i]] || []).forEach(replacement => {
+        const candidate = vin.substring(0, i) + replacement + vin.substring(i + 1);
+        if (calculateCheckDigit(candidate) === candidate[CHECK_DIGIT_POSITION]) {
+          addSuggestion(candidate, 'similar_character');
+        }
+      });
+    }
+
+    // The check digit itself may be the typo
+    const expected = calculateCheckDigit(vin);
+    addSuggestion(vin.substring(0, CHECK_DIGIT_POSITION) + expected + vin.substring(CHECK_DIGIT_POSITION + 1), 'check_digit');
+  }
+
+  return suggestions.slice(0, MAX_SUGGESTIONS);
+}
+
+/**
+ * Checks whether two strings differ by exactly one substitution, insertion or deletion
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} - True if the strings are one edit apart
+ */
+function isSingleEdit(a, b) {
+  if (a === b || Math.abs(a.length - b.length) > 1) return false;
+
+  if (a.length === b.length) {
+    let differences = 0;
+    for (let i = 0; i < a.length; i++) {
+      if (a[i] !== b[i] && ++differences > 1) return false;
+    }
+    return differences === 1;
+  }
+
+  const [shorter, longer] = a.length < b.length ? [a, b] : [b, a];
+  for (let i = 0; i < longer.length; i++) {
+    if (longer.substring(0, i) + longer.substring(i + 1) === shorter) return true;
+  }
+  return false;
+}
+
+/**
+ * Validates a VIN against ISO 3779 and reports every problem found
+ * @param {string} vin - Vehicle VIN to validate
+ * @param {Array} knownVins - Catalogued VINs used for correction suggestions
+ * @returns {Object} - Validation result with errors, warnings, check digit details and suggestions
+ */
+function validateVIN(vin, knownVins = []) {
+  if (!vin || typeof vin !== 'string') {
+    return {
+      valid: false,
+      vin: null,
+      errors: [{ code: 'missing', message: 'VIN is required' }],
+      warnings: [],
+      checkDigit: null,
+      suggestions: []
+    };
+  }
+
+  const normalizedVin = normalizeVIN(vin);
+  const errors = [];
+  const warnings = [];
+  let checkDigit = null;
+
+  if (normalizedVin.length !== 17) {
+    errors.push({
+      code: 'wrong_length',
+      message: `VIN must be 17 characters long, got ${normalizedVin.length}`
+    });
+  }
+
+  for (let i = 0; i < normalizedVin.length; i++) {
+    const char = normalizedVin[i];
+    if (/[IOQ]/.test(char)) {
+      errors.push({
+        code: 'illegal_character',
+        message: `Character '${char}' at position ${i + 1} is not allowed in a VIN (I, O and Q are never used)`,
+        position: i + 1
+      });
+    } else if (!/[A-Z0-9]/.test(char)) {
+      errors.push({
+        code: 'invalid_character',
+        message: `Character '${char}' at position ${i + 1} is not a letter or digit`,
+        position: i + 1
+      });
+    }
+  }
+
+  if (errors.length === 0) {
+    const strict = isStrictRegion(normalizedVin);
+    const expected = calculateCheckDigit(normalizedVin);
+    const actual = normalizedVin[CHECK_DIGIT_POSITION];
+
+    checkDigit = {
+      expected,
+      actual,
+      matches: expected === actual,
+      required: strict
+    };
+
+    if (!checkDigit.matches) {
+      const issue = {
+        code: 'invalid_check_digit',
+        message: `Check digit at position 9 is '${actual}' but should be '${expected}'`,
+        position: CHECK_DIGIT_POSITION + 1
+      };
+      (strict ? errors : warnings).push(issue);
+    }
+
+    const modelYearCode = normalizedVin[9];
+    if (!MODEL_YEAR_CODES.includes(modelYearCode)) {
+      const issue = {
+        code: 'invalid_model_year',
+        message: `Character '${modelYearCode}' at position 10 is not a valid model year code`,
+        position: 10
+      };
+      (strict ? errors : warnings).push(issue);
+    }
+  }
+
+  const valid = errors.length === 0;
+
+  return {
+    valid,
+    vin: normalizedVin,
+    errors,
+    warnings,
+    checkDigit,
+    suggestions: valid ? [] : suggestCorrections(normalizedVin, knownVins)
+  };
+}
+
+/**
+ * Builds the 400 response body for a VIN that failed validation
+ * @param {Object} validation - Result of validateVIN
+ * @returns {Object} - Error response body
+ */
+function formatVINError(validation) {
+  return {
+    error: 'Invalid VIN format',
+    message: validation.errors.map(e => e.message).join('; '),
+    reasons: validation.errors,
+    suggestions: validation.suggestions
+  };
+}
+
+module.exports = {
+  normalizeVIN,
+  decodeVIN,
+  getModelYearCandidates,
+  calculateCheckDigit,
+  validateVIN,
+  formatVINError
+};
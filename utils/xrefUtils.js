@@ -0,0 +1,74 @@
+// Cross-reference utilities for OEM and aftermarket part numbers
+
+/**
+ * Normalizes a part number so that spacing and punctuation don't matter
+ * e.g. 'A 000 420 93 04', 'A0004209304' and 'a000-420-93-04' are equal
+ * @param {string} number - Part number as written by the manufacturer
+ * @returns {string} - Upper case part number without separators
+ */
+function normalizeReferenceNumber(number) {
+  if (number === undefined || number === null) return '';
+  return String(number).toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Lists every reference number of a part, including its internal id
+ * @param {Object} part - Part record with optional references
+ * @returns {Array} - References as { type, brand, number }
+ */
+function listReferences(part) {
+  const references = [{ type: 'internal', brand: null, number: part.id }];
+  const { oem = [], aftermarket = [] } = part.references || {};
+
+  oem.forEach(ref => references.push({ type: 'oem', brand: ref.brand, number: ref.number }));
+  aftermarket.forEach(ref => references.push({ type: 'aftermarket', brand: ref.brand, number: ref.number }));
+
+  return references;
+}
+
+/**
+ * Builds a lookup index from normalized reference number to part
+ * @param {Object} partsByCategory - Parts grouped by category (mockParts.json)
+ * @returns {Map} - Normalized number -> { part, category, reference }
+ */
+function buildReferenceIndex(partsByCategory) {
+  const index = new Map();
+
+  Object.entries(partsByCategory).forEach(([category, parts]) => {
+    parts.forEach(part => {
+      listReferences(part).forEach(reference => {
+        const key = normalizeReferenceNumber(reference.number);
+        if (index.has(key)) {
+          console.warn(`Duplicate reference number ${reference.number} on ${part.id} and ${index.get(key).part.id}`);
+          return;
+        }
+        index.set(key, { part, category, reference });
+      });
+    });
+  });
+
+  return index;
+}
+
+/**
+ * Finds the references of a part whose number contains a search term
+ * @param {Object} part - Part record with optional references
+ * @param {string} term - Search term
+ * @returns {Array} - Matching OEM and aftermarket references
+ */
+function findMatchingReferences(part, term) {
+  const normalizedTerm = normalizeReferenceNumber(term);
+  if (normalizedTerm.length < 3) return [];
+
+  return listReferences(part).filter(reference =>
+    reference.type !== 'internal' &&
+    normalizeReferenceNumber(reference.number).includes(normalizedTerm)
+  );
+}
+
+module.exports = {
+  normalizeReferenceNumber,
+  listReferences,
+  buildReferenceIndex,
+  findMatchingReferences
+};